@@ -1,5 +1,7 @@
 /**
  * Africa's Talking SMS Service Configuration
+ * Messages are sent through services/notificationService, which records and
+ * retries them; use this client directly only from the notification transport.
  */
 
 const credentials = {
@@ -7,6 +9,8 @@ const credentials = {
     username: process.env.AFRICAS_TALKING_USERNAME || 'sandbox'
 };
 
+const SENDER_ID = process.env.AFRICAS_TALKING_SENDER_ID || 'KCCA-GFC';
+
 let smsService = null;
 
 // Initialize Africa's Talking only if credentials are available
@@ -18,34 +22,31 @@ if (credentials.apiKey && credentials.username) {
     console.warn('⚠️  Africa\'s Talking credentials not configured - SMS disabled');
 }
 
+function isConfigured() {
+    return smsService !== null;
+}
+
 /**
- * Send SMS notification
+ * Send an SMS
  * @param {string} phoneNumber - Recipient phone (+256...)
  * @param {string} message - SMS content
- * @returns {Promise<Object>} SMS result
+ * @returns {Promise<Object>} Africa's Talking response ({ SMSMessageData: { Message, Recipients } })
+ * @throws when Africa's Talking is not configured or the request fails
  */
 async function sendSMS(phoneNumber, message) {
     if (!smsService) {
-        console.warn('SMS service not available - skipping SMS to', phoneNumber);
-        return { success: false, message: 'SMS service not configured' };
+        throw new Error('Africa\'s Talking is not configured');
     }
 
-    try {
-        const options = {
-            to: [phoneNumber],
-            message: message,
-            from: process.env.AFRICAS_TALKING_SENDER_ID || 'KCCA-GFC'
-        };
-
-        const result = await smsService.send(options);
-        console.log('📱 SMS sent to', phoneNumber);
-        return { success: true, result };
-    } catch (error) {
-        console.error('❌ SMS error:', error);
-        return { success: false, error: error.message };
-    }
+    return smsService.send({
+        to: [phoneNumber],
+        message,
+        from: SENDER_ID
+    });
 }
 
 module.exports = {
+    SENDER_ID,
+    isConfigured,
     sendSMS
 };
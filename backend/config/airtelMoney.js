@@ -0,0 +1,149 @@
+/**
+ * Airtel Money Open API Configuration
+ */
+
+const axios = require('axios');
+const { createTokenCache } = require('../utils/tokenCache');
+
+const BASE_URL = process.env.AIRTEL_MONEY_BASE_URL || 'https://openapiuat.airtel.africa';
+const COUNTRY = process.env.AIRTEL_MONEY_COUNTRY || 'UG';
+const CURRENCY = process.env.AIRTEL_MONEY_CURRENCY || 'UGX';
+
+/**
+ * Request a new access token
+ */
+async function requestAirtelToken() {
+    const response = await axios.post(
+        `${BASE_URL}/auth/oauth2/token`,
+        {
+            client_id: process.env.AIRTEL_MONEY_CLIENT_ID,
+            client_secret: process.env.AIRTEL_MONEY_CLIENT_SECRET,
+            grant_type: 'client_credentials'
+        },
+        {
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+
+    return {
+        token: response.data.access_token,
+        expiresAt: Date.now() + Number(response.data.expires_in) * 1000
+    };
+}
+
+const tokenCache = createTokenCache(requestAirtelToken);
+
+/**
+ * Get an access token (cached until shortly before expiry)
+ */
+async function getAirtelToken() {
+    try {
+        return await tokenCache.getToken();
+    } catch (error) {
+        console.error('❌ Error getting Airtel Money token:', error.response?.data || error);
+        throw error;
+    }
+}
+
+/**
+ * Headers for an Airtel Money API call
+ */
+async function airtelHeaders() {
+    return {
+        'Authorization': `Bearer ${await getAirtelToken()}`,
+        'Content-Type': 'application/json',
+        'X-Country': COUNTRY,
+        'X-Currency': CURRENCY
+    };
+}
+
+/**
+ * Push a USSD payment prompt to the subscriber
+ * @param {Object} options
+ * @param {string} options.transactionId - Our unique reference
+ * @param {string} options.msisdn - Subscriber number without country code
+ */
+async function requestPayment({ transactionId, msisdn, amount, reference }) {
+    const response = await axios.post(
+        `${BASE_URL}/merchant/v1/payments/`,
+        {
+            reference,
+            subscriber: { country: COUNTRY, currency: CURRENCY, msisdn },
+            transaction: { amount, country: COUNTRY, currency: CURRENCY, id: transactionId }
+        },
+        { headers: await airtelHeaders() }
+    );
+
+    return response.data;
+}
+
+/**
+ * Status of a payment by our transaction id
+ * data.transaction.status: TS (success), TF (failed), TA (ambiguous),
+ * TIP (in progress) or TE (expired)
+ */
+async function getPaymentStatus(transactionId) {
+    const response = await axios.get(
+        `${BASE_URL}/standard/v1/payments/${transactionId}`,
+        { headers: await airtelHeaders() }
+    );
+
+    return response.data;
+}
+
+/**
+ * Refund a successful payment in full
+ * @param {string} airtelMoneyId - Airtel's id of the payment
+ */
+async function refundPayment(airtelMoneyId) {
+    const response = await axios.post(
+        `${BASE_URL}/standard/v1/payments/refund`,
+        { transaction: { airtel_money_id: airtelMoneyId } },
+        { headers: await airtelHeaders() }
+    );
+
+    return response.data;
+}
+
+/**
+ * Send money from our disbursement wallet to a subscriber
+ * AIRTEL_MONEY_DISBURSEMENT_PIN is the wallet PIN encrypted with Airtel's public key.
+ * @param {Object} options
+ * @param {string} options.transactionId - Our unique reference
+ * @param {string} options.msisdn - Subscriber number without country code
+ */
+async function disburse({ transactionId, msisdn, amount, reference }) {
+    const response = await axios.post(
+        `${BASE_URL}/standard/v1/disbursements/`,
+        {
+            payee: { msisdn },
+            reference,
+            pin: process.env.AIRTEL_MONEY_DISBURSEMENT_PIN,
+            transaction: { amount, id: transactionId }
+        },
+        { headers: await airtelHeaders() }
+    );
+
+    return response.data;
+}
+
+/**
+ * Status of a disbursement by our transaction id
+ * data.transaction.status: TS (success), TF (failed), TA (ambiguous) or TIP (in progress)
+ */
+async function getDisbursementStatus(transactionId) {
+    const response = await axios.get(
+        `${BASE_URL}/standard/v1/disbursements/${transactionId}`,
+        { headers: await airtelHeaders() }
+    );
+
+    return response.data;
+}
+
+module.exports = {
+    requestPayment,
+    getPaymentStatus,
+    refundPayment,
+    disburse,
+    getDisbursementStatus
+};
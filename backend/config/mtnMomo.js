@@ -0,0 +1,201 @@
+/**
+ * MTN Mobile Money (MoMo) Open API Configuration
+ * Collections for payments, Disbursements for refunds and collector payouts.
+ */
+
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const { createTokenCache } = require('../utils/tokenCache');
+
+const BASE_URL = process.env.MTN_MOMO_BASE_URL || 'https://sandbox.momodeveloper.mtn.com';
+const TARGET_ENVIRONMENT = process.env.MTN_MOMO_TARGET_ENVIRONMENT || 'sandbox';
+const CURRENCY = process.env.MTN_MOMO_CURRENCY || 'UGX'; // The sandbox only accepts EUR
+
+// Each MoMo product has its own subscription key and API user
+const PRODUCTS = {
+    collection: {
+        subscriptionKey: process.env.MTN_MOMO_COLLECTION_SUBSCRIPTION_KEY,
+        apiUser: process.env.MTN_MOMO_COLLECTION_API_USER,
+        apiKey: process.env.MTN_MOMO_COLLECTION_API_KEY
+    },
+    disbursement: {
+        subscriptionKey: process.env.MTN_MOMO_DISBURSEMENT_SUBSCRIPTION_KEY,
+        apiUser: process.env.MTN_MOMO_DISBURSEMENT_API_USER,
+        apiKey: process.env.MTN_MOMO_DISBURSEMENT_API_KEY
+    }
+};
+
+/**
+ * Request a new access token for a MoMo product
+ */
+async function requestMomoToken(product) {
+    const { subscriptionKey, apiUser, apiKey } = PRODUCTS[product];
+
+    const response = await axios.post(
+        `${BASE_URL}/${product}/token/`,
+        null,
+        {
+            auth: { username: apiUser, password: apiKey },
+            headers: { 'Ocp-Apim-Subscription-Key': subscriptionKey }
+        }
+    );
+
+    return {
+        token: response.data.access_token,
+        expiresAt: Date.now() + response.data.expires_in * 1000
+    };
+}
+
+const tokenCaches = {
+    collection: createTokenCache(() => requestMomoToken('collection')),
+    disbursement: createTokenCache(() => requestMomoToken('disbursement'))
+};
+
+/**
+ * Get an access token for a MoMo product (cached until shortly before expiry)
+ */
+async function getMomoToken(product) {
+    try {
+        return await tokenCaches[product].getToken();
+    } catch (error) {
+        console.error(`❌ Error getting MTN MoMo ${product} token:`, error.response?.data || error);
+        throw error;
+    }
+}
+
+/**
+ * Headers for a MoMo API call
+ */
+async function momoHeaders(product, extra = {}) {
+    return {
+        'Authorization': `Bearer ${await getMomoToken(product)}`,
+        'Ocp-Apim-Subscription-Key': PRODUCTS[product].subscriptionKey,
+        'X-Target-Environment': TARGET_ENVIRONMENT,
+        'Content-Type': 'application/json',
+        ...extra
+    };
+}
+
+/**
+ * Ask a subscriber to approve a payment on their phone
+ * @returns {Promise<string>} reference id used to query the request
+ */
+async function requestToPay({ amount, externalId, msisdn, payerMessage, payeeNote }) {
+    const referenceId = uuidv4();
+
+    await axios.post(
+        `${BASE_URL}/collection/v1_0/requesttopay`,
+        {
+            amount: String(amount),
+            currency: CURRENCY,
+            externalId,
+            payer: { partyIdType: 'MSISDN', partyId: msisdn },
+            payerMessage,
+            payeeNote
+        },
+        {
+            headers: await momoHeaders('collection', {
+                'X-Reference-Id': referenceId,
+                ...(process.env.MTN_MOMO_CALLBACK_URL && { 'X-Callback-Url': process.env.MTN_MOMO_CALLBACK_URL })
+            })
+        }
+    );
+
+    return referenceId;
+}
+
+/**
+ * Status of a request to pay
+ * status: PENDING, SUCCESSFUL or FAILED
+ */
+async function getRequestToPayStatus(referenceId) {
+    const response = await axios.get(
+        `${BASE_URL}/collection/v1_0/requesttopay/${referenceId}`,
+        { headers: await momoHeaders('collection') }
+    );
+
+    return response.data;
+}
+
+/**
+ * Refund a successful request to pay from the disbursement account
+ * @param {Object} options
+ * @param {string} options.referenceId - UUID v4 identifying the refund, so it can be queried even if this call times out
+ * @returns {Promise<string>} reference id used to query the refund
+ */
+async function refundRequestToPay({ referenceId, referenceIdToRefund, amount, externalId, payerMessage, payeeNote }) {
+    await axios.post(
+        `${BASE_URL}/disbursement/v1_0/refund`,
+        {
+            amount: String(amount),
+            currency: CURRENCY,
+            externalId,
+            payerMessage,
+            payeeNote,
+            referenceIdToRefund
+        },
+        {
+            headers: await momoHeaders('disbursement', { 'X-Reference-Id': referenceId })
+        }
+    );
+
+    return referenceId;
+}
+
+/**
+ * Status of a refund
+ * status: PENDING, SUCCESSFUL or FAILED
+ */
+async function getRefundStatus(referenceId) {
+    const response = await axios.get(
+        `${BASE_URL}/disbursement/v1_0/refund/${referenceId}`,
+        { headers: await momoHeaders('disbursement') }
+    );
+
+    return response.data;
+}
+
+/**
+ * Send money from the disbursement account to a subscriber
+ * @param {Object} options
+ * @param {string} options.referenceId - UUID v4 identifying the transfer, so it can be queried even if this call times out
+ */
+async function transfer({ referenceId, amount, externalId, msisdn, payerMessage, payeeNote }) {
+    await axios.post(
+        `${BASE_URL}/disbursement/v1_0/transfer`,
+        {
+            amount: String(amount),
+            currency: CURRENCY,
+            externalId,
+            payee: { partyIdType: 'MSISDN', partyId: msisdn },
+            payerMessage,
+            payeeNote
+        },
+        {
+            headers: await momoHeaders('disbursement', { 'X-Reference-Id': referenceId })
+        }
+    );
+}
+
+/**
+ * Status of a transfer
+ * status: PENDING, SUCCESSFUL or FAILED
+ */
+async function getTransferStatus(referenceId) {
+    const response = await axios.get(
+        `${BASE_URL}/disbursement/v1_0/transfer/${referenceId}`,
+        { headers: await momoHeaders('disbursement') }
+    );
+
+    return response.data;
+}
+
+module.exports = {
+    CURRENCY,
+    requestToPay,
+    getRequestToPayStatus,
+    refundRequestToPay,
+    getRefundStatus,
+    transfer,
+    getTransferStatus
+};
@@ -0,0 +1,200 @@
+/**
+ * Pesapal API v3 Configuration
+ */
+
+const axios = require('axios');
+const { createTokenCache } = require('../utils/tokenCache');
+
+const BASE_URL = process.env.PESAPAL_ENVIRONMENT === 'live'
+    ? 'https://pay.pesapal.com/v3'
+    : 'https://cybqa.pesapal.com/pesapalv3';
+
+/**
+ * Request a new Pesapal OAuth token
+ * Tokens are valid for 5 minutes; expiryDate says exactly when.
+ */
+async function requestPesapalToken() {
+    const response = await axios.post(
+        `${BASE_URL}/api/Auth/RequestToken`,
+        {
+            consumer_key: process.env.PESAPAL_CONSUMER_KEY,
+            consumer_secret: process.env.PESAPAL_CONSUMER_SECRET
+        },
+        {
+            headers: { 'Content-Type': 'application/json' }
+        }
+    );
+
+    if (!response.data.token) {
+        throw new Error(`Pesapal token request failed: ${response.data.error?.message || response.data.message}`);
+    }
+
+    const expiresAt = Date.parse(response.data.expiryDate);
+
+    return {
+        token: response.data.token,
+        expiresAt: Number.isNaN(expiresAt) ? Date.now() + 5 * 60 * 1000 : expiresAt
+    };
+}
+
+const tokenCache = createTokenCache(requestPesapalToken, { refreshMarginMs: 30 * 1000 });
+
+/**
+ * Get Pesapal OAuth Token
+ * Cached until 30 seconds before expiry; concurrent callers share one refresh.
+ */
+async function getPesapalToken() {
+    try {
+        return await tokenCache.getToken();
+    } catch (error) {
+        console.error('❌ Error getting Pesapal token:', error.response?.data || error);
+        throw error;
+    }
+}
+
+/**
+ * Call the Pesapal API with the cached token
+ * A 401 means the token was revoked before it expired: it is dropped and the
+ * call retried once with a new one.
+ * @param {Object} request - axios request config (method, url, params, data)
+ */
+async function pesapalRequest(request, retried = false) {
+    const token = await getPesapalToken();
+
+    try {
+        return await axios({
+            ...request,
+            headers: {
+                'Authorization': `Bearer ${token}`,
+                'Content-Type': 'application/json'
+            }
+        });
+    } catch (error) {
+        if (error.response?.status === 401 && !retried) {
+            tokenCache.invalidate();
+            return pesapalRequest(request, true);
+        }
+        throw error;
+    }
+}
+
+/**
+ * Submit an order; the resident completes it on Pesapal's checkout page
+ * @returns {Promise<Object>} { order_tracking_id, merchant_reference, redirect_url }
+ */
+async function submitOrder(order) {
+    try {
+        const response = await pesapalRequest({
+            method: 'post',
+            url: `${BASE_URL}/api/Transactions/SubmitOrderRequest`,
+            data: order
+        });
+
+        if (response.data.error) {
+            throw new Error(`Pesapal rejected order: ${response.data.error.message || response.data.error.code}`);
+        }
+
+        return response.data;
+    } catch (error) {
+        console.error('❌ Error submitting Pesapal order:', error.response?.data || error);
+        throw error;
+    }
+}
+
+/**
+ * Get transaction status from Pesapal
+ */
+async function getTransactionStatus(orderTrackingId) {
+    try {
+        const response = await pesapalRequest({
+            method: 'get',
+            url: `${BASE_URL}/api/Transactions/GetTransactionStatus`,
+            params: { orderTrackingId }
+        });
+
+        return response.data;
+    } catch (error) {
+        console.error('❌ Error getting transaction status:', error);
+        throw error;
+    }
+}
+
+/**
+ * Ask Pesapal to refund a completed payment
+ * Pesapal answers with status "200" when the request is accepted; the
+ * transaction later shows as Reversed once the money is returned.
+ */
+async function requestRefund({ confirmationCode, amount, username, remarks }) {
+    try {
+        const response = await pesapalRequest({
+            method: 'post',
+            url: `${BASE_URL}/api/Transactions/RefundRequest`,
+            data: {
+                confirmation_code: confirmationCode,
+                amount: String(amount),
+                username,
+                remarks
+            }
+        });
+
+        return response.data;
+    } catch (error) {
+        console.error('❌ Error requesting refund:', error.response?.data || error);
+        throw error;
+    }
+}
+
+/**
+ * Register a URL that Pesapal should send IPNs to
+ * @param {string} url - Public IPN URL
+ * @param {string} notificationType - 'GET' or 'POST'
+ * @returns {Promise<Object>} { ipn_id, url, ipn_notification_type_description, ipn_status, ... }
+ */
+async function registerIpn(url, notificationType) {
+    try {
+        const response = await pesapalRequest({
+            method: 'post',
+            url: `${BASE_URL}/api/URLSetup/RegisterIPN`,
+            data: {
+                url,
+                ipn_notification_type: notificationType
+            }
+        });
+
+        if (!response.data.ipn_id) {
+            throw new Error(`Pesapal IPN registration failed: ${response.data.error?.message || response.data.message}`);
+        }
+
+        return response.data;
+    } catch (error) {
+        console.error('❌ Error registering Pesapal IPN:', error.response?.data || error);
+        throw error;
+    }
+}
+
+/**
+ * IPN URLs registered for this merchant account
+ */
+async function getIpnList() {
+    try {
+        const response = await pesapalRequest({
+            method: 'get',
+            url: `${BASE_URL}/api/URLSetup/GetIpnList`
+        });
+
+        return response.data;
+    } catch (error) {
+        console.error('❌ Error listing Pesapal IPNs:', error.response?.data || error);
+        throw error;
+    }
+}
+
+module.exports = {
+    BASE_URL,
+    getPesapalToken,
+    submitOrder,
+    getTransactionStatus,
+    requestRefund,
+    registerIpn,
+    getIpnList
+};
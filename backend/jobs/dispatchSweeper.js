@@ -0,0 +1,24 @@
+/**
+ * Dispatch Sweeper Job
+ * Expires unanswered dispatch offers so they cascade to the next collector,
+ * including offers whose in-process timer was lost in a restart
+ */
+
+const { expireStaleOffers } = require('../services/dispatchService');
+
+const SWEEP_INTERVAL_MS = 30 * 1000;
+
+function startDispatchSweeper() {
+    const timer = setInterval(() => {
+        expireStaleOffers().catch(error => {
+            console.error('❌ Dispatch sweeper error:', error);
+        });
+    }, SWEEP_INTERVAL_MS);
+
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    startDispatchSweeper
+};
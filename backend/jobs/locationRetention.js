@@ -0,0 +1,23 @@
+/**
+ * Location Retention Job
+ * Deletes collector positions older than COLLECTOR_LOCATION_RETENTION_DAYS
+ */
+
+const { pruneLocationHistory } = require('../services/locationHistoryService');
+
+const PRUNE_INTERVAL_MS = parseFloat(process.env.LOCATION_PRUNE_INTERVAL_HOURS || 6) * 60 * 60 * 1000;
+
+function startLocationRetention() {
+    const timer = setInterval(() => {
+        pruneLocationHistory().catch(error => {
+            console.error('❌ Location retention error:', error);
+        });
+    }, PRUNE_INTERVAL_MS);
+
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    startLocationRetention
+};
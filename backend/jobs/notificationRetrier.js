@@ -0,0 +1,23 @@
+/**
+ * Notification Retrier Job
+ * Re-sends SMS whose previous attempt failed, once their backoff has passed.
+ */
+
+const { retryPendingNotifications } = require('../services/notificationService');
+
+const RETRY_INTERVAL_MS = parseFloat(process.env.NOTIFICATION_RETRY_INTERVAL_SECONDS || 60) * 1000;
+
+function startNotificationRetrier() {
+    const timer = setInterval(() => {
+        retryPendingNotifications().catch(error => {
+            console.error('❌ Notification retrier error:', error);
+        });
+    }, RETRY_INTERVAL_MS);
+
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    startNotificationRetrier
+};
@@ -0,0 +1,185 @@
+/**
+ * Payment Reconciler Job
+ * Re-queries the provider for payments stuck in pending/processing (e.g. a lost
+ * webhook) and applies the result exactly like the webhook handler. Payments
+ * that stay unconfirmed past PAYMENT_EXPIRY_HOURS are marked failed. Approved
+ * refunds that never reached the provider are resubmitted. Payments
+ * flagged because the provider's amount or reference did not match are left
+ * for staff. Refunds
+ * and collector payouts sent to a provider are checked the same way until they
+ * complete or fail.
+ */
+
+const { supabase } = require('../config/supabase');
+const { syncPaymentStatus, reversePayment } = require('../services/paymentService');
+const { resubmitRefund, failRefund } = require('../services/refundService');
+const { getProviderForPayment } = require('../services/paymentProviders');
+const { reconcileProcessingPayouts } = require('../services/payoutService');
+
+const RECONCILE_INTERVAL_MS = parseFloat(process.env.PAYMENT_RECONCILE_INTERVAL_MINUTES || 5) * 60 * 1000;
+const STALE_AFTER_MINUTES = parseFloat(process.env.PAYMENT_STALE_AFTER_MINUTES || 10);
+const EXPIRY_HOURS = parseFloat(process.env.PAYMENT_EXPIRY_HOURS || 24);
+const BATCH_SIZE = 50;
+
+/**
+ * Mark a payment that never completed as failed
+ */
+async function expirePayment(payment) {
+    const { error } = await supabase
+        .from('payments')
+        .update({
+            payment_status: 'failed',
+            failure_reason: `Not confirmed within ${EXPIRY_HOURS} hours`,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id)
+        .in('payment_status', ['pending', 'processing']);
+
+    if (error) {
+        throw error;
+    }
+
+    console.log(`⌛ Payment ${payment.id} expired`);
+}
+
+/**
+ * Reconcile one batch of stale payments
+ */
+async function reconcileStalePayments() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MINUTES * 60 * 1000).toISOString();
+    const expiredBefore = new Date(Date.now() - EXPIRY_HOURS * 60 * 60 * 1000);
+
+    const { data: payments, error } = await supabase
+        .from('payments')
+        .select('id, merchant_reference, provider_reference, initiated_at')
+        .in('payment_status', ['pending', 'processing'])
+        .eq('flagged_for_review', false)
+        .lt('updated_at', staleBefore)
+        .order('updated_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        throw error;
+    }
+
+    for (const payment of payments) {
+        try {
+            let paymentStatus = 'pending';
+
+            if (payment.provider_reference) {
+                ({ paymentStatus } = await syncPaymentStatus(payment.merchant_reference));
+            }
+
+            const stillOpen = paymentStatus === 'pending' || paymentStatus === 'processing';
+            if (stillOpen && new Date(payment.initiated_at) < expiredBefore) {
+                await expirePayment(payment);
+            } else if (stillOpen) {
+                // Unchanged provider status is a duplicate event - move to the back of the queue
+                await supabase
+                    .from('payments')
+                    .update({ updated_at: new Date().toISOString() })
+                    .eq('id', payment.id);
+            }
+        } catch (reconcileError) {
+            console.error(`❌ Failed to reconcile payment ${payment.id}:`, reconcileError.response?.data || reconcileError);
+        }
+    }
+
+    return payments.length;
+}
+
+/**
+ * Check refunds that the provider accepted but has not paid out yet
+ */
+async function reconcileProcessingRefunds() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MINUTES * 60 * 1000).toISOString();
+
+    const { data: refunds, error } = await supabase
+        .from('refunds')
+        .select('*, payment:payments(*)')
+        .eq('status', 'processing')
+        .lt('submitted_at', staleBefore)
+        .order('submitted_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        throw error;
+    }
+
+    for (const refund of refunds) {
+        try {
+            const { payment, ...refundRow } = refund;
+            const result = await getProviderForPayment(payment).getRefundStatus({ payment, refund: refundRow });
+
+            if (result.status === 'completed') {
+                // Completes the refund and cancels the report
+                await reversePayment(payment);
+            } else if (result.status === 'failed') {
+                await failRefund(refundRow, result.message || 'Refund failed at the provider', result.response);
+            }
+        } catch (reconcileError) {
+            console.error(`❌ Failed to reconcile refund ${refund.id}:`, reconcileError.response?.data || reconcileError);
+        }
+    }
+
+    return refunds.length;
+}
+
+/**
+ * Resubmit refunds left approved (the provider call or the process failed
+ * before the refund moved to processing). Providers that can look a refund up
+ * by our reference are asked first, so an accepted refund is not sent twice.
+ */
+async function resubmitApprovedRefunds() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MINUTES * 60 * 1000).toISOString();
+
+    const { data: refunds, error } = await supabase
+        .from('refunds')
+        .select(`
+            *,
+            payment:payments(*),
+            reviewer:users!refunds_reviewed_by_fkey(full_name, phone_number)
+        `)
+        .eq('status', 'approved')
+        .lt('reviewed_at', staleBefore)
+        .order('reviewed_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        throw error;
+    }
+
+    for (const refund of refunds) {
+        try {
+            const { payment, reviewer, ...refundRow } = refund;
+            console.log(`🔁 Resubmitting approved refund ${refund.id}`);
+            await resubmitRefund(refundRow, payment, reviewer || { full_name: 'KCCA GFC' });
+        } catch (reconcileError) {
+            console.error(`❌ Failed to resubmit refund ${refund.id}:`, reconcileError.response?.data || reconcileError);
+        }
+    }
+
+    return refunds.length;
+}
+
+function startPaymentReconciler() {
+    const timer = setInterval(() => {
+        reconcileStalePayments()
+            .then(() => resubmitApprovedRefunds())
+            .then(() => reconcileProcessingRefunds())
+            .then(() => reconcileProcessingPayouts())
+            .catch(error => {
+                console.error('❌ Payment reconciler error:', error);
+            });
+    }, RECONCILE_INTERVAL_MS);
+
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    reconcileStalePayments,
+    resubmitApprovedRefunds,
+    reconcileProcessingRefunds,
+    startPaymentReconciler
+};
@@ -0,0 +1,39 @@
+/**
+ * Subscription Scheduler Job
+ * Generates due subscription pickups, requests renewal payments and moves
+ * unpaid subscriptions through the grace period to suspension.
+ */
+
+const {
+    generateDuePickups,
+    billDueSubscriptions,
+    enforceBillingGrace
+} = require('../services/subscriptionService');
+
+const SCHEDULER_INTERVAL_MS = parseFloat(process.env.SUBSCRIPTION_SCHEDULER_INTERVAL_MINUTES || 60) * 60 * 1000;
+
+/**
+ * One pass of the scheduler
+ * Grace is enforced first so suspended subscriptions get no new pickups.
+ */
+async function runSubscriptionScheduler() {
+    await enforceBillingGrace();
+    await generateDuePickups();
+    await billDueSubscriptions();
+}
+
+function startSubscriptionScheduler() {
+    const timer = setInterval(() => {
+        runSubscriptionScheduler().catch(error => {
+            console.error('❌ Subscription scheduler error:', error);
+        });
+    }, SCHEDULER_INTERVAL_MS);
+
+    timer.unref();
+    return timer;
+}
+
+module.exports = {
+    runSubscriptionScheduler,
+    startSubscriptionScheduler
+};
@@ -23,12 +23,26 @@ async function authenticateToken(req, res, next) {
         // Verify JWT
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
-        // Fetch user from database
-        const { data: user, error } = await supabase
-            .from('users')
-            .select('*')
-            .eq('id', decoded.userId)
-            .single();
+        if (!decoded.sid) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired token'
+            });
+        }
+
+        // Fetch user and session from database
+        const [{ data: user, error }, { data: session }] = await Promise.all([
+            supabase
+                .from('users')
+                .select('*')
+                .eq('id', decoded.userId)
+                .single(),
+            supabase
+                .from('user_sessions')
+                .select('id, user_id, revoked_at')
+                .eq('id', decoded.sid)
+                .maybeSingle()
+        ]);
 
         if (error || !user) {
             return res.status(401).json({
@@ -37,6 +51,13 @@ async function authenticateToken(req, res, next) {
             });
         }
 
+        if (!session || session.user_id !== user.id || session.revoked_at) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has been revoked. Please log in again.'
+            });
+        }
+
         if (!user.is_active) {
             return res.status(403).json({
                 success: false,
@@ -44,8 +65,9 @@ async function authenticateToken(req, res, next) {
             });
         }
 
-        // Attach user to request
+        // Attach user and session to request
         req.user = user;
+        req.sessionId = session.id;
         next();
 
     } catch (error) {
@@ -57,7 +79,7 @@ async function authenticateToken(req, res, next) {
 }
 
 /**
- * Require specific user type (resident or collector)
+ * Require specific user type (resident, collector, supervisor or admin)
  */
 function requireUserType(...allowedTypes) {
     return (req, res, next) => {
@@ -0,0 +1,35 @@
+/**
+ * Callback Token Middleware
+ * Africa's Talking does not sign its callbacks, so USSD, inbound SMS and
+ * delivery report callback URLs carry a secret ?token= that proves where the
+ * request came from. The phone number in those requests is then trusted as
+ * the caller.
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Reject callbacks without the token held in the given environment variable
+ * Without the variable the callback only runs outside production.
+ * @param {string} envName - e.g. 'USSD_CALLBACK_TOKEN'
+ */
+function requireCallbackToken(envName) {
+    return (req, res, next) => {
+        const expected = process.env[envName];
+        if (!expected) {
+            return process.env.NODE_ENV !== 'production'
+                ? next()
+                : res.status(403).send('Forbidden');
+        }
+
+        const given = Buffer.from(String(req.query.token || ''));
+        const valid = given.length === Buffer.byteLength(expected)
+            && crypto.timingSafeEqual(given, Buffer.from(expected));
+
+        return valid ? next() : res.status(403).send('Forbidden');
+    };
+}
+
+module.exports = {
+    requireCallbackToken
+};
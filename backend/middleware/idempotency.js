@@ -0,0 +1,117 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a client retries a request with the same
+ * Idempotency-Key header, instead of running it twice.
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+
+const KEY_PATTERN = /^[A-Za-z0-9_-]{8,100}$/;
+
+/**
+ * Make a route idempotent per user and Idempotency-Key
+ * Requests without the header run normally.
+ */
+function idempotent() {
+    return async (req, res, next) => {
+        const key = req.headers['idempotency-key'];
+
+        if (!key) {
+            return next();
+        }
+
+        if (!KEY_PATTERN.test(key)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Idempotency-Key must be 8-100 letters, digits, dashes or underscores'
+            });
+        }
+
+        try {
+            const requestHash = crypto
+                .createHash('sha256')
+                .update(`${req.method} ${req.originalUrl} ${JSON.stringify(req.body || {})}`)
+                .digest('hex');
+
+            const { error: insertError } = await supabase
+                .from('idempotency_keys')
+                .insert([{
+                    user_id: req.user.id,
+                    idempotency_key: key,
+                    request_hash: requestHash,
+                    status: 'processing'
+                }]);
+
+            if (insertError) {
+                if (insertError.code !== '23505') {
+                    throw insertError;
+                }
+
+                // Key seen before - replay or reject
+                const { data: stored } = await supabase
+                    .from('idempotency_keys')
+                    .select('*')
+                    .eq('user_id', req.user.id)
+                    .eq('idempotency_key', key)
+                    .single();
+
+                if (!stored || stored.request_hash !== requestHash) {
+                    return res.status(422).json({
+                        success: false,
+                        message: 'Idempotency-Key was already used for a different request'
+                    });
+                }
+
+                if (stored.status !== 'completed') {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'A request with this Idempotency-Key is still in progress'
+                    });
+                }
+
+                res.set('Idempotent-Replayed', 'true');
+                return res.status(stored.response_status).json(stored.response_body);
+            }
+
+            // Capture the response so retries get the same result
+            const originalJson = res.json.bind(res);
+            res.json = (body) => {
+                const query = res.statusCode >= 500
+                    // Let the client retry server errors
+                    ? supabase
+                        .from('idempotency_keys')
+                        .delete()
+                        .eq('user_id', req.user.id)
+                        .eq('idempotency_key', key)
+                    : supabase
+                        .from('idempotency_keys')
+                        .update({
+                            status: 'completed',
+                            response_status: res.statusCode,
+                            response_body: body,
+                            completed_at: new Date().toISOString()
+                        })
+                        .eq('user_id', req.user.id)
+                        .eq('idempotency_key', key);
+
+                query.then(({ error }) => {
+                    if (error) {
+                        console.error('❌ Failed to store idempotent response:', error);
+                    }
+                });
+
+                return originalJson(body);
+            };
+
+            next();
+
+        } catch (error) {
+            next(error);
+        }
+    };
+}
+
+module.exports = {
+    idempotent
+};
@@ -0,0 +1,1520 @@
+/**
+ * Admin Routes
+ * Management API for KCCA staff
+ * - admin: full access across all divisions
+ * - supervisor: limited to residents, collectors and reports in their own division (users.area)
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { supabase } = require('../config/supabase');
+const { notify } = require('../services/notificationService');
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { revokeAllSessions } = require('../services/tokenService');
+const { SYSTEM_ACTOR, assertTransition, changeReportStatus } = require('../services/reportStatusService');
+const { cancelOpenOffers, dispatchReport } = require('../services/dispatchService');
+const { reviewRefund } = require('../services/refundService');
+const { reviewFlaggedPayment } = require('../services/paymentService');
+const { registerPesapalIpn, listPesapalIpns } = require('../services/pesapalIpnService');
+const { creditCollectionEarning } = require('../services/earningsService');
+const { runPayoutBatch, getPayoutBatch } = require('../services/payoutService');
+const { EXPORT_SHEETS, buildFinanceReport, exportFinanceReport } = require('../services/financeReportService');
+const { getTrail, getDistanceSummary } = require('../services/locationHistoryService');
+const { getCollectorStatus } = require('../services/shiftService');
+const { startOfKampalaMonth } = require('../utils/kampalaTime');
+
+// All admin routes require KCCA staff
+router.use(authenticateToken, requireUserType('admin', 'supervisor'));
+
+// Validation schemas
+const paginationFields = {
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+};
+
+const listUsersSchema = Joi.object({
+    ...paginationFields,
+    search: Joi.string().pattern(/^[\w\s+'.-]+$/).max(100).optional()
+        .messages({ 'string.pattern.base': 'Search may only contain letters, numbers and spaces' }),
+    user_type: Joi.string().valid('resident', 'collector', 'supervisor', 'admin').optional(),
+    area: Joi.string().max(100).optional(),
+    is_active: Joi.boolean().optional()
+});
+
+const createUserSchema = Joi.object({
+    phone_number: Joi.string().pattern(/^\+256[0-9]{9}$/).required()
+        .messages({ 'string.pattern.base': 'Phone must be in format +256XXXXXXXXX' }),
+    full_name: Joi.string().min(2).max(100).required(),
+    user_type: Joi.string().valid('collector', 'supervisor', 'admin').required(),
+    email: Joi.string().email().allow(null, '').optional(),
+    area: Joi.when('user_type', {
+        is: 'admin',
+        then: Joi.string().max(100).allow(null, '').optional(),
+        otherwise: Joi.string().max(100).required()
+    })
+});
+
+const userStatusSchema = Joi.object({
+    is_active: Joi.boolean().required(),
+    reason: Joi.string().max(500).optional()
+});
+
+const listReportsSchema = Joi.object({
+    ...paginationFields,
+    status: Joi.string().valid('pending', 'assigned', 'in_progress', 'completed', 'cancelled').optional(),
+    area: Joi.string().max(100).optional(),
+    collector_id: Joi.string().uuid().optional()
+});
+
+const assignReportSchema = Joi.object({
+    collector_id: Joi.string().uuid().required()
+});
+
+const cancelReportSchema = Joi.object({
+    reason: Joi.string().max(500).required()
+});
+
+const listFlaggedCollectionsSchema = Joi.object({
+    ...paginationFields,
+    review_status: Joi.string().valid('pending', 'approved', 'rejected').default('pending'),
+    area: Joi.string().max(100).optional()
+});
+
+const reviewCollectionSchema = Joi.object({
+    decision: Joi.string().valid('approved', 'rejected').required(),
+    notes: Joi.string().max(1000).optional()
+});
+
+const listPaymentsSchema = Joi.object({
+    ...paginationFields,
+    status: Joi.string().valid('pending', 'processing', 'successful', 'failed', 'cancelled', 'reversed').optional(),
+    flagged: Joi.boolean().optional(),
+    area: Joi.string().max(100).optional(),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional()
+});
+
+const reviewPaymentSchema = Joi.object({
+    decision: Joi.string().valid('approved', 'rejected').required(),
+    notes: Joi.string().max(1000).optional()
+});
+
+const listTariffsSchema = Joi.object({
+    include_inactive: Joi.boolean().default(false),
+    division: Joi.string().pattern(/^[\w\s'.-]+$/).max(100).optional()
+        .messages({ 'string.pattern.base': 'Division may only contain letters, numbers and spaces' })
+});
+
+const createTariffSchema = Joi.object({
+    garbage_type: Joi.string().valid('mixed', 'plastic', 'organic', 'electronic', 'hazardous').allow(null).default(null),
+    estimated_volume: Joi.string().valid('small', 'medium', 'large').allow(null).default(null),
+    division: Joi.string().max(100).allow(null).default(null),
+    amount: Joi.number().min(500).max(1000000).required() // UGX
+});
+
+const updateTariffSchema = Joi.object({
+    amount: Joi.number().min(500).max(1000000),
+    is_active: Joi.boolean()
+}).min(1);
+
+const registerIpnSchema = Joi.object({
+    url: Joi.string().uri({ scheme: ['https', 'http'] }).optional(), // defaults to PESAPAL_IPN_URL
+    notification_type: Joi.string().valid('GET', 'POST').default('GET')
+});
+
+const listRefundsSchema = Joi.object({
+    ...paginationFields,
+    status: Joi.string().valid('requested', 'approved', 'rejected', 'processing', 'completed', 'failed').optional(),
+    area: Joi.string().max(100).optional()
+});
+
+const listPayoutBatchesSchema = Joi.object({
+    ...paginationFields,
+    status: Joi.string().valid('processing', 'completed').optional()
+});
+
+const financeReportFields = {
+    from: Joi.date().iso().optional(), // defaults to the start of this month (Kampala time)
+    to: Joi.date().iso().optional(), // defaults to now
+    area: Joi.string().max(100).optional()
+};
+
+const financeReportSchema = Joi.object(financeReportFields);
+
+const financeExportSchema = Joi.object({
+    ...financeReportFields,
+    format: Joi.string().valid('csv', 'xlsx').default('xlsx'),
+    sheet: Joi.string().valid(...EXPORT_SHEETS).default('division') // CSV only; XLSX has every sheet
+});
+
+const capacitySchema = Joi.object({
+    max_concurrent_assignments: Joi.number().integer().min(1).max(50).required()
+});
+
+const locationHistorySchema = Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional()
+});
+
+const reviewRefundSchema = Joi.object({
+    decision: Joi.string().valid('approved', 'rejected').required(),
+    notes: Joi.string().max(1000).when('decision', { is: 'rejected', then: Joi.required() })
+});
+
+/**
+ * Division the request is limited to (null = all divisions)
+ */
+function scopedArea(staff, requestedArea) {
+    return staff.user_type === 'supervisor' ? staff.area : (requestedArea || null);
+}
+
+/**
+ * Whether a staff member may manage a given user
+ */
+function canManageUser(staff, user) {
+    if (staff.user_type === 'admin') {
+        return true;
+    }
+    return ['resident', 'collector'].includes(user.user_type) && user.area === staff.area;
+}
+
+/**
+ * Finance report for the requested range, limited to the staff member's division
+ */
+function financeReport(staff, { from, to, area }) {
+    const now = new Date();
+
+    return buildFinanceReport({
+        from: from || startOfKampalaMonth(now),
+        to: to || now,
+        area: scopedArea(staff, area)
+    });
+}
+
+/**
+ * Supabase range for a page
+ */
+function pageRange(page, limit) {
+    const from = (page - 1) * limit;
+    return [from, from + limit - 1];
+}
+
+/**
+ * Load a report the staff member is allowed to manage
+ */
+async function findScopedReport(id, staff) {
+    const { data: report } = await supabase
+        .from('garbage_reports')
+        .select(`
+            *,
+            payments (*),
+            resident:users!garbage_reports_resident_id_fkey (
+                id,
+                full_name,
+                phone_number,
+                area
+            )
+        `)
+        .eq('id', id)
+        .single();
+
+    if (!report) {
+        return null;
+    }
+
+    if (staff.user_type === 'supervisor' && report.resident?.area !== staff.area) {
+        return null;
+    }
+
+    return report;
+}
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * GET /api/admin/users
+ * List and search users
+ */
+router.get('/users', async (req, res, next) => {
+    try {
+        const { error, value } = listUsersSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, search, user_type, is_active } = value;
+        const area = scopedArea(req.user, value.area);
+
+        let query = supabase
+            .from('users')
+            .select('id, phone_number, full_name, user_type, email, area, is_active, phone_verified_at, created_at', { count: 'exact' });
+
+        if (req.user.user_type === 'supervisor') {
+            query = query.in('user_type', ['resident', 'collector']);
+        }
+        if (user_type) query = query.eq('user_type', user_type);
+        if (area) query = query.eq('area', area);
+        if (is_active !== undefined) query = query.eq('is_active', is_active);
+        if (search) {
+            query = query.or(`full_name.ilike.%${search}%,phone_number.ilike.%${search}%`);
+        }
+
+        const { data: users, count, error: fetchError } = await query
+            .order('created_at', { ascending: false })
+            .range(...pageRange(page, limit));
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                users,
+                pagination: { page, limit, total: count }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/users/:id
+ * Get a single user with their report counts
+ */
+router.get('/users/:id', async (req, res, next) => {
+    try {
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, phone_number, full_name, user_type, email, area, is_active, availability_status, max_concurrent_assignments, phone_verified_at, created_at, updated_at')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!user || !canManageUser(req.user, user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const reportColumn = user.user_type === 'collector' ? 'assigned_collector_id' : 'resident_id';
+        const { count: reportCount } = await supabase
+            .from('garbage_reports')
+            .select('id', { count: 'exact', head: true })
+            .eq(reportColumn, user.id);
+
+        res.json({
+            success: true,
+            data: {
+                user,
+                report_count: reportCount || 0
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/users
+ * Create a collector or staff account (admins only)
+ */
+router.post('/users', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const { error, value } = createUserSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { data: existingUser } = await supabase
+            .from('users')
+            .select('id')
+            .eq('phone_number', value.phone_number)
+            .single();
+
+        if (existingUser) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number already registered'
+            });
+        }
+
+        // Active immediately; phone is verified on first OTP login
+        const { data: newUser, error: insertError } = await supabase
+            .from('users')
+            .insert([{
+                ...value,
+                is_active: true
+            }])
+            .select('id, phone_number, full_name, user_type, email, area, is_active, created_at')
+            .single();
+
+        if (insertError) {
+            throw insertError;
+        }
+
+        await notify(newUser.phone_number, 'staff_account_created', {
+            name: newUser.full_name,
+            role: newUser.user_type
+        }, { userId: newUser.id });
+
+        res.status(201).json({
+            success: true,
+            message: 'User created',
+            data: { user: newUser }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/users/:id/status
+ * Activate or deactivate an account
+ * Deactivation revokes all sessions so it takes effect immediately
+ */
+router.patch('/users/:id/status', async (req, res, next) => {
+    try {
+        const { error, value } = userStatusSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        if (req.params.id === req.user.id) {
+            return res.status(400).json({
+                success: false,
+                message: 'You cannot change the status of your own account'
+            });
+        }
+
+        const { data: user } = await supabase
+            .from('users')
+            .select('id, user_type, area')
+            .eq('id', req.params.id)
+            .single();
+
+        if (!user || !canManageUser(req.user, user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const { data: updatedUser, error: updateError } = await supabase
+            .from('users')
+            .update({ is_active: value.is_active })
+            .eq('id', user.id)
+            .select('id, phone_number, full_name, user_type, area, is_active')
+            .single();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        let openAssignments = 0;
+        if (!value.is_active) {
+            await revokeAllSessions(user.id, 'account_deactivated');
+
+            if (user.user_type === 'collector') {
+                const { count } = await supabase
+                    .from('garbage_reports')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('assigned_collector_id', user.id)
+                    .in('status', ['assigned', 'in_progress']);
+                openAssignments = count || 0;
+            }
+
+            console.log(`🔒 User ${user.id} deactivated by ${req.user.id}: ${value.reason || 'no reason given'}`);
+        }
+
+        res.json({
+            success: true,
+            message: value.is_active ? 'Account activated' : 'Account deactivated',
+            data: {
+                user: updatedUser,
+                open_assignments: openAssignments
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// COLLECTORS
+// ============================================
+
+/**
+ * Collector the staff member may track, or null
+ */
+async function findManagedCollector(staff, collectorId) {
+    const { data: collector } = await supabase
+        .from('users')
+        .select('id, full_name, user_type, area')
+        .eq('id', collectorId)
+        .eq('user_type', 'collector')
+        .maybeSingle();
+
+    return collector && canManageUser(staff, collector) ? collector : null;
+}
+
+/**
+ * GET /api/admin/collectors/:id/shift
+ * A collector's current shift, availability and open jobs
+ */
+router.get('/collectors/:id/shift', async (req, res, next) => {
+    try {
+        const collector = await findManagedCollector(req.user, req.params.id);
+        if (!collector) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collector not found'
+            });
+        }
+
+        const status = await getCollectorStatus(collector.id);
+
+        res.json({
+            success: true,
+            data: status
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/collectors/:id/capacity
+ * Set how many jobs a collector may hold at once
+ */
+router.patch('/collectors/:id/capacity', async (req, res, next) => {
+    try {
+        const { error, value } = capacitySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const collector = await findManagedCollector(req.user, req.params.id);
+        if (!collector) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collector not found'
+            });
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('users')
+            .update({
+                max_concurrent_assignments: value.max_concurrent_assignments,
+                updated_at: new Date().toISOString()
+            })
+            .eq('id', collector.id)
+            .select('id, full_name, area, availability_status, max_concurrent_assignments')
+            .single();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        res.json({
+            success: true,
+            message: 'Capacity updated',
+            data: { collector: updated }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/collectors/:id/trail
+ * Where a collector went, as GeoJSON (default: last 24 hours)
+ * Query: from, to
+ */
+router.get('/collectors/:id/trail', async (req, res, next) => {
+    try {
+        const { error, value } = locationHistorySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const collector = await findManagedCollector(req.user, req.params.id);
+        if (!collector) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collector not found'
+            });
+        }
+
+        const trail = await getTrail(collector.id, value);
+
+        res.json({
+            success: true,
+            data: trail
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/collectors/:id/distance
+ * Distance a collector travelled per shift (default: last 7 days)
+ * Query: from, to
+ */
+router.get('/collectors/:id/distance', async (req, res, next) => {
+    try {
+        const { error, value } = locationHistorySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const collector = await findManagedCollector(req.user, req.params.id);
+        if (!collector) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collector not found'
+            });
+        }
+
+        const summary = await getDistanceSummary(collector.id, value);
+
+        res.json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// REPORTS
+// ============================================
+
+/**
+ * GET /api/admin/reports
+ * List garbage reports
+ */
+router.get('/reports', async (req, res, next) => {
+    try {
+        const { error, value } = listReportsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, status, collector_id } = value;
+        const area = scopedArea(req.user, value.area);
+
+        let query = supabase
+            .from('garbage_reports')
+            .select(`
+                *,
+                payments (
+                    id,
+                    payment_status,
+                    amount
+                ),
+                resident:users!garbage_reports_resident_id_fkey!inner (
+                    id,
+                    full_name,
+                    phone_number,
+                    area
+                ),
+                assigned_collector:users!garbage_reports_assigned_collector_id_fkey (
+                    id,
+                    full_name,
+                    phone_number
+                )
+            `, { count: 'exact' });
+
+        if (status) query = query.eq('status', status);
+        if (collector_id) query = query.eq('assigned_collector_id', collector_id);
+        if (area) query = query.eq('resident.area', area);
+
+        const { data: reports, count, error: fetchError } = await query
+            .order('reported_at', { ascending: false })
+            .range(...pageRange(page, limit));
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                reports,
+                pagination: { page, limit, total: count }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/reports/:id/assign
+ * Manually assign or reassign a report to a collector
+ */
+router.patch('/reports/:id/assign', async (req, res, next) => {
+    try {
+        const { error, value } = assignReportSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const report = await findScopedReport(req.params.id, req.user);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        assertTransition(report, 'assigned', req.user);
+
+        const paid = report.payments?.some(payment => payment.payment_status === 'successful');
+        if (report.payment_required && !paid) {
+            return res.status(400).json({
+                success: false,
+                message: 'Payment not completed for this report'
+            });
+        }
+
+        const { data: collector } = await supabase
+            .from('users')
+            .select('id, full_name, phone_number, user_type, area, is_active')
+            .eq('id', value.collector_id)
+            .single();
+
+        if (!collector || collector.user_type !== 'collector' || !canManageUser(req.user, collector)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Collector not found'
+            });
+        }
+
+        if (!collector.is_active) {
+            return res.status(400).json({
+                success: false,
+                message: 'Collector account is deactivated'
+            });
+        }
+
+        const updatedReport = await changeReportStatus({
+            report,
+            toStatus: 'assigned',
+            actor: req.user,
+            reason: report.assigned_collector_id ? 'Reassigned by KCCA staff' : 'Assigned by KCCA staff',
+            changes: { assigned_collector_id: collector.id }
+        });
+
+        await cancelOpenOffers(report.id);
+
+        await notify(collector.phone_number, 'job_assigned_by_staff', {
+            name: collector.full_name,
+            code: report.short_code,
+            location: report.address_description
+        }, { userId: collector.id });
+
+        res.json({
+            success: true,
+            message: report.assigned_collector_id ? 'Report reassigned' : 'Report assigned',
+            data: { report: updatedReport }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/reports/:id/cancel
+ * Cancel a report
+ */
+router.patch('/reports/:id/cancel', async (req, res, next) => {
+    try {
+        const { error, value } = cancelReportSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const report = await findScopedReport(req.params.id, req.user);
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        const updatedReport = await changeReportStatus({
+            report,
+            toStatus: 'cancelled',
+            actor: req.user,
+            reason: value.reason
+        });
+
+        res.json({
+            success: true,
+            message: 'Report cancelled',
+            data: { report: updatedReport }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// FLAGGED COLLECTIONS
+// ============================================
+
+/**
+ * GET /api/admin/flagged-collections
+ * Collections completed outside the geofence, awaiting or after review
+ */
+router.get('/flagged-collections', async (req, res, next) => {
+    try {
+        const { error, value } = listFlaggedCollectionsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, review_status } = value;
+        const area = scopedArea(req.user, value.area);
+
+        let query = supabase
+            .from('collection_logs')
+            .select(`
+                *,
+                collector:users!collection_logs_collector_id_fkey (
+                    id,
+                    full_name,
+                    phone_number
+                ),
+                report:garbage_reports!inner (
+                    id,
+                    address_description,
+                    status,
+                    resident:users!garbage_reports_resident_id_fkey!inner (
+                        id,
+                        full_name,
+                        area
+                    )
+                )
+            `, { count: 'exact' })
+            .eq('flagged_for_review', true)
+            .eq('review_status', review_status);
+
+        if (area) query = query.eq('report.resident.area', area);
+
+        const { data: collections, count, error: fetchError } = await query
+            .order('completed_at', { ascending: false })
+            .range(...pageRange(page, limit));
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                collections,
+                pagination: { page, limit, total: count }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/flagged-collections/:id/review
+ * Approve or reject a flagged collection
+ * Approval credits the collector's earnings; rejected collections earn nothing
+ * and the report is reopened for another collector.
+ */
+router.patch('/flagged-collections/:id/review', async (req, res, next) => {
+    try {
+        const { error, value } = reviewCollectionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { data: collection } = await supabase
+            .from('collection_logs')
+            .select('id, report_id, flagged_for_review, review_status')
+            .eq('id', req.params.id)
+            .single();
+
+        const report = collection && await findScopedReport(collection.report_id, req.user);
+        if (!collection || !collection.flagged_for_review || !report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Flagged collection not found'
+            });
+        }
+
+        if (collection.review_status !== 'pending') {
+            return res.status(409).json({
+                success: false,
+                message: `Collection already ${collection.review_status}`
+            });
+        }
+
+        const { data: reviewed, error: updateError } = await supabase
+            .from('collection_logs')
+            .update({
+                review_status: value.decision,
+                review_notes: value.notes || null,
+                reviewed_by: req.user.id,
+                reviewed_at: new Date().toISOString()
+            })
+            .eq('id', collection.id)
+            .eq('review_status', 'pending')
+            .select();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        if (!reviewed || reviewed.length === 0) {
+            return res.status(409).json({
+                success: false,
+                message: 'Collection was reviewed by someone else. Please refresh.'
+            });
+        }
+
+        // Earnings were held back while the collection was under review
+        if (value.decision === 'approved') {
+            await creditCollectionEarning(collection.report_id);
+        } else if (report.status === 'completed') {
+            // The garbage may still be there - offer the job again
+            await changeReportStatus({
+                report,
+                toStatus: 'pending',
+                actor: SYSTEM_ACTOR,
+                reason: 'Flagged collection rejected'
+            });
+
+            dispatchReport(report.id).catch(dispatchError => {
+                console.error('❌ Dispatch error:', dispatchError);
+            });
+        }
+
+        res.json({
+            success: true,
+            message: `Collection ${value.decision}`,
+            data: { collection: reviewed[0] }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// PAYMENTS
+// ============================================
+
+/**
+ * GET /api/admin/payments
+ * List payments
+ */
+router.get('/payments', async (req, res, next) => {
+    try {
+        const { error, value } = listPaymentsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, status, flagged, from, to } = value;
+        const area = scopedArea(req.user, value.area);
+
+        let query = supabase
+            .from('payments')
+            .select(`
+                *,
+                resident:users!payments_resident_id_fkey!inner (
+                    id,
+                    full_name,
+                    phone_number,
+                    area
+                )
+            `, { count: 'exact' });
+
+        if (status) query = query.eq('payment_status', status);
+        if (flagged !== undefined) query = query.eq('flagged_for_review', flagged);
+        if (area) query = query.eq('resident.area', area);
+        if (from) query = query.gte('initiated_at', from.toISOString());
+        if (to) query = query.lte('initiated_at', to.toISOString());
+
+        const { data: payments, count, error: fetchError } = await query
+            .order('initiated_at', { ascending: false })
+            .range(...pageRange(page, limit));
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                payments,
+                pagination: { page, limit, total: count }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/payments/:id/review
+ * Accept or reject a payment held for an amount, currency or reference mismatch (admins only)
+ * Approval completes it and dispatches the report; rejection fails it so the
+ * resident can pay again.
+ */
+router.patch('/payments/:id/review', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const { error, value } = reviewPaymentSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const payment = await reviewFlaggedPayment(req.params.id, req.user, value.decision, value.notes);
+
+        res.json({
+            success: true,
+            message: `Payment ${value.decision}`,
+            data: { payment }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/pesapal/ipns
+ * IPN URLs registered with Pesapal (admins only)
+ */
+router.get('/pesapal/ipns', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const ipns = await listPesapalIpns();
+
+        res.json({
+            success: true,
+            data: { ipns }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/pesapal/ipns
+ * Register the IPN URL with Pesapal and use its notification_id for new orders (admins only)
+ */
+router.post('/pesapal/ipns', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const { error, value } = registerIpnSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        if (!value.url && !process.env.PESAPAL_IPN_URL) {
+            return res.status(400).json({
+                success: false,
+                message: 'url is required when PESAPAL_IPN_URL is not set'
+            });
+        }
+
+        const ipn = await registerPesapalIpn({
+            url: value.url,
+            notificationType: value.notification_type,
+            registeredBy: req.user.id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Pesapal IPN registered',
+            data: { ipn }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// TARIFFS
+// ============================================
+
+/**
+ * GET /api/admin/tariffs
+ * List collection fee tariffs
+ */
+router.get('/tariffs', async (req, res, next) => {
+    try {
+        const { error, value } = listTariffsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        let query = supabase
+            .from('tariffs')
+            .select('*');
+
+        if (!value.include_inactive) query = query.eq('is_active', true);
+        if (value.division) query = query.or(`division.is.null,division.ilike.${value.division}`);
+
+        const { data: tariffs, error: fetchError } = await query
+            .order('division', { ascending: true, nullsFirst: true })
+            .order('garbage_type', { ascending: true, nullsFirst: true })
+            .order('estimated_volume', { ascending: true, nullsFirst: true });
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        res.json({
+            success: true,
+            data: { tariffs }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/tariffs
+ * Add a tariff (admins only)
+ * Leave garbage_type, estimated_volume or division null to match any value.
+ */
+router.post('/tariffs', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const { error, value } = createTariffSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { data: tariff, error: insertError } = await supabase
+            .from('tariffs')
+            .insert([{
+                ...value,
+                currency: 'UGX',
+                is_active: true,
+                created_by: req.user.id
+            }])
+            .select()
+            .single();
+
+        if (insertError) {
+            if (insertError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'An active tariff already exists for this combination. Update or deactivate it first.'
+                });
+            }
+            throw insertError;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Tariff created',
+            data: { tariff }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/tariffs/:id
+ * Change a tariff's amount or (de)activate it (admins only)
+ * Reports already made keep the fee they were quoted.
+ */
+router.patch('/tariffs/:id', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const { error, value } = updateTariffSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { data: updated, error: updateError } = await supabase
+            .from('tariffs')
+            .update(value)
+            .eq('id', req.params.id)
+            .select();
+
+        if (updateError) {
+            if (updateError.code === '23505') {
+                return res.status(409).json({
+                    success: false,
+                    message: 'Another active tariff exists for this combination'
+                });
+            }
+            throw updateError;
+        }
+
+        if (!updated || updated.length === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Tariff not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Tariff updated',
+            data: { tariff: updated[0] }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// PAYOUTS
+// ============================================
+
+/**
+ * GET /api/admin/payouts
+ * List collector payout batches (admins only)
+ */
+router.get('/payouts', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const { error, value } = listPayoutBatchesSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, status } = value;
+
+        let query = supabase
+            .from('payout_batches')
+            .select('*', { count: 'exact' });
+
+        if (status) query = query.eq('status', status);
+
+        const { data: batches, count, error: fetchError } = await query
+            .order('created_at', { ascending: false })
+            .range(...pageRange(page, limit));
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                batches,
+                pagination: { page, limit, total: count }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/admin/payouts/run
+ * Pay every collector whose balance reached PAYOUT_MIN_AMOUNT (admins only)
+ */
+router.post('/payouts/run', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const batch = await runPayoutBatch(req.user);
+
+        res.status(201).json({
+            success: true,
+            message: `Payout batch started for ${batch.payouts.length} collectors`,
+            data: { batch }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/payouts/:id
+ * A payout batch with its payouts (admins only)
+ */
+router.get('/payouts/:id', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const batch = await getPayoutBatch(req.params.id);
+
+        res.json({
+            success: true,
+            data: { batch }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// FINANCE
+// ============================================
+
+/**
+ * GET /api/admin/finance/summary
+ * Payment totals by status, day, division, payment method and provider
+ */
+router.get('/finance/summary', async (req, res, next) => {
+    try {
+        const { error, value } = financeReportSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { mismatches, ...summary } = await financeReport(req.user, value);
+
+        res.json({
+            success: true,
+            data: {
+                ...summary,
+                mismatch_count: mismatches.length
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/finance/mismatches
+ * Completed payments where the amount or currency reported by the provider
+ * differs from what we charged
+ */
+router.get('/finance/mismatches', async (req, res, next) => {
+    try {
+        const { error, value } = financeReportSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { from, to, area, mismatches } = await financeReport(req.user, value);
+
+        res.json({
+            success: true,
+            data: { from, to, area, mismatches }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/admin/finance/export
+ * Download the finance report as XLSX (every sheet) or CSV (one sheet)
+ */
+router.get('/finance/export', async (req, res, next) => {
+    try {
+        const { error, value } = financeExportSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const report = await financeReport(req.user, value);
+        const file = await exportFinanceReport(report, value.format, value.sheet);
+
+        res.attachment(file.filename);
+        res.set('Content-Type', file.contentType);
+        res.send(file.body);
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+// ============================================
+// REFUNDS
+// ============================================
+
+/**
+ * GET /api/admin/refunds
+ * List refund requests
+ */
+router.get('/refunds', async (req, res, next) => {
+    try {
+        const { error, value } = listRefundsSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { page, limit, status } = value;
+        const area = scopedArea(req.user, value.area);
+
+        let query = supabase
+            .from('refunds')
+            .select(`
+                *,
+                payment:payments (
+                    id,
+                    merchant_reference,
+                    payment_status,
+                    completed_at
+                ),
+                report:garbage_reports (
+                    id,
+                    status,
+                    address_description
+                ),
+                resident:users!refunds_resident_id_fkey!inner (
+                    id,
+                    full_name,
+                    phone_number,
+                    area
+                )
+            `, { count: 'exact' });
+
+        if (status) query = query.eq('status', status);
+        if (area) query = query.eq('resident.area', area);
+
+        const { data: refunds, count, error: fetchError } = await query
+            .order('requested_at', { ascending: false })
+            .range(...pageRange(page, limit));
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        res.json({
+            success: true,
+            data: {
+                refunds,
+                pagination: { page, limit, total: count }
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/admin/refunds/:id/review
+ * Approve or reject a refund request (admins only)
+ * Approval cancels the report if still open and sends the refund to Pesapal.
+ */
+router.patch('/refunds/:id/review', requireUserType('admin'), async (req, res, next) => {
+    try {
+        const { error, value } = reviewRefundSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const refund = await reviewRefund(req.params.id, req.user, value.decision, value.notes);
+
+        const messages = {
+            rejected: 'Refund rejected',
+            processing: 'Refund approved and sent to Pesapal',
+            failed: 'Refund approved but Pesapal did not accept it'
+        };
+
+        res.json({
+            success: true,
+            message: messages[refund.status] || `Refund ${refund.status}`,
+            data: { refund }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
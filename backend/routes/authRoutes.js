@@ -1,34 +1,57 @@
 /**
  * Authentication Routes
- * Handles user registration and login
+ * Handles user registration and login with SMS verification codes
  */
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const Joi = require('joi');
 const { supabase } = require('../config/supabase');
-const { sendSMS } = require('../config/africasTalking');
+const { notify } = require('../services/notificationService');
+const { authenticateToken } = require('../middleware/auth');
+const { issueOtp, verifyOtp } = require('../services/otpService');
+const { registerSchema, saveRegistration } = require('../services/registrationService');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+} = require('../services/tokenService');
 
 // Validation schemas
-const registerSchema = Joi.object({
+const loginSchema = Joi.object({
     phone_number: Joi.string().pattern(/^\+256[0-9]{9}$/).required()
-        .messages({ 'string.pattern.base': 'Phone must be in format +256XXXXXXXXX' }),
-    full_name: Joi.string().min(2).max(100).required(),
-    user_type: Joi.string().valid('resident', 'collector').required(),
-    email: Joi.string().email().allow(null, '').optional(),
-    area: Joi.string().max(100).allow(null, '').optional(),
-    latitude: Joi.number().min(-90).max(90).allow(null).optional(),
-    longitude: Joi.number().min(-180).max(180).allow(null).optional()
 });
 
-const loginSchema = Joi.object({
-    phone_number: Joi.string().pattern(/^\+256[0-9]{9}$/).required()
+const verifySchema = Joi.object({
+    phone_number: Joi.string().pattern(/^\+256[0-9]{9}$/).required(),
+    code: Joi.string().pattern(/^[0-9]{6}$/).required()
+        .messages({ 'string.pattern.base': 'Code must be 6 digits' }),
+    device_name: Joi.string().max(100).optional()
+});
+
+const refreshSchema = Joi.object({
+    refresh_token: Joi.string().required()
 });
 
+/**
+ * Public user fields returned to the app
+ */
+function toUserResponse(user) {
+    return {
+        id: user.id,
+        phone_number: user.phone_number,
+        full_name: user.full_name,
+        user_type: user.user_type,
+        area: user.area
+    };
+}
+
 /**
  * POST /api/auth/register
  * Register a new user (resident or collector)
+ * The account stays inactive until the phone number is verified
  */
 router.post('/register', async (req, res, next) => {
     try {
@@ -41,73 +64,90 @@ router.post('/register', async (req, res, next) => {
             });
         }
 
-        const { phone_number, full_name, user_type, email, area, latitude, longitude } = value;
+        const newUser = await saveRegistration(value);
+
+        // Send verification code
+        const verification = await issueOtp(newUser.phone_number, 'register');
 
-        // Check if user already exists
-        const { data: existingUser } = await supabase
+        res.status(201).json({
+            success: true,
+            message: 'Verification code sent. Enter it to activate your account.',
+            data: {
+                user: toUserResponse(newUser),
+                verification
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/register/verify
+ * Confirm phone ownership and activate the account
+ */
+router.post('/register/verify', async (req, res, next) => {
+    try {
+        // Validate input
+        const { error, value } = verifySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { phone_number, code } = value;
+
+        const { data: user, error: fetchError } = await supabase
             .from('users')
-            .select('id')
+            .select('*')
             .eq('phone_number', phone_number)
             .single();
 
-        if (existingUser) {
-            return res.status(400).json({
+        if (fetchError || !user) {
+            return res.status(404).json({
                 success: false,
-                message: 'Phone number already registered'
+                message: 'No registration found for this phone number'
             });
         }
 
-        // Prepare user data
-        const userData = {
-            phone_number,
-            full_name,
-            user_type,
-            email,
-            area,
-            is_active: true
-        };
-
-        // Add location if provided (for residents)
-        if (latitude && longitude && user_type === 'resident') {
-            userData.home_location = `POINT(${longitude} ${latitude})`;
+        if (user.phone_verified_at) {
+            return res.status(400).json({
+                success: false,
+                message: 'Phone number already verified. Please log in.'
+            });
         }
 
-        // Insert user
-        const { data: newUser, error: insertError } = await supabase
+        await verifyOtp(phone_number, 'register', code);
+
+        // Activate account
+        const { data: activeUser, error: updateError } = await supabase
             .from('users')
-            .insert([userData])
+            .update({
+                is_active: true,
+                phone_verified_at: new Date().toISOString()
+            })
+            .eq('id', user.id)
             .select()
             .single();
 
-        if (insertError) {
-            throw insertError;
+        if (updateError) {
+            throw updateError;
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: newUser.id, userType: user_type },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-        );
+        const tokens = await createSession(activeUser, req);
 
         // Send welcome SMS
-        await sendSMS(
-            phone_number,
-            `Welcome to GFC ${full_name}! Your account is ready. Start reporting garbage pile-ups in Kampala. -KCCA GFC`
-        );
+        await notify(phone_number, 'welcome', { name: activeUser.full_name }, { userId: activeUser.id });
 
         res.status(201).json({
             success: true,
             message: 'Registration successful',
             data: {
-                user: {
-                    id: newUser.id,
-                    phone_number: newUser.phone_number,
-                    full_name: newUser.full_name,
-                    user_type: newUser.user_type,
-                    area: newUser.area
-                },
-                token
+                user: toUserResponse(activeUser),
+                ...tokens
             }
         });
 
@@ -116,9 +156,49 @@ router.post('/register', async (req, res, next) => {
     }
 });
 
+/**
+ * Find a user that is allowed to log in
+ * Sends the error response itself and returns null otherwise
+ */
+async function findLoginUser(phone_number, res) {
+    const { data: user, error: fetchError } = await supabase
+        .from('users')
+        .select('*')
+        .eq('phone_number', phone_number)
+        .single();
+
+    if (fetchError || !user) {
+        res.status(401).json({
+            success: false,
+            message: 'Phone number not registered'
+        });
+        return null;
+    }
+
+    // Self-registered accounts stay inactive until verified; accounts created
+    // by KCCA staff are active and get verified on their first login
+    if (!user.phone_verified_at && !user.is_active) {
+        res.status(403).json({
+            success: false,
+            message: 'Phone number not verified. Please complete registration.'
+        });
+        return null;
+    }
+
+    if (!user.is_active) {
+        res.status(403).json({
+            success: false,
+            message: 'Account is deactivated. Contact KCCA support.'
+        });
+        return null;
+    }
+
+    return user;
+}
+
 /**
  * POST /api/auth/login
- * Simple phone number login (no password for MVP)
+ * Step 1: send a verification code to a registered phone number
  */
 router.post('/login', async (req, res, next) => {
     try {
@@ -133,46 +213,153 @@ router.post('/login', async (req, res, next) => {
 
         const { phone_number } = value;
 
-        // Find user
-        const { data: user, error: fetchError } = await supabase
-            .from('users')
-            .select('*')
-            .eq('phone_number', phone_number)
-            .single();
+        const user = await findLoginUser(phone_number, res);
+        if (!user) {
+            return;
+        }
 
-        if (fetchError || !user) {
-            return res.status(401).json({
+        const verification = await issueOtp(phone_number, 'login');
+
+        res.json({
+            success: true,
+            message: 'Verification code sent',
+            data: { verification }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/login/verify
+ * Step 2: exchange the verification code for an access token
+ */
+router.post('/login/verify', async (req, res, next) => {
+    try {
+        // Validate input
+        const { error, value } = verifySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Phone number not registered'
+                message: error.details[0].message
             });
         }
 
-        if (!user.is_active) {
-            return res.status(403).json({
+        const { phone_number, code } = value;
+
+        const user = await findLoginUser(phone_number, res);
+        if (!user) {
+            return;
+        }
+
+        await verifyOtp(phone_number, 'login', code);
+
+        if (!user.phone_verified_at) {
+            await supabase
+                .from('users')
+                .update({ phone_verified_at: new Date().toISOString() })
+                .eq('id', user.id);
+        }
+
+        const tokens = await createSession(user, req);
+
+        res.json({
+            success: true,
+            message: 'Login successful',
+            data: {
+                user: toUserResponse(user),
+                ...tokens
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/refresh
+ * Exchange a refresh token for a new access token (rotates the refresh token)
+ */
+router.post('/refresh', async (req, res, next) => {
+    try {
+        const { error, value } = refreshSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Account is deactivated. Contact KCCA support.'
+                message: error.details[0].message
             });
         }
 
-        // Generate JWT token
-        const token = jwt.sign(
-            { userId: user.id, userType: user.user_type },
-            process.env.JWT_SECRET,
-            { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-        );
+        const { user, tokens } = await rotateRefreshToken(value.refresh_token);
+
+        res.json({
+            success: true,
+            message: 'Token refreshed',
+            data: {
+                user: toUserResponse(user),
+                ...tokens
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+router.post('/logout', authenticateToken, async (req, res, next) => {
+    try {
+        await revokeSession(req.sessionId, 'logout');
+
+        res.json({
+            success: true,
+            message: 'Logged out'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session of the current user (log out all devices)
+ */
+router.post('/logout-all', authenticateToken, async (req, res, next) => {
+    try {
+        const revoked = await revokeAllSessions(req.user.id, 'logout_all');
+
+        res.json({
+            success: true,
+            message: 'Logged out of all devices',
+            data: { sessions_revoked: revoked }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/auth/sessions
+ * List active sessions (devices) of the current user
+ */
+router.get('/sessions', authenticateToken, async (req, res, next) => {
+    try {
+        const sessions = await listSessions(req.user.id);
 
         res.json({
             success: true,
-            message: 'Login successful',
             data: {
-                user: {
-                    id: user.id,
-                    phone_number: user.phone_number,
-                    full_name: user.full_name,
-                    user_type: user.user_type,
-                    area: user.area
-                },
-                token
+                sessions: sessions.map(session => ({
+                    ...session,
+                    current: session.id === req.sessionId
+                }))
             }
         });
 
@@ -181,4 +368,30 @@ router.post('/login', async (req, res, next) => {
     }
 });
 
+/**
+ * DELETE /api/auth/sessions/:id
+ * Revoke one of the current user's sessions
+ */
+router.delete('/sessions/:id', authenticateToken, async (req, res, next) => {
+    try {
+        const sessions = await listSessions(req.user.id);
+        if (!sessions.some(session => session.id === req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(req.params.id, 'revoked_by_user');
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
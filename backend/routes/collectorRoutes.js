@@ -9,10 +9,80 @@ const Joi = require('joi');
 const QRCode = require('qrcode');
 const { supabase } = require('../config/supabase');
 const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { listOpenOffers, respondToOffer } = require('../services/dispatchService');
+const { optimiseRoute } = require('../services/routeOptimizer');
+const { issueQrToken } = require('../services/qrTokenService');
+const { verifyCollection } = require('../services/collectionService');
+const { getEarningsSummary } = require('../services/earningsService');
+const { listCollectorPayouts } = require('../services/payoutService');
+const { updateCollectorLocation, uploadCollectorLocations } = require('../services/trackingService');
+const { getTrail, getDistanceSummary } = require('../services/locationHistoryService');
+const {
+    getCollectorStatus,
+    checkIn,
+    checkOut,
+    setAvailability,
+    listShifts
+} = require('../services/shiftService');
+const { parsePoint } = require('../utils/geo');
+
+// Validation schemas
+const verifyCollectionSchema = Joi.object({
+    report_id: Joi.string().uuid().required(),
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    qr_code_data: Joi.string().max(2000).required()
+        .messages({ 'any.required': 'Scan the resident\'s QR code to verify collection' }),
+    photo_id: Joi.string().uuid().optional() // "after" photo from POST /api/uploads/photos
+});
+
+const routeQuerySchema = Joi.object({
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional(),
+    capacity: Joi.number().integer().min(1).max(100).optional() // truck volume units
+}).and('latitude', 'longitude');
+
+const earningsQuerySchema = Joi.object({
+    period: Joi.string().valid('day', 'week', 'month').default('day'),
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional()
+});
+
+const paginationSchema = Joi.object({
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const uploadLocationsSchema = Joi.object({
+    points: Joi.array().items(Joi.object({
+        latitude: Joi.number().min(-90).max(90).required(),
+        longitude: Joi.number().min(-180).max(180).required(),
+        recorded_at: Joi.date().iso().required(),
+        accuracy_meters: Joi.number().min(0).max(100000).optional(),
+        speed_kmh: Joi.number().min(0).max(1000).optional()
+    })).min(1).max(500).required()
+});
+
+const checkInSchema = Joi.object({
+    latitude: Joi.number().min(-90).max(90).optional(),
+    longitude: Joi.number().min(-180).max(180).optional()
+}).and('latitude', 'longitude');
+
+const availabilitySchema = Joi.object({
+    status: Joi.string().valid('available', 'busy').required() // off_duty is set by check-out
+});
+
+const historyQuerySchema = Joi.object({
+    from: Joi.date().iso().optional(),
+    to: Joi.date().iso().optional()
+});
+
+// Range shown when no `from` is given
+const DEFAULT_EARNINGS_DAYS = { day: 30, week: 84, month: 365 };
 
 /**
  * PATCH /api/collectors/location
- * Update collector's current location
+ * Update collector's current location and publish it to live subscribers
  */
 router.patch('/location', authenticateToken, requireUserType('collector'), async (req, res, next) => {
     try {
@@ -25,21 +95,220 @@ router.patch('/location', authenticateToken, requireUserType('collector'), async
             });
         }
 
-        const { error } = await supabase
-            .from('users')
-            .update({
-                current_location: `POINT(${longitude} ${latitude})`,
-                updated_at: new Date().toISOString()
-            })
-            .eq('id', req.user.id);
+        await updateCollectorLocation(req.user, {
+            latitude: Number(latitude),
+            longitude: Number(longitude)
+        });
 
+        res.json({
+            success: true,
+            message: 'Location updated'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/collectors/locations
+ * Upload positions buffered by the app, e.g. while offline
+ * Duplicates of already uploaded points are ignored.
+ */
+router.post('/locations', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = uploadLocationsSchema.validate(req.body);
         if (error) {
-            throw error;
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
         }
 
+        const result = await uploadCollectorLocations(req.user, value.points);
+
         res.json({
             success: true,
-            message: 'Location updated'
+            message: `${result.accepted} locations recorded`,
+            data: result
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/collectors/trail
+ * The collector's own breadcrumb trail as GeoJSON (default: last 24 hours)
+ * Query: from, to
+ */
+router.get('/trail', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = historyQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const trail = await getTrail(req.user.id, value);
+
+        res.json({
+            success: true,
+            data: trail
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/collectors/distance
+ * Distance the collector travelled per shift (default: last 7 days)
+ * Query: from, to
+ */
+router.get('/distance', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = historyQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const summary = await getDistanceSummary(req.user.id, value);
+
+        res.json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/collectors/shift
+ * Current shift, availability and how many more jobs the collector can take
+ */
+router.get('/shift', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const status = await getCollectorStatus(req.user.id);
+
+        res.json({
+            success: true,
+            data: status
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/collectors/shift/check-in
+ * Start a shift and become available for jobs
+ */
+router.post('/shift/check-in', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = checkInSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const shift = await checkIn(req.user);
+
+        if (value.latitude !== undefined) {
+            await updateCollectorLocation(req.user, { latitude: value.latitude, longitude: value.longitude });
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Checked in',
+            data: { shift }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/collectors/shift/check-out
+ * End the shift; open jobs must be completed or released first
+ */
+router.post('/shift/check-out', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const shift = await checkOut(req.user);
+
+        res.json({
+            success: true,
+            message: 'Checked out',
+            data: { shift }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/collectors/availability
+ * Switch between available and busy during a shift
+ */
+router.patch('/availability', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = availabilitySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        await setAvailability(req.user, value.status);
+
+        res.json({
+            success: true,
+            message: value.status === 'available' ? 'You are available for jobs' : 'You are marked busy',
+            data: await getCollectorStatus(req.user.id)
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/collectors/shifts
+ * Past and current shifts, newest first
+ */
+router.get('/shifts', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = paginationSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const { shifts, total } = await listShifts(req.user.id, value);
+
+        res.json({
+            success: true,
+            data: {
+                shifts,
+                pagination: { page: value.page, limit: value.limit, total }
+            }
         });
 
     } catch (error) {
@@ -81,68 +350,219 @@ router.get('/my-assignments', authenticateToken, requireUserType('collector'), a
     }
 });
 
+/**
+ * GET /api/collectors/my-route
+ * Get today's assignments in an optimised visiting order with ETAs
+ * Starts from the given position, or the collector's current_location
+ */
+router.get('/my-route', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = routeQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const origin = value.latitude !== undefined
+            ? { latitude: value.latitude, longitude: value.longitude }
+            : parsePoint(req.user.current_location);
+
+        if (!origin) {
+            return res.status(400).json({
+                success: false,
+                message: 'Latitude and longitude required (no current location on record)'
+            });
+        }
+
+        const { data: reports, error: fetchError } = await supabase
+            .from('garbage_reports')
+            .select(`
+                id,
+                status,
+                location,
+                address_description,
+                garbage_type,
+                estimated_volume,
+                resident:users!garbage_reports_resident_id_fkey (
+                    full_name,
+                    phone_number
+                )
+            `)
+            .eq('assigned_collector_id', req.user.id)
+            .in('status', ['assigned', 'in_progress']);
+
+        if (fetchError) {
+            throw fetchError;
+        }
+
+        const stops = reports
+            .map(({ location, id, ...report }) => ({
+                report_id: id,
+                ...report,
+                ...parsePoint(location)
+            }))
+            .filter(stop => stop.latitude !== undefined);
+
+        const route = optimiseRoute(origin, stops, { capacity: value.capacity });
+
+        res.json({
+            success: true,
+            data: {
+                origin,
+                ...route
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/collectors/offers
+ * Get open dispatch offers for this collector
+ */
+router.get('/offers', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const offers = await listOpenOffers(req.user.id);
+
+        res.json({
+            success: true,
+            data: { offers }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/collectors/offers/:id/accept
+ * Accept a dispatch offer - assigns the report to this collector
+ */
+router.post('/offers/:id/accept', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const report = await respondToOffer(req.params.id, req.user, true);
+
+        res.json({
+            success: true,
+            message: 'Offer accepted. Report assigned to you.',
+            data: { report }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/collectors/offers/:id/decline
+ * Decline a dispatch offer - it is passed to the next nearest collector
+ */
+router.post('/offers/:id/decline', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        await respondToOffer(req.params.id, req.user, false);
+
+        res.json({
+            success: true,
+            message: 'Offer declined'
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * POST /api/collectors/verify-collection
  * Verify collection with QR code scan
  */
 router.post('/verify-collection', authenticateToken, requireUserType('collector'), async (req, res, next) => {
     try {
-        const { report_id, latitude, longitude, qr_code_data } = req.body;
+        const { error, value } = verifyCollectionSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
 
-        if (!report_id || !latitude || !longitude) {
+        const collectionLog = await verifyCollection(req.user, value);
+
+        res.json({
+            success: true,
+            message: collectionLog.flagged_for_review
+                ? 'Collection recorded and flagged for supervisor review'
+                : 'Collection verified successfully',
+            data: { collection_log: collectionLog }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/collectors/earnings
+ * Earnings net of KCCA commission, grouped by day, week or month, with the current balance
+ * Query: period (day | week | month), from, to
+ */
+router.get('/earnings', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = earningsQuerySchema.validate(req.query);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                message: 'Report ID and location required'
+                message: error.details[0].message
             });
         }
 
-        // Verify report is assigned to this collector
-        const { data: report, error: reportError } = await supabase
-            .from('garbage_reports')
-            .select('*')
-            .eq('id', report_id)
-            .eq('assigned_collector_id', req.user.id)
-            .single();
+        const to = value.to || new Date();
+        const from = value.from || new Date(to.getTime() - DEFAULT_EARNINGS_DAYS[value.period] * 24 * 60 * 60 * 1000);
 
-        if (reportError || !report) {
-            return res.status(404).json({
+        if (from > to) {
+            return res.status(400).json({
                 success: false,
-                message: 'Report not found or not assigned to you'
+                message: '"from" must be before "to"'
             });
         }
 
-        // Create collection log
-        const { data: collectionLog, error: logError } = await supabase
-            .from('collection_logs')
-            .insert([{
-                report_id,
-                collector_id: req.user.id,
-                qr_code_scanned: !!qr_code_data,
-                qr_scan_timestamp: qr_code_data ? new Date().toISOString() : null,
-                collection_location: `POINT(${longitude} ${latitude})`,
-                started_at: new Date().toISOString(),
-                completed_at: new Date().toISOString()
-            }])
-            .select()
-            .single();
+        const summary = await getEarningsSummary(req.user.id, { period: value.period, from, to });
+
+        res.json({
+            success: true,
+            data: summary
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
 
-        if (logError) {
-            throw logError;
+/**
+ * GET /api/collectors/payouts
+ * Payouts made to this collector, newest first
+ */
+router.get('/payouts', authenticateToken, requireUserType('collector'), async (req, res, next) => {
+    try {
+        const { error, value } = paginationSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
         }
 
-        // Update report status to completed
-        await supabase
-            .from('garbage_reports')
-            .update({
-                status: 'completed',
-                completed_at: new Date().toISOString()
-            })
-            .eq('id', report_id);
+        const { payouts, total } = await listCollectorPayouts(req.user.id, value);
 
         res.json({
             success: true,
-            message: 'Collection verified successfully',
-            data: { collection_log: collectionLog }
+            data: {
+                payouts,
+                pagination: { page: value.page, limit: value.limit, total }
+            }
         });
 
     } catch (error) {
@@ -152,27 +572,45 @@ router.post('/verify-collection', authenticateToken, requireUserType('collector'
 
 /**
  * GET /api/collectors/qr-code/:reportId
- * Generate QR code for a report
+ * Generate a signed, single-use QR code for the resident to show the collector
  */
-router.get('/qr-code/:reportId', authenticateToken, async (req, res, next) => {
+router.get('/qr-code/:reportId', authenticateToken, requireUserType('resident'), async (req, res, next) => {
     try {
         const { reportId } = req.params;
 
-        // Generate QR code data
-        const qrData = JSON.stringify({
-            report_id: reportId,
-            timestamp: new Date().toISOString(),
-            app: 'GFC'
-        });
+        // Only the report's resident can issue its QR code
+        const { data: report } = await supabase
+            .from('garbage_reports')
+            .select('id, resident_id, status')
+            .eq('id', reportId)
+            .eq('resident_id', req.user.id)
+            .single();
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        if (['completed', 'cancelled'].includes(report.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Report is already ${report.status}`
+            });
+        }
+
+        const { token, expires_at } = await issueQrToken(report);
 
         // Generate QR code as data URL
-        const qrCodeDataURL = await QRCode.toDataURL(qrData);
+        const qrCodeDataURL = await QRCode.toDataURL(token);
 
         res.json({
             success: true,
             data: {
                 qr_code: qrCodeDataURL,
-                qr_data: qrData
+                qr_data: token,
+                expires_at
             }
         });
 
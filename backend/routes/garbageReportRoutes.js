@@ -8,6 +8,20 @@ const router = express.Router();
 const Joi = require('joi');
 const { supabase } = require('../config/supabase');
 const { authenticateToken, requireUserType } = require('../middleware/auth');
+const {
+    STATUSES,
+    findReport,
+    canViewReport,
+    changeReportStatus,
+    getStatusHistory
+} = require('../services/reportStatusService');
+const { findUnlinkedPhoto, photoDistanceFrom, linkPhoto } = require('../services/photoService');
+const { quoteCollectionFee } = require('../services/pricingService');
+const { createReport, claimReport } = require('../services/reportService');
+const { getCollectorStatus } = require('../services/shiftService');
+
+// Max distance between a photo's EXIF position and the reported location
+const PHOTO_LOCATION_TOLERANCE_METERS = parseFloat(process.env.PHOTO_LOCATION_TOLERANCE_METERS || 300);
 
 // Validation schema
 const createReportSchema = Joi.object({
@@ -16,7 +30,28 @@ const createReportSchema = Joi.object({
     address_description: Joi.string().max(500).required(),
     garbage_type: Joi.string().valid('mixed', 'plastic', 'organic', 'electronic', 'hazardous').default('mixed'),
     estimated_volume: Joi.string().valid('small', 'medium', 'large').required(),
-    photo_url: Joi.string().uri().optional()
+    photo_url: Joi.string().uri().optional(),
+    photo_id: Joi.string().uuid().optional() // from POST /api/uploads/photos
+}).oxor('photo_url', 'photo_id');
+
+const quoteSchema = Joi.object({
+    garbage_type: Joi.string().valid('mixed', 'plastic', 'organic', 'electronic', 'hazardous').default('mixed'),
+    estimated_volume: Joi.string().valid('small', 'medium', 'large').required()
+});
+
+const nearbyReportsSchema = Joi.object({
+    latitude: Joi.number().min(-90).max(90).required(),
+    longitude: Joi.number().min(-180).max(180).required(),
+    radius: Joi.number().integer().min(100).max(50000).default(5000), // meters
+    garbage_type: Joi.string().valid('mixed', 'plastic', 'organic', 'electronic', 'hazardous').optional(),
+    estimated_volume: Joi.string().valid('small', 'medium', 'large').optional(),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+});
+
+const updateStatusSchema = Joi.object({
+    status: Joi.string().valid(...STATUSES).required(),
+    reason: Joi.string().max(500).optional()
 });
 
 /**
@@ -34,30 +69,31 @@ router.post('/', authenticateToken, requireUserType('resident'), async (req, res
             });
         }
 
-        const { latitude, longitude, address_description, garbage_type, estimated_volume, photo_url } = value;
+        const { latitude, longitude, address_description, garbage_type, estimated_volume, photo_id } = value;
+
+        // Use an uploaded "before" photo if given
+        const photo = photo_id ? await findUnlinkedPhoto(photo_id, req.user, 'report') : null;
+        const photo_url = photo ? photo.url : value.photo_url;
 
-        // Create report
-        const reportData = {
-            resident_id: req.user.id,
+        const { report, quote } = await createReport(req.user, {
             location: `POINT(${longitude} ${latitude})`,
             address_description,
             garbage_type,
             estimated_volume,
-            photo_url,
-            status: 'pending',
-            payment_required: true,
-            payment_amount: parseFloat(process.env.DEFAULT_COLLECTION_FEE || 5000),
-            reported_at: new Date().toISOString()
-        };
-
-        const { data: report, error: insertError } = await supabase
-            .from('garbage_reports')
-            .insert([reportData])
-            .select()
-            .single();
+            photo_url
+        });
+
+        // Link the photo and cross-check where it was taken
+        let photoLocationVerified = null;
+        if (photo) {
+            const distance = photoDistanceFrom(photo, { latitude, longitude });
+            photoLocationVerified = distance === null ? null : distance <= PHOTO_LOCATION_TOLERANCE_METERS;
 
-        if (insertError) {
-            throw insertError;
+            await linkPhoto(photo.id, {
+                report_id: report.id,
+                distance_from_subject: distance === null ? null : distance.toFixed(2),
+                location_verified: photoLocationVerified
+            });
         }
 
         res.status(201).json({
@@ -65,9 +101,11 @@ router.post('/', authenticateToken, requireUserType('resident'), async (req, res
             message: 'Garbage report created successfully',
             data: {
                 report_id: report.id,
+                short_code: report.short_code,
                 status: report.status,
                 payment_amount: report.payment_amount,
-                currency: 'UGX'
+                currency: quote.currency,
+                photo_location_verified: photoLocationVerified
             }
         });
 
@@ -90,7 +128,7 @@ router.get('/my-reports', authenticateToken, requireUserType('resident'), async
                     id,
                     payment_status,
                     amount,
-                    transaction_id
+                    provider_reference
                 ),
                 assigned_collector:users!garbage_reports_assigned_collector_id_fkey (
                     id,
@@ -115,54 +153,87 @@ router.get('/my-reports', authenticateToken, requireUserType('resident'), async
     }
 });
 
+/**
+ * GET /api/garbage-reports/quote
+ * Collection fee for a report before it is made (residents only)
+ * Priced for the resident's division.
+ */
+router.get('/quote', authenticateToken, requireUserType('resident'), async (req, res, next) => {
+    try {
+        const { error, value } = quoteSchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const division = req.user.area || null;
+        const quote = await quoteCollectionFee({ ...value, division });
+
+        res.json({
+            success: true,
+            data: {
+                garbage_type: value.garbage_type,
+                estimated_volume: value.estimated_volume,
+                division,
+                amount: quote.amount,
+                currency: quote.currency
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
 /**
  * GET /api/garbage-reports/nearby
- * Get nearby pending reports (collectors only)
+ * Get paid, unassigned reports within a radius (collectors only), nearest first
+ * Empty unless the collector is on shift, available and below their job limit.
  */
 router.get('/nearby', authenticateToken, requireUserType('collector'), async (req, res, next) => {
     try {
-        const { latitude, longitude, radius = 5000 } = req.query; // radius in meters
-
-        if (!latitude || !longitude) {
+        const { error, value } = nearbyReportsSchema.validate(req.query);
+        if (error) {
             return res.status(400).json({
                 success: false,
-                message: 'Latitude and longitude required'
+                message: error.details[0].message
             });
         }
 
+        const { latitude, longitude, radius, garbage_type, estimated_volume, page, limit } = value;
+
         // Use PostGIS to find reports within radius
-        const { data: reports, error } = await supabase
+        const { data: rows, error: rpcError } = await supabase
             .rpc('get_nearby_reports', {
-                collector_lat: parseFloat(latitude),
-                collector_lng: parseFloat(longitude),
-                radius_meters: parseInt(radius)
+                collector_lat: latitude,
+                collector_lng: longitude,
+                radius_meters: radius,
+                filter_garbage_type: garbage_type || null,
+                filter_estimated_volume: estimated_volume || null,
+                requesting_collector: req.user.id,
+                result_limit: limit,
+                result_offset: (page - 1) * limit
             });
 
-        if (error) {
-            // Fallback: get all pending reports
-            const { data: allReports, error: fetchError } = await supabase
-                .from('garbage_reports')
-                .select(`
-                    *,
-                    resident:users!garbage_reports_resident_id_fkey (
-                        full_name,
-                        phone_number
-                    )
-                `)
-                .eq('status', 'pending')
-                .limit(20);
-
-            if (fetchError) throw fetchError;
-
-            return res.json({
-                success: true,
-                data: { reports: allReports }
-            });
+        if (rpcError) {
+            throw rpcError;
         }
 
+        const total = rows.length > 0 ? Number(rows[0].total_count) : 0;
+        const reports = rows.map(({ total_count, ...report }) => report);
+
+        // Explains an empty list when the collector cannot take jobs
+        const { shift, ...collectorStatus } = await getCollectorStatus(req.user.id);
+
         res.json({
             success: true,
-            data: { reports }
+            data: {
+                reports,
+                collector_status: collectorStatus,
+                pagination: { page, limit, total }
+            }
         });
 
     } catch (error) {
@@ -176,58 +247,67 @@ router.get('/nearby', authenticateToken, requireUserType('collector'), async (re
  */
 router.patch('/:id/assign', authenticateToken, requireUserType('collector'), async (req, res, next) => {
     try {
-        const { id } = req.params;
+        const updatedReport = await claimReport(req.params.id, req.user);
 
-        // Check if report exists and is pending
-        const { data: report, error: fetchError } = await supabase
-            .from('garbage_reports')
-            .select('*, payments(*)')
-            .eq('id', id)
-            .single();
+        res.json({
+            success: true,
+            message: 'Report assigned successfully',
+            data: { report: updatedReport }
+        });
 
-        if (fetchError || !report) {
-            return res.status(404).json({
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * PATCH /api/garbage-reports/:id/status
+ * Update report status
+ * Allowed changes depend on the current status, the caller's role and ownership:
+ * - resident: cancel their own report before collection starts
+ * - collector: start or release a report assigned to them
+ * - supervisor/admin: cancel or release reports in their division
+ * Completion goes through POST /api/collectors/verify-collection.
+ */
+router.patch('/:id/status', authenticateToken, async (req, res, next) => {
+    try {
+        const { id } = req.params;
+
+        const { error, value } = updateStatusSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
                 success: false,
-                message: 'Report not found'
+                message: error.details[0].message
             });
         }
 
-        if (report.status !== 'pending') {
+        const { status, reason } = value;
+
+        if (status === 'assigned') {
             return res.status(400).json({
                 success: false,
-                message: 'Report is not available for assignment'
+                message: 'Use PATCH /api/garbage-reports/:id/assign to assign a report'
             });
         }
 
-        // Check if payment is successful
-        const payment = report.payments?.[0];
-        if (!payment || payment.payment_status !== 'successful') {
+        if (status === 'completed') {
             return res.status(400).json({
                 success: false,
-                message: 'Payment not completed for this report'
+                message: 'Use POST /api/collectors/verify-collection to complete a collection'
             });
         }
 
-        // Assign collector
-        const { data: updatedReport, error: updateError } = await supabase
-            .from('garbage_reports')
-            .update({
-                assigned_collector_id: req.user.id,
-                status: 'assigned',
-                assigned_at: new Date().toISOString()
-            })
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (updateError) {
-            throw updateError;
-        }
+        const report = await changeReportStatus({
+            report: id,
+            toStatus: status,
+            actor: req.user,
+            reason
+        });
 
         res.json({
             success: true,
-            message: 'Report assigned successfully',
-            data: { report: updatedReport }
+            message: 'Status updated',
+            data: { report }
         });
 
     } catch (error) {
@@ -236,44 +316,25 @@ router.patch('/:id/assign', authenticateToken, requireUserType('collector'), asy
 });
 
 /**
- * PATCH /api/garbage-reports/:id/status
- * Update report status
+ * GET /api/garbage-reports/:id/history
+ * Status history of a report (owner, assigned collector or KCCA staff)
  */
-router.patch('/:id/status', authenticateToken, async (req, res, next) => {
+router.get('/:id/history', authenticateToken, async (req, res, next) => {
     try {
-        const { id } = req.params;
-        const { status } = req.body;
+        const report = await findReport(req.params.id);
 
-        const validStatuses = ['pending', 'assigned', 'in_progress', 'completed', 'cancelled'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({
+        if (!report || !canViewReport(report, req.user)) {
+            return res.status(404).json({
                 success: false,
-                message: 'Invalid status'
+                message: 'Report not found'
             });
         }
 
-        const updateData = { status };
-        if (status === 'in_progress') {
-            updateData.started_at = new Date().toISOString();
-        } else if (status === 'completed') {
-            updateData.completed_at = new Date().toISOString();
-        }
-
-        const { data: report, error } = await supabase
-            .from('garbage_reports')
-            .update(updateData)
-            .eq('id', id)
-            .select()
-            .single();
-
-        if (error) {
-            throw error;
-        }
+        const history = await getStatusHistory(report.id);
 
         res.json({
             success: true,
-            message: 'Status updated',
-            data: { report }
+            data: { history }
         });
 
     } catch (error) {
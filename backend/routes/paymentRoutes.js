@@ -1,28 +1,53 @@
 /**
  * Payment Routes
- * Handles Pesapal payment initialization
+ * Handles payment initialization through the deployment's payment provider
  */
 
 const express = require('express');
 const router = express.Router();
 const Joi = require('joi');
-const axios = require('axios');
-const { v4: uuidv4 } = require('uuid');
 const { supabase } = require('../config/supabase');
 const { authenticateToken, requireUserType } = require('../middleware/auth');
-const { getPesapalToken } = require('../webhooks/pesapalWebhook');
+const { idempotent } = require('../middleware/idempotency');
+const { syncPaymentStatus } = require('../services/paymentService');
+const { payForReport } = require('../services/paymentRequestService');
+const { requestRefund, listResidentRefunds } = require('../services/refundService');
 
 // Validation schema
 const initiatePaymentSchema = Joi.object({
     report_id: Joi.string().uuid().required(),
     phone_number: Joi.string().pattern(/^\+256[0-9]{9}$/).required(),
-    amount: Joi.number().min(1000).max(1000000).optional() // UGX
+    amount: Joi.any().strip() // Ignored - the report's quoted fee is always charged
+});
+
+const refundRequestSchema = Joi.object({
+    reason: Joi.string().min(5).max(500).required()
 });
 
 /**
- * POST /apiPesapal Mobile Money payment
+ * Response body for a payment that is waiting for the resident
  */
-router.post('/initiate', authenticateToken, requireUserType('resident'), async (req, res, next) => {
+function initiatedPaymentResponse(payment, message) {
+    return {
+        success: true,
+        message,
+        data: {
+            payment_id: payment.id,
+            provider: payment.provider,
+            merchant_reference: payment.merchant_reference,
+            provider_reference: payment.provider_reference,
+            redirect_url: payment.redirect_url // null for providers that prompt on the phone
+        }
+    };
+}
+
+/**
+ * POST /api/payments/initiate
+ * Initiate a Mobile Money payment with the active provider (PAYMENT_PROVIDER)
+ * Send an Idempotency-Key header so retries return the first response.
+ * Only one open payment exists per report; repeat taps get that payment back.
+ */
+router.post('/initiate', authenticateToken, requireUserType('resident'), idempotent(), async (req, res, next) => {
     try {
         // Validate input
         const { error, value } = initiatePaymentSchema.validate(req.body);
@@ -50,92 +75,90 @@ router.post('/initiate', authenticateToken, requireUserType('resident'), async (
             });
         }
 
-        // Check if already paid
-        const { data: existingPayment } = await supabase
-            .from('payments')
-            .select('*')
-            .eq('report_id', report_id)
-            .eq('payment_status', 'successful')
-            .single();
+        const { payment, reused } = await payForReport({
+            resident: req.user,
+            report,
+            phoneNumber: phone_number
+        });
 
-        if (existingPayment) {
-            return res.status(400).json({
-                success: false,
-                message: 'Report already paid'
-            });
-        }
+        res.json(initiatedPaymentResponse(payment, reused
+            ? 'Payment already in progress. Please complete on your phone.'
+            : 'Payment initiated. Please complete on your phone.'));
 
-        const amount = value.amount || report.payment_amount;
-        const merchantRef = `GFC-${Date.now()}-${uuidv4().slice(0, 8)}`;
+    } catch (error) {
+        console.error('Payment initiation error:', error.response?.data || error);
+        next(error);
+    }
+});
 
-        // Create payment record
-        const { data: payment, error: paymentError } = await supabase
-            .from('payments')
-            .insert([{
-                report_id,
-                resident_id: req.user.id,
-                flw_ref: merchantRef, // Using this field for Pesapal reference
-                amount,
-                currency: 'UGX',
-                payment_method: 'mobile_money',
-                phone_number,
-                payment_status: 'pending',
-                initiated_at: new Date().toISOString()
-            }])
-            .select()
-            .single();
+/**
+ * Page shown in the browser after Pesapal redirects back
+ */
+function renderCallbackPage(title, message) {
+    return `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1">
+    <title>${title} - Garbage Free City</title>
+    <style>
+        body { font-family: sans-serif; text-align: center; padding: 48px 24px; color: #1b5e20; }
+        p { color: #333; }
+    </style>
+</head>
+<body>
+    <h1>${title}</h1>
+    <p>${message}</p>
+    <p>You can now return to the GFC app.</p>
+</body>
+</html>`;
+}
+
+/**
+ * GET /api/payments/callback
+ * Pesapal redirects the resident's browser here after checkout
+ * Query: OrderTrackingId, OrderMerchantReference
+ */
+router.get('/callback', async (req, res) => {
+    const { OrderTrackingId, OrderMerchantReference } = req.query;
+
+    if (!OrderTrackingId || !OrderMerchantReference) {
+        return res.status(400).send(renderCallbackPage(
+            'Invalid payment link',
+            'We could not identify this payment.'
+        ));
+    }
 
-        if (paymentError) {
-            throw paymentError;
+    try {
+        const { payment, paymentStatus } = await syncPaymentStatus(OrderMerchantReference, OrderTrackingId);
+
+        if (paymentStatus === 'successful') {
+            return res.send(renderCallbackPage(
+                'Payment received',
+                payment.subscription_id
+                    ? 'Webale nyo! Your subscription is paid and your pickups are scheduled.'
+                    : 'Webale nyo! A collector will be assigned to your report soon.'
+            ));
         }
 
-        // Get Pesapal OAuth token
-        const token = await getPesapalToken();
-
-        // Initialize Pesapal payment
-        const pesapalApiUrl = process.env.PESAPAL_ENVIRONMENT === 'live'
-            ? 'https://pay.pesapal.com/v3/api/Transactions/SubmitOrderRequest'
-            : 'https://cybqa.pesapal.com/pesapalv3/api/Transactions/SubmitOrderRequest';
-
-        const pesapalResponse = await axios.post(
-            pesapalApiUrl,
-            {
-                id: merchantRef,
-                currency: 'UGX',
-                amount: amount,
-                description: `Garbage collection payment - Report ${report_id}`,
-                callback_url: `${process.env.API_BASE_URL}/api/payments/callback`,
-                notification_id: process.env.PESAPAL_IPN_URL,
-                billing_address: {
-                    phone_number: phone_number,
-                    email_address: req.user.email || `${phone_number}@gfc.kcca.ug`,
-                    country_code: 'UG',
-                    first_name: req.user.full_name.split(' ')[0],
-                    last_name: req.user.full_name.split(' ').slice(1).join(' ') || 'User'
-                }
-            },
-            {
-                headers: {
-                    'Authorization': `Bearer ${token}`,
-                    'Content-Type': 'application/json'
-                }
-            }
-        );
+        if (paymentStatus === 'failed' || paymentStatus === 'cancelled') {
+            return res.send(renderCallbackPage(
+                'Payment not completed',
+                'Your payment did not go through. Please try again from the app.'
+            ));
+        }
 
-        res.json({
-            success: true,
-            message: 'Payment initiated. Please complete on your phone.',
-            data: {
-                payment_id: payment.id,
-                merchant_reference: merchantRef,
-                redirect_url: pesapalResponse.data.redirect_url,
-                order_tracking_id: pesapalResponse.data.order_tracking_id
-            }
-        });
+        return res.send(renderCallbackPage(
+            'Payment processing',
+            'We are waiting for confirmation from your mobile money provider. You will get an SMS once it is confirmed.'
+        ));
 
     } catch (error) {
-        console.error('Payment initiation error:', error.response?.data || error);
-        next(error);
+        console.error('❌ Payment callback error:', error.response?.data || error);
+        return res.send(renderCallbackPage(
+            'Payment processing',
+            'We could not confirm your payment yet. You will get an SMS once it is confirmed.'
+        ));
     }
 });
 
@@ -150,7 +173,7 @@ router.get('/status/:txRef', authenticateToken, async (req, res, next) => {
         const { data: payment, error } = await supabase
             .from('payments')
             .select('*, garbage_reports(*)')
-            .eq('flw_ref', txRef)
+            .eq('merchant_reference', txRef)
             .single();
 
         if (error || !payment) {
@@ -170,4 +193,50 @@ router.get('/status/:txRef', authenticateToken, async (req, res, next) => {
     }
 });
 
+/**
+ * POST /api/payments/:paymentId/refund
+ * Request a refund for a cancelled or uncollected report (residents only)
+ * An admin reviews the request before money is returned.
+ */
+router.post('/:paymentId/refund', authenticateToken, requireUserType('resident'), async (req, res, next) => {
+    try {
+        const { error, value } = refundRequestSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const refund = await requestRefund(req.params.paymentId, req.user, value.reason);
+
+        res.status(201).json({
+            success: true,
+            message: 'Refund requested. You will get an SMS once it is reviewed.',
+            data: { refund }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/payments/refunds
+ * Current resident's refund requests
+ */
+router.get('/refunds', authenticateToken, requireUserType('resident'), async (req, res, next) => {
+    try {
+        const refunds = await listResidentRefunds(req.user.id);
+
+        res.json({
+            success: true,
+            data: { refunds }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
 module.exports = router;
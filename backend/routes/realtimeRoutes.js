@@ -0,0 +1,214 @@
+/**
+ * Realtime Routes
+ * Live updates over Server-Sent Events. Each stream starts with a `snapshot`
+ * of the current state, then sends events as they happen and a comment line
+ * every REALTIME_HEARTBEAT_SECONDS to keep proxies from closing it.
+ *
+ * Streams close when the access token expires (`expired` event); clients
+ * reconnect with a refreshed token and get a fresh snapshot.
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../config/supabase');
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { findReport, canViewReport } = require('../services/reportStatusService');
+const { estimateArrival } = require('../services/trackingService');
+const realtime = require('../services/realtime');
+const { parsePoint } = require('../utils/geo');
+
+const HEARTBEAT_SECONDS = parseInt(process.env.REALTIME_HEARTBEAT_SECONDS || 25);
+const RECONNECT_MILLISECONDS = 5000;
+const MAX_TIMEOUT_MILLISECONDS = 2147483647; // setTimeout limit
+
+const FINAL_STATUSES = ['completed', 'cancelled'];
+
+const collectorsQuerySchema = Joi.object({
+    area: Joi.string().max(100).optional() // admins only; supervisors always get their division
+});
+
+/**
+ * Start an event stream on the response
+ * @returns {{send: Function, close: Function, onClose: Function}}
+ */
+function openStream(req, res) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // nginx
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RECONNECT_MILLISECONDS}\n\n`);
+
+    const cleanups = [];
+    let closed = false;
+
+    const close = () => {
+        if (closed) {
+            return;
+        }
+        closed = true;
+        cleanups.forEach(cleanup => cleanup());
+        res.end();
+    };
+
+    const send = (event, data) => {
+        if (!closed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_SECONDS * 1000);
+    cleanups.push(() => clearInterval(heartbeat));
+
+    // End the stream with the access token so revoked sessions drop off
+    const token = req.headers['authorization'].split(' ')[1];
+    const { exp } = jwt.decode(token);
+    if (exp) {
+        const expiry = setTimeout(() => {
+            send('expired', { message: 'Access token expired. Reconnect with a new token.' });
+            close();
+        }, Math.min(Math.max(exp * 1000 - Date.now(), 0), MAX_TIMEOUT_MILLISECONDS));
+        cleanups.push(() => clearTimeout(expiry));
+    }
+
+    req.on('close', close);
+
+    return {
+        send,
+        close,
+        onClose: cleanup => cleanups.push(cleanup)
+    };
+}
+
+/**
+ * Position of a collector, as sent in snapshots
+ */
+function collectorPosition(collector) {
+    const location = parsePoint(collector.current_location);
+
+    return {
+        collector_id: collector.id,
+        full_name: collector.full_name,
+        latitude: location ? location.latitude : null,
+        longitude: location ? location.longitude : null,
+        recorded_at: collector.location_updated_at
+    };
+}
+
+/**
+ * GET /api/realtime/reports/:id
+ * Live status of a report and, once assigned, the collector's position and ETA
+ * Events: snapshot, status, payment, collector_location, expired
+ */
+router.get('/reports/:id', authenticateToken, async (req, res, next) => {
+    try {
+        const report = await findReport(req.params.id);
+
+        if (!report || !canViewReport(report, req.user)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        let collector = null;
+        if (report.assigned_collector_id) {
+            const { data } = await supabase
+                .from('users')
+                .select('id, full_name, current_location, location_updated_at')
+                .eq('id', report.assigned_collector_id)
+                .single();
+
+            if (data) {
+                const position = collectorPosition(data);
+                collector = {
+                    ...position,
+                    ...estimateArrival(position.latitude === null ? null : position, report)
+                };
+            }
+        }
+
+        const stream = openStream(req, res);
+
+        stream.onClose(realtime.subscribe(realtime.reportChannel(report.id), ({ event, data }) => {
+            stream.send(event, data);
+
+            if (event === 'status' && FINAL_STATUSES.includes(data.status)) {
+                stream.close();
+            }
+        }));
+
+        stream.send('snapshot', {
+            report_id: report.id,
+            short_code: report.short_code,
+            status: report.status,
+            assigned_collector_id: report.assigned_collector_id,
+            collector
+        });
+
+        if (FINAL_STATUSES.includes(report.status)) {
+            stream.close();
+        }
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/realtime/collectors
+ * Live positions of collectors in the supervisor's division (admins: all, or ?area=)
+ * Events: snapshot, collector_location, collector_status, expired
+ */
+router.get('/collectors', authenticateToken, requireUserType('supervisor', 'admin'), async (req, res, next) => {
+    try {
+        const { error, value } = collectorsQuerySchema.validate(req.query);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const area = req.user.user_type === 'supervisor' ? req.user.area : (value.area || null);
+
+        let query = supabase
+            .from('users')
+            .select('id, full_name, area, availability_status, current_location, location_updated_at')
+            .eq('user_type', 'collector')
+            .eq('is_active', true)
+            .not('current_location', 'is', null);
+
+        if (area) {
+            query = query.eq('area', area);
+        }
+
+        const { data: collectors, error: queryError } = await query;
+
+        if (queryError) {
+            throw queryError;
+        }
+
+        const stream = openStream(req, res);
+
+        const channel = area ? realtime.divisionChannel(area) : realtime.ALL_COLLECTORS_CHANNEL;
+        stream.onClose(realtime.subscribe(channel, ({ event, data }) => stream.send(event, data)));
+
+        stream.send('snapshot', {
+            area,
+            collectors: collectors.map(collector => ({
+                ...collectorPosition(collector),
+                availability_status: collector.availability_status
+            }))
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,221 @@
+/**
+ * Subscription Routes
+ * Household plans with recurring pickups, paid by Mobile Money each billing period
+ */
+
+const express = require('express');
+const router = express.Router();
+const Joi = require('joi');
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { idempotent } = require('../middleware/idempotency');
+const {
+    listPlans,
+    listResidentSubscriptions,
+    findResidentSubscription,
+    subscribe,
+    billSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    cancelSubscription
+} = require('../services/subscriptionService');
+
+// Validation schemas
+const subscribeSchema = Joi.object({
+    plan_id: Joi.string().uuid().required(),
+    phone_number: Joi.string().pattern(/^\+256[0-9]{9}$/).required(),
+    address_description: Joi.string().max(500).optional()
+});
+
+const paySchema = Joi.object({
+    phone_number: Joi.string().pattern(/^\+256[0-9]{9}$/).optional() // Defaults to the subscription's number
+});
+
+const cancelSchema = Joi.object({
+    reason: Joi.string().max(500).optional()
+});
+
+/**
+ * Payment part of a response, as returned by POST /api/payments/initiate
+ */
+function paymentData(payment) {
+    return {
+        payment_id: payment.id,
+        provider: payment.provider,
+        merchant_reference: payment.merchant_reference,
+        provider_reference: payment.provider_reference,
+        redirect_url: payment.redirect_url // null for providers that prompt on the phone
+    };
+}
+
+/**
+ * GET /api/subscriptions/plans
+ * Plans residents can subscribe to
+ */
+router.get('/plans', authenticateToken, async (req, res, next) => {
+    try {
+        const plans = await listPlans();
+
+        res.json({
+            success: true,
+            data: { plans }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * GET /api/subscriptions
+ * Current resident's subscriptions, newest first
+ */
+router.get('/', authenticateToken, requireUserType('resident'), async (req, res, next) => {
+    try {
+        const subscriptions = await listResidentSubscriptions(req.user.id);
+
+        res.json({
+            success: true,
+            data: { subscriptions }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/subscriptions
+ * Subscribe to a plan and pay for the first period
+ * Pickups are made at the resident's registered home location and start once
+ * the payment succeeds. Send an Idempotency-Key header so retries return the first response.
+ */
+router.post('/', authenticateToken, requireUserType('resident'), idempotent(), async (req, res, next) => {
+    try {
+        const { error, value } = subscribeSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const subscription = await subscribe(req.user, value);
+        const { payment } = await billSubscription(subscription);
+
+        res.status(201).json({
+            success: true,
+            message: 'Subscription created. Please complete the payment on your phone to start your pickups.',
+            data: {
+                subscription_id: subscription.id,
+                status: subscription.status,
+                plan: subscription.plan,
+                payment: paymentData(payment)
+            }
+        });
+
+    } catch (error) {
+        console.error('Subscription error:', error.response?.data || error);
+        next(error);
+    }
+});
+
+/**
+ * POST /api/subscriptions/:id/pay
+ * Pay for the next period now (first payment retry, overdue or suspended subscription)
+ */
+router.post('/:id/pay', authenticateToken, requireUserType('resident'), idempotent(), async (req, res, next) => {
+    try {
+        const { error, value } = paySchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const subscription = await findResidentSubscription(req.params.id, req.user.id);
+        const { payment, reused } = await billSubscription(subscription, value.phone_number);
+
+        res.json({
+            success: true,
+            message: reused
+                ? 'Payment already in progress. Please complete on your phone.'
+                : 'Payment initiated. Please complete on your phone.',
+            data: { payment: paymentData(payment) }
+        });
+
+    } catch (error) {
+        console.error('Subscription payment error:', error.response?.data || error);
+        next(error);
+    }
+});
+
+/**
+ * POST /api/subscriptions/:id/pause
+ * Pause pickups and billing; paid time is kept until the subscription is resumed
+ */
+router.post('/:id/pause', authenticateToken, requireUserType('resident'), async (req, res, next) => {
+    try {
+        const subscription = await findResidentSubscription(req.params.id, req.user.id);
+        const paused = await pauseSubscription(subscription);
+
+        res.json({
+            success: true,
+            message: 'Subscription paused',
+            data: { subscription: paused }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/subscriptions/:id/resume
+ * Resume a paused subscription; the next pickup is scheduled from today
+ */
+router.post('/:id/resume', authenticateToken, requireUserType('resident'), async (req, res, next) => {
+    try {
+        const subscription = await findResidentSubscription(req.params.id, req.user.id);
+        const resumed = await resumeSubscription(subscription);
+
+        res.json({
+            success: true,
+            message: 'Subscription resumed',
+            data: { subscription: resumed }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+/**
+ * POST /api/subscriptions/:id/cancel
+ * Cancel the subscription; pickups not yet taken by a collector are cancelled
+ */
+router.post('/:id/cancel', authenticateToken, requireUserType('resident'), async (req, res, next) => {
+    try {
+        const { error, value } = cancelSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const subscription = await findResidentSubscription(req.params.id, req.user.id);
+        const cancelled = await cancelSubscription(subscription, value.reason);
+
+        res.json({
+            success: true,
+            message: 'Subscription cancelled',
+            data: { subscription: cancelled }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
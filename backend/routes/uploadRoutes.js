@@ -0,0 +1,82 @@
+/**
+ * Upload Routes
+ * Handles multipart photo uploads
+ */
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Joi = require('joi');
+const { authenticateToken, requireUserType } = require('../middleware/auth');
+const { MAX_SIZE_BYTES, storePhoto } = require('../services/photoService');
+
+// Keep uploads in memory; they are re-encoded before storage
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_SIZE_BYTES, files: 1 }
+});
+
+// Validation schema
+const uploadPhotoSchema = Joi.object({
+    purpose: Joi.string().valid('report', 'collection').required()
+});
+
+/**
+ * Run multer and turn its errors into API responses
+ */
+function singlePhoto(req, res, next) {
+    upload.single('photo')(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                success: false,
+                message: error.code === 'LIMIT_FILE_SIZE'
+                    ? `Photo must be smaller than ${Math.round(MAX_SIZE_BYTES / 1024 / 1024)}MB`
+                    : error.message
+            });
+        }
+        next(error);
+    });
+}
+
+/**
+ * POST /api/uploads/photos
+ * Upload a before (resident, purpose=report) or after (collector, purpose=collection) photo
+ * Returns a photo_id to pass to POST /api/garbage-reports or /api/collectors/verify-collection
+ */
+router.post('/photos', authenticateToken, requireUserType('resident', 'collector'), singlePhoto, async (req, res, next) => {
+    try {
+        const { error, value } = uploadPhotoSchema.validate(req.body);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error.details[0].message
+            });
+        }
+
+        const expectedPurpose = req.user.user_type === 'resident' ? 'report' : 'collection';
+        if (value.purpose !== expectedPurpose) {
+            return res.status(403).json({
+                success: false,
+                message: `A ${req.user.user_type} can only upload ${expectedPurpose} photos`
+            });
+        }
+
+        const photo = await storePhoto(req.file, req.user, value.purpose);
+
+        res.status(201).json({
+            success: true,
+            message: 'Photo uploaded',
+            data: {
+                photo_id: photo.id,
+                url: photo.url,
+                thumbnail_url: photo.thumbnail_url,
+                has_location: photo.exif_latitude !== null
+            }
+        });
+
+    } catch (error) {
+        next(error);
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * Pesapal IPN registration command
+ *
+ * Usage:
+ *   npm run pesapal:ipn -- register [url] [GET|POST]   (url defaults to PESAPAL_IPN_URL)
+ *   npm run pesapal:ipn -- list
+ */
+
+require('dotenv').config();
+const { registerPesapalIpn, listPesapalIpns } = require('../services/pesapalIpnService');
+
+async function main() {
+    const [command, url, notificationType = 'GET'] = process.argv.slice(2);
+
+    switch (command) {
+        case 'register': {
+            if (!['GET', 'POST'].includes(notificationType)) {
+                throw new Error('Notification type must be GET or POST');
+            }
+            const ipn = await registerPesapalIpn({ url, notificationType });
+            console.log(`✅ Registered ${ipn.url}`);
+            console.log(`   notification_id: ${ipn.ipn_id}`);
+            break;
+        }
+        case 'list': {
+            const ipns = await listPesapalIpns();
+            if (ipns.length === 0) {
+                console.log('No IPN URLs registered');
+            }
+            for (const ipn of ipns) {
+                console.log(`${ipn.in_use ? '*' : ' '} ${ipn.ipn_id}  ${ipn.ipn_notification_type_description || ''}  ${ipn.url}`);
+            }
+            break;
+        }
+        default:
+            console.log('Usage: npm run pesapal:ipn -- register [url] [GET|POST] | list');
+            process.exitCode = 1;
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exitCode = 1;
+});
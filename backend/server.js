@@ -17,11 +17,26 @@ const authRoutes = require('./routes/authRoutes');
 const garbageReportRoutes = require('./routes/garbageReportRoutes');
 const paymentRoutes = require('./routes/paymentRoutes');
 const collectorRoutes = require('./routes/collectorRoutes');
-const pesapalWebhook = require('./webhooks/pesapalWebhook');
+const adminRoutes = require('./routes/adminRoutes');
+const uploadRoutes = require('./routes/uploadRoutes');
+const subscriptionRoutes = require('./routes/subscriptionRoutes');
+const realtimeRoutes = require('./routes/realtimeRoutes');
+const paymentWebhook = require('./webhooks/paymentWebhook');
+const smsDeliveryWebhook = require('./webhooks/smsDeliveryWebhook');
+const ussdWebhook = require('./webhooks/ussdWebhook');
+const smsCommandWebhook = require('./webhooks/smsCommandWebhook');
+const { getActiveTransport } = require('./services/notificationTransports');
 
 // Import middleware
 const errorHandler = require('./middleware/errorHandler');
 
+// Import background jobs
+const { startDispatchSweeper } = require('./jobs/dispatchSweeper');
+const { startPaymentReconciler } = require('./jobs/paymentReconciler');
+const { startSubscriptionScheduler } = require('./jobs/subscriptionScheduler');
+const { startNotificationRetrier } = require('./jobs/notificationRetrier');
+const { startLocationRetention } = require('./jobs/locationRetention');
+
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -78,9 +93,22 @@ app.use('/api/auth', authRoutes);
 app.use('/api/garbage-reports', garbageReportRoutes);
 app.use('/api/payments', paymentRoutes);
 app.use('/api/collectors', collectorRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/uploads', uploadRoutes);
+app.use('/api/subscriptions', subscriptionRoutes);
+app.use('/api/realtime', realtimeRoutes);
+
+// Serve photos stored on local disk (development storage driver)
+if (process.env.STORAGE_DRIVER === 'local') {
+    const { UPLOAD_DIR } = require('./services/storage/diskStorage');
+    app.use('/uploads', express.static(UPLOAD_DIR));
+}
 
 // Webhook Routes (no rate limiting for webhooks)
-app.use('/webhooks', pesapalWebhook.router);
+app.use('/webhooks', paymentWebhook.router);
+app.use('/webhooks', smsDeliveryWebhook.router);
+app.use('/webhooks', ussdWebhook.router);
+app.use('/webhooks', smsCommandWebhook.router);
 
 // 404 Handler
 app.use('*', (req, res) => {
@@ -101,6 +129,12 @@ app.use(errorHandler);
 // ============================================
 
 app.listen(PORT, () => {
+    startDispatchSweeper();
+    startPaymentReconciler();
+    startSubscriptionScheduler();
+    startNotificationRetrier();
+    startLocationRetention();
+
     console.log('');
     console.log('🗑️  ========================================');
     console.log('    GARBAGE FREE CITY (GFC) - BACKEND');
@@ -116,6 +150,7 @@ app.listen(PORT, () => {
     console.log(`   ✓ Supabase: ${process.env.SUPABASE_URL ? 'Connected' : '❌ Not configured'}`);
     console.log(`   ✓ Pesapal: ${process.env.PESAPAL_CONSUMER_KEY ? 'Connected' : '❌ Not configured'}`);
     console.log(`   ✓ Africa\'s Talking: ${process.env.AFRICAS_TALKING_API_KEY ? 'Connected' : '❌ Not configured'}`);
+    console.log(`   ✓ SMS transport: ${getActiveTransport().name}`);
     console.log('');
     console.log('   Press Ctrl+C to stop');
     console.log('   ========================================');
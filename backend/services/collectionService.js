@@ -0,0 +1,166 @@
+/**
+ * Collection Service
+ * Records a completed collection and moves the report to completed.
+ * Shared by QR verification in the app (POST /api/collectors/verify-collection)
+ * and the DONE SMS command.
+ *
+ * A collection is flagged for supervisor review when it is made away from the
+ * reported location, its "after" photo was taken elsewhere, or it was reported
+ * by SMS without a QR scan or position. Flagged collections are credited to
+ * the collector only once approved.
+ */
+
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const { changeReportStatus } = require('./reportStatusService');
+const { verifyQrToken, consumeQrNonce, releaseQrNonce } = require('./qrTokenService');
+const { findUnlinkedPhoto, photoDistanceFrom, linkPhoto } = require('./photoService');
+const { creditCollectionEarning } = require('./earningsService');
+const { haversineDistance, parsePoint } = require('../utils/geo');
+
+// Geofence for collection verification (meters from the reported location)
+const COLLECTION_FLAG_DISTANCE_METERS = parseFloat(process.env.COLLECTION_FLAG_DISTANCE_METERS || 100);
+const COLLECTION_MAX_DISTANCE_METERS = parseFloat(process.env.COLLECTION_MAX_DISTANCE_METERS || 500);
+const PHOTO_LOCATION_TOLERANCE_METERS = parseFloat(process.env.PHOTO_LOCATION_TOLERANCE_METERS || 300);
+
+/**
+ * Complete a collection
+ * @param {Object} collector - Assigned collector (req.user)
+ * @param {Object} proof
+ * @param {string} proof.report_id
+ * @param {number} [proof.latitude] - Collector position; omitted for SMS
+ * @param {number} [proof.longitude]
+ * @param {string} [proof.qr_code_data] - Signed QR code shown by the resident; omitted for SMS
+ * @param {string} [proof.photo_id] - "After" photo from POST /api/uploads/photos
+ * @returns {Promise<Object>} the collection log
+ * @throws {HttpError} 404 when the report is not assigned to the collector,
+ *   409 when it cannot be completed, 400 when outside the geofence or the QR code is invalid
+ */
+async function verifyCollection(collector, { report_id, latitude = null, longitude = null, qr_code_data = null, photo_id = null }) {
+    // Verify report is assigned to this collector
+    const { data: report } = await supabase
+        .from('garbage_reports')
+        .select('*')
+        .eq('id', report_id)
+        .eq('assigned_collector_id', collector.id)
+        .single();
+
+    if (!report) {
+        throw new HttpError(404, 'Report not found or not assigned to you');
+    }
+
+    if (!['assigned', 'in_progress'].includes(report.status)) {
+        throw new HttpError(409, `Cannot complete a ${report.status} report`);
+    }
+
+    const hasPosition = latitude !== null && longitude !== null;
+    const flagReasons = [];
+
+    // Geofence: compare collector's position with the reported location
+    const reportLocation = parsePoint(report.location);
+    const distanceFromReport = reportLocation && hasPosition
+        ? haversineDistance(reportLocation, { latitude, longitude })
+        : null;
+
+    if (distanceFromReport !== null && distanceFromReport > COLLECTION_MAX_DISTANCE_METERS) {
+        throw new HttpError(400, `You are ${Math.round(distanceFromReport)}m from the reported location. Move within ${COLLECTION_MAX_DISTANCE_METERS}m to verify collection.`);
+    }
+
+    if (!hasPosition || !qr_code_data) {
+        flagReasons.push('Completed by SMS without a QR scan or location');
+    } else if (distanceFromReport === null) {
+        flagReasons.push('Report location unavailable for distance check');
+    } else if (distanceFromReport > COLLECTION_FLAG_DISTANCE_METERS) {
+        flagReasons.push(`Collected ${Math.round(distanceFromReport)}m from the reported location`);
+    }
+
+    // "After" photo, cross-checked against the reported location
+    const photo = photo_id ? await findUnlinkedPhoto(photo_id, collector, 'collection') : null;
+    const photoDistance = photo ? photoDistanceFrom(photo, reportLocation) : null;
+    if (photoDistance !== null && photoDistance > PHOTO_LOCATION_TOLERANCE_METERS) {
+        flagReasons.push(`After photo taken ${Math.round(photoDistance)}m from the reported location`);
+    }
+
+    // Check the signed QR code; its nonce is burnt below so it cannot be replayed
+    const qrPayload = qr_code_data ? verifyQrToken(qr_code_data, report) : null;
+
+    // Create collection log (at most one per report that was not rejected, so
+    // this also stops a second completion of the same report)
+    const { data: collectionLog, error: logError } = await supabase
+        .from('collection_logs')
+        .insert([{
+            report_id,
+            collector_id: collector.id,
+            qr_code_scanned: Boolean(qr_code_data),
+            qr_scan_timestamp: qr_code_data ? new Date().toISOString() : null,
+            collection_location: hasPosition ? `POINT(${longitude} ${latitude})` : null,
+            distance_from_report: distanceFromReport === null ? null : distanceFromReport.toFixed(2),
+            flagged_for_review: flagReasons.length > 0,
+            flag_reason: flagReasons.join('; ') || null,
+            review_status: flagReasons.length > 0 ? 'pending' : null,
+            photo_url: photo ? photo.url : null,
+            started_at: report.started_at || new Date().toISOString(),
+            completed_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (logError) {
+        if (logError.code === '23505') {
+            throw new HttpError(409, 'This collection was already recorded');
+        }
+        throw logError;
+    }
+
+    // Burn the QR nonce and move report through in_progress to completed;
+    // if any step fails, undo the log and the nonce so the collector can retry
+    let nonceConsumed = false;
+    try {
+        if (qrPayload) {
+            await consumeQrNonce(qrPayload.n, collector.id);
+            nonceConsumed = true;
+        }
+
+        let currentReport = report;
+        if (currentReport.status === 'assigned') {
+            currentReport = await changeReportStatus({
+                report: currentReport,
+                toStatus: 'in_progress',
+                actor: collector
+            });
+        }
+
+        await changeReportStatus({
+            report: currentReport,
+            toStatus: 'completed',
+            actor: collector
+        });
+    } catch (error) {
+        await supabase.from('collection_logs').delete().eq('id', collectionLog.id);
+        if (nonceConsumed) {
+            await releaseQrNonce(qrPayload.n, collector.id);
+        }
+        throw error;
+    }
+
+    if (photo) {
+        await linkPhoto(photo.id, {
+            collection_log_id: collectionLog.id,
+            distance_from_subject: photoDistance === null ? null : photoDistance.toFixed(2),
+            location_verified: photoDistance === null ? null : photoDistance <= PHOTO_LOCATION_TOLERANCE_METERS
+        });
+    }
+
+    // Flagged collections are credited once a supervisor approves them
+    if (!collectionLog.flagged_for_review) {
+        await creditCollectionEarning(report_id).catch(creditError => {
+            console.error(`❌ Failed to credit earnings for report ${report_id}:`, creditError);
+        });
+    }
+
+    return collectionLog;
+}
+
+module.exports = {
+    verifyCollection
+};
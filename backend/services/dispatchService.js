@@ -0,0 +1,311 @@
+/**
+ * Dispatch Service
+ * Offers paid reports to the nearest available collector with spare
+ * capacity (see services/shiftService.js), one at a time.
+ * An offer that is declined or not answered before it expires cascades to the
+ * next nearest collector. When no candidate is left the report simply stays
+ * pending in the open pool (GET /api/garbage-reports/nearby).
+ */
+
+const { supabase } = require('../config/supabase');
+const { notify, notifyUser } = require('./notificationService');
+const HttpError = require('../utils/httpError');
+const { changeReportStatus } = require('./reportStatusService');
+const { assertCanTakeJob } = require('./shiftService');
+
+const OFFER_TIMEOUT_SECONDS = parseInt(process.env.DISPATCH_OFFER_TIMEOUT_SECONDS || 120);
+
+/**
+ * Expire an unanswered offer and move on to the next collector
+ */
+async function expireOffer(offerId) {
+    const { data: expired, error } = await supabase
+        .from('dispatch_offers')
+        .update({
+            status: 'expired',
+            responded_at: new Date().toISOString()
+        })
+        .eq('id', offerId)
+        .eq('status', 'offered')
+        .lte('expires_at', new Date().toISOString())
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    if (expired && expired.length > 0) {
+        console.log(`⌛ Dispatch offer ${offerId} expired`);
+        await dispatchReport(expired[0].report_id);
+    }
+}
+
+/**
+ * The report's open offer, if any (there is at most one)
+ */
+async function findOpenOffer(reportId) {
+    const { data: offer, error } = await supabase
+        .from('dispatch_offers')
+        .select('*')
+        .eq('report_id', reportId)
+        .eq('status', 'offered')
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    return offer;
+}
+
+/**
+ * Offer a report to the nearest collector who has not been offered it yet
+ * @param {string} reportId - Report to dispatch
+ * @returns {Promise<Object|null>} the open offer, or null if the report went to the open pool
+ */
+async function dispatchReport(reportId) {
+    const { data: report } = await supabase
+        .from('garbage_reports')
+        .select('id, short_code, status, address_description, estimated_volume')
+        .eq('id', reportId)
+        .single();
+
+    if (!report || report.status !== 'pending') {
+        return null;
+    }
+
+    // An overdue offer the sweeper has not reached yet would block the next one
+    const { error: expireError } = await supabase
+        .from('dispatch_offers')
+        .update({
+            status: 'expired',
+            responded_at: new Date().toISOString()
+        })
+        .eq('report_id', reportId)
+        .eq('status', 'offered')
+        .lte('expires_at', new Date().toISOString());
+
+    if (expireError) {
+        throw expireError;
+    }
+
+    const openOffer = await findOpenOffer(reportId);
+    if (openOffer) {
+        return openOffer;
+    }
+
+    const { data: candidates, error: rpcError } = await supabase
+        .rpc('find_nearest_collector', { report_uuid: reportId });
+
+    if (rpcError) {
+        throw rpcError;
+    }
+
+    // Collectors already offered this report are not returned
+    const candidate = (candidates || [])[0];
+
+    if (!candidate) {
+        console.log(`📭 No collector accepted report ${reportId} - left in open pool`);
+        return null;
+    }
+
+    const expiresAt = new Date(Date.now() + OFFER_TIMEOUT_SECONDS * 1000);
+
+    const { data: offer, error: insertError } = await supabase
+        .from('dispatch_offers')
+        .insert([{
+            report_id: reportId,
+            collector_id: candidate.collector_id,
+            distance_meters: candidate.distance_meters,
+            status: 'offered',
+            expires_at: expiresAt.toISOString()
+        }])
+        .select()
+        .single();
+
+    if (insertError) {
+        // Another dispatch for this report got there first
+        if (insertError.code === '23505') {
+            return findOpenOffer(reportId);
+        }
+        throw insertError;
+    }
+
+    const distanceKm = (Number(candidate.distance_meters) / 1000).toFixed(1);
+    await notify(candidate.collector_phone, 'job_offer', {
+        code: report.short_code,
+        distance: distanceKm,
+        volume: report.estimated_volume,
+        location: report.address_description,
+        minutes: Math.round(OFFER_TIMEOUT_SECONDS / 60)
+    }, { userId: candidate.collector_id, expiresAt });
+
+    console.log(`📨 Report ${reportId} offered to collector ${candidate.collector_id}`);
+
+    // Cascade in-process; the sweeper job catches offers missed across restarts
+    setTimeout(() => {
+        expireOffer(offer.id).catch(error => console.error('❌ Dispatch expiry error:', error));
+    }, OFFER_TIMEOUT_SECONDS * 1000 + 1000).unref();
+
+    return offer;
+}
+
+/**
+ * Expire every overdue offer (run periodically)
+ */
+async function expireStaleOffers() {
+    const { data: staleOffers, error } = await supabase
+        .from('dispatch_offers')
+        .select('id')
+        .eq('status', 'offered')
+        .lte('expires_at', new Date().toISOString());
+
+    if (error) {
+        throw error;
+    }
+
+    for (const offer of staleOffers) {
+        await expireOffer(offer.id);
+    }
+}
+
+/**
+ * Cancel open offers for a report that was assigned another way
+ */
+async function cancelOpenOffers(reportId) {
+    const { error } = await supabase
+        .from('dispatch_offers')
+        .update({
+            status: 'cancelled',
+            responded_at: new Date().toISOString()
+        })
+        .eq('report_id', reportId)
+        .eq('status', 'offered');
+
+    if (error) {
+        throw error;
+    }
+}
+
+/**
+ * Accept or decline an offer
+ * @param {string} offerId - Offer id
+ * @param {Object} collector - Responding collector (req.user)
+ * @param {boolean} accept - true to accept, false to decline
+ * @returns {Promise<Object>} assigned report when accepted, otherwise the offer
+ */
+async function respondToOffer(offerId, collector, accept) {
+    const { data: offer } = await supabase
+        .from('dispatch_offers')
+        .select('*')
+        .eq('id', offerId)
+        .eq('collector_id', collector.id)
+        .single();
+
+    if (!offer) {
+        throw new HttpError(404, 'Offer not found');
+    }
+
+    if (offer.status !== 'offered') {
+        throw new HttpError(409, `Offer already ${offer.status}`);
+    }
+
+    if (new Date(offer.expires_at) <= new Date()) {
+        await expireOffer(offer.id);
+        throw new HttpError(410, 'Offer has expired');
+    }
+
+    if (accept) {
+        await assertCanTakeJob(collector.id);
+    }
+
+    const { data: claimed, error } = await supabase
+        .from('dispatch_offers')
+        .update({
+            status: accept ? 'accepted' : 'declined',
+            responded_at: new Date().toISOString()
+        })
+        .eq('id', offer.id)
+        .eq('status', 'offered')
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!claimed || claimed.length === 0) {
+        throw new HttpError(409, 'Offer is no longer open');
+    }
+
+    if (!accept) {
+        await dispatchReport(offer.report_id);
+        return claimed[0];
+    }
+
+    try {
+        const report = await changeReportStatus({
+            report: offer.report_id,
+            toStatus: 'assigned',
+            actor: collector,
+            reason: 'Accepted dispatch offer',
+            changes: { assigned_collector_id: collector.id },
+            withinCapacity: true
+        });
+
+        await notifyUser(report.resident_id, 'collection_assigned', {
+            collector: collector.full_name,
+            location: report.address_description
+        });
+
+        return report;
+    } catch (transitionError) {
+        // Report was cancelled or taken from the pool meanwhile, or the
+        // collector filled up; a report still pending goes to the next one
+        await supabase
+            .from('dispatch_offers')
+            .update({ status: 'cancelled' })
+            .eq('id', offer.id);
+        await dispatchReport(offer.report_id);
+        throw transitionError;
+    }
+}
+
+/**
+ * Open offers for a collector
+ */
+async function listOpenOffers(collectorId) {
+    const { data, error } = await supabase
+        .from('dispatch_offers')
+        .select(`
+            *,
+            report:garbage_reports (
+                id,
+                short_code,
+                status,
+                address_description,
+                garbage_type,
+                estimated_volume,
+                photo_url,
+                payment_amount
+            )
+        `)
+        .eq('collector_id', collectorId)
+        .eq('status', 'offered')
+        .gt('expires_at', new Date().toISOString())
+        .order('offered_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    // Hide offers for reports that were cancelled or assigned another way
+    return data.filter(offer => offer.report?.status === 'pending');
+}
+
+module.exports = {
+    dispatchReport,
+    expireStaleOffers,
+    cancelOpenOffers,
+    respondToOffer,
+    listOpenOffers
+};
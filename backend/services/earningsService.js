@@ -0,0 +1,215 @@
+/**
+ * Earnings Service
+ * Credits collectors for completed paid reports, net of the KCCA commission
+ * (KCCA_COMMISSION_RATE), and summarises their ledger.
+ *
+ * Pay-per-report collections earn the resident's successful payment; subscription
+ * pickups earn the share of the plan price stored on the report. Collections
+ * flagged for review are credited once a supervisor approves them. If the
+ * report's payment is later reversed, the earning is taken back.
+ */
+
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const { DAY_MS, kampalaPeriodStart } = require('../utils/kampalaTime');
+
+const COMMISSION_RATE = parseFloat(process.env.KCCA_COMMISSION_RATE || 0.2);
+
+const MAX_SUMMARY_DAYS = 366;
+
+/**
+ * Credit the assigned collector for a completed report
+ * @param {string} reportId - Completed report
+ * @returns {Promise<Object|null>} the ledger entry, or null if nothing is owed or it was already credited
+ */
+async function creditCollectionEarning(reportId) {
+    const { data: report, error } = await supabase
+        .from('garbage_reports')
+        .select('id, status, assigned_collector_id, payment_required, payment_amount, payments (amount, payment_status)')
+        .eq('id', reportId)
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    if (report.status !== 'completed' || !report.assigned_collector_id) {
+        return null;
+    }
+
+    const payment = report.payments?.find(p => p.payment_status === 'successful');
+    const gross = report.payment_required
+        ? Number(payment?.amount || 0)
+        : Number(report.payment_amount || 0);
+
+    if (gross <= 0) {
+        return null;
+    }
+
+    const commission = Math.round(gross * COMMISSION_RATE);
+
+    const { data: entry, error: insertError } = await supabase
+        .from('collector_ledger')
+        .insert([{
+            collector_id: report.assigned_collector_id,
+            entry_type: 'earning',
+            amount: gross - commission,
+            report_id: report.id,
+            gross_amount: gross,
+            commission_rate: COMMISSION_RATE,
+            commission_amount: commission,
+            description: report.payment_required ? 'Collection' : 'Subscription pickup'
+        }])
+        .select()
+        .single();
+
+    if (insertError) {
+        if (insertError.code === '23505') {
+            return null;
+        }
+        throw insertError;
+    }
+
+    console.log(`💰 Collector ${report.assigned_collector_id} credited UGX ${entry.amount} for report ${report.id}`);
+
+    return entry;
+}
+
+/**
+ * Take back the earning credited for a report whose payment was reversed
+ * @param {string} reportId - Report of the reversed payment
+ * @param {string} reason - Stored as the entry's description
+ * @returns {Promise<Object|null>} the reversal entry, or null if nothing was credited or it was already taken back
+ */
+async function reverseCollectionEarning(reportId, reason) {
+    const { data: earning, error } = await supabase
+        .from('collector_ledger')
+        .select('*')
+        .eq('report_id', reportId)
+        .eq('entry_type', 'earning')
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!earning) {
+        return null;
+    }
+
+    const { data: entry, error: insertError } = await supabase
+        .from('collector_ledger')
+        .insert([{
+            collector_id: earning.collector_id,
+            entry_type: 'earning_reversal',
+            amount: -Number(earning.amount),
+            report_id: reportId,
+            gross_amount: -Number(earning.gross_amount),
+            commission_rate: earning.commission_rate,
+            commission_amount: -Number(earning.commission_amount),
+            description: reason
+        }])
+        .select()
+        .single();
+
+    if (insertError) {
+        if (insertError.code === '23505') {
+            return null;
+        }
+        throw insertError;
+    }
+
+    console.log(`↩️ Collector ${earning.collector_id} debited UGX ${earning.amount} for report ${reportId}: ${reason}`);
+
+    return entry;
+}
+
+/**
+ * Current ledger balance of a collector (what the next payout would send)
+ */
+async function getCollectorBalance(collectorId) {
+    const { data, error } = await supabase
+        .from('collector_balances')
+        .select('balance, total_earned')
+        .eq('collector_id', collectorId)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    return {
+        balance: Number(data?.balance || 0),
+        total_earned: Number(data?.total_earned || 0)
+    };
+}
+
+/**
+ * Earnings of a collector grouped by Kampala day, week or month
+ * @param {string} collectorId
+ * @param {Object} options
+ * @param {string} options.period - day, week or month
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (inclusive)
+ * @returns {Promise<Object>} totals, per-period buckets (newest first) and current balance
+ */
+async function getEarningsSummary(collectorId, { period, from, to }) {
+    if ((to - from) / DAY_MS > MAX_SUMMARY_DAYS) {
+        throw new HttpError(400, `Choose a range of at most ${MAX_SUMMARY_DAYS} days`);
+    }
+
+    const { data: entries, error } = await supabase
+        .from('collector_ledger')
+        .select('amount, gross_amount, commission_amount, created_at')
+        .eq('collector_id', collectorId)
+        .eq('entry_type', 'earning')
+        .gte('created_at', from.toISOString())
+        .lte('created_at', to.toISOString())
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    const emptyTotals = () => ({ collections: 0, gross: 0, commission: 0, net: 0 });
+    const totals = emptyTotals();
+    const buckets = new Map();
+
+    for (const entry of entries) {
+        const key = kampalaPeriodStart(entry.created_at, period);
+        if (!buckets.has(key)) {
+            buckets.set(key, { period_start: key, ...emptyTotals() });
+        }
+
+        for (const target of [totals, buckets.get(key)]) {
+            target.collections += 1;
+            target.gross += Number(entry.gross_amount);
+            target.commission += Number(entry.commission_amount);
+            target.net += Number(entry.amount);
+        }
+    }
+
+    const { data: openPayouts } = await supabase
+        .from('payouts')
+        .select('amount')
+        .eq('collector_id', collectorId)
+        .in('status', ['pending', 'processing']);
+
+    return {
+        period,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        commission_rate: COMMISSION_RATE,
+        totals,
+        periods: [...buckets.values()],
+        ...(await getCollectorBalance(collectorId)),
+        payout_in_progress: (openPayouts || []).reduce((sum, payout) => sum + Number(payout.amount), 0)
+    };
+}
+
+module.exports = {
+    creditCollectionEarning,
+    reverseCollectionEarning,
+    getCollectorBalance,
+    getEarningsSummary
+};
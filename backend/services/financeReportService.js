@@ -0,0 +1,287 @@
+/**
+ * Finance Report Service
+ * Payment totals by status, Kampala day, division (resident's users.area),
+ * payment method and provider, plus payments whose provider-reported amount
+ * does not match what we charged. Exported as CSV or XLSX.
+ *
+ * Payments are included by initiated_at. "Collected" is money we kept
+ * (successful); reversed payments are counted separately.
+ */
+
+const ExcelJS = require('exceljs');
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const { toCsv } = require('../utils/csv');
+const { DAY_MS, kampalaPeriodStart } = require('../utils/kampalaTime');
+const { getProviderForPayment } = require('./paymentProviders');
+
+const MAX_RANGE_DAYS = 366;
+const PAGE_SIZE = 1000;
+
+// Differences below this are rounding, not a mismatch
+const AMOUNT_TOLERANCE = 0.5;
+
+const BREAKDOWNS = {
+    status: { title: 'By status', header: 'Status', key: payment => payment.payment_status },
+    day: { title: 'By day', header: 'Day', key: payment => kampalaPeriodStart(payment.initiated_at) },
+    division: { title: 'By division', header: 'Division', key: payment => payment.resident?.area || 'Unassigned' },
+    method: { title: 'By payment method', header: 'Payment method', key: payment => payment.payment_method || 'unknown' },
+    provider: { title: 'By provider', header: 'Provider', key: payment => payment.provider }
+};
+
+const BREAKDOWN_COLUMNS = [
+    { header: 'Payments', key: 'payments' },
+    { header: 'Amount (UGX)', key: 'amount' },
+    { header: 'Successful', key: 'successful' },
+    { header: 'Collected (UGX)', key: 'collected' },
+    { header: 'Failed', key: 'failed' },
+    { header: 'Reversed (UGX)', key: 'reversed' }
+];
+
+const MISMATCH_COLUMNS = [
+    { header: 'Payment ID', key: 'payment_id' },
+    { header: 'Merchant reference', key: 'merchant_reference' },
+    { header: 'Provider', key: 'provider' },
+    { header: 'Status', key: 'payment_status' },
+    { header: 'Division', key: 'division' },
+    { header: 'Resident phone', key: 'resident_phone' },
+    { header: 'Charged', key: 'amount' },
+    { header: 'Currency', key: 'currency' },
+    { header: 'Provider amount', key: 'reported_amount' },
+    { header: 'Provider currency', key: 'reported_currency' },
+    { header: 'Difference', key: 'difference' },
+    { header: 'Issue', key: 'issue' },
+    { header: 'Initiated at', key: 'initiated_at' }
+];
+
+/**
+ * All payments initiated in the range, with the resident's division
+ */
+async function fetchPayments({ from, to, area }) {
+    const payments = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        let query = supabase
+            .from('payments')
+            .select(`
+                id,
+                merchant_reference,
+                provider,
+                amount,
+                currency,
+                payment_method,
+                payment_status,
+                webhook_response,
+                initiated_at,
+                resident:users!payments_resident_id_fkey!inner (
+                    area,
+                    phone_number
+                )
+            `)
+            .gte('initiated_at', from.toISOString())
+            .lte('initiated_at', to.toISOString());
+
+        if (area) query = query.eq('resident.area', area);
+
+        const { data, error } = await query
+            .order('initiated_at', { ascending: true })
+            .order('id', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        payments.push(...data);
+
+        if (data.length < PAGE_SIZE) {
+            return payments;
+        }
+    }
+}
+
+function emptyRow() {
+    return { payments: 0, amount: 0, successful: 0, collected: 0, failed: 0, reversed: 0 };
+}
+
+/**
+ * Add a payment to a breakdown row
+ */
+function addPayment(row, payment) {
+    const amount = Number(payment.amount);
+
+    row.payments += 1;
+    row.amount += amount;
+
+    if (payment.payment_status === 'successful') {
+        row.successful += 1;
+        row.collected += amount;
+    } else if (payment.payment_status === 'failed') {
+        row.failed += 1;
+    } else if (payment.payment_status === 'reversed') {
+        row.reversed += amount;
+    }
+}
+
+/**
+ * Group payments by one breakdown, sorted by key
+ */
+function breakdown(payments, { key }) {
+    const rows = new Map();
+
+    for (const payment of payments) {
+        const value = key(payment);
+        if (!rows.has(value)) {
+            rows.set(value, { key: value, ...emptyRow() });
+        }
+        addPayment(rows.get(value), payment);
+    }
+
+    return [...rows.values()].sort((a, b) => String(a.key).localeCompare(String(b.key)));
+}
+
+/**
+ * Compare what the provider says was paid with what we charged
+ * Only payments that took money (successful or reversed) are checked.
+ * @returns {Object|null} mismatch row, or null if the payment matches
+ */
+function findMismatch(payment) {
+    if (!['successful', 'reversed'].includes(payment.payment_status) || !payment.webhook_response) {
+        return null;
+    }
+
+    const reported = getProviderForPayment(payment).reportedAmount(payment.webhook_response);
+    if (!reported || Number.isNaN(reported.amount)) {
+        return null;
+    }
+
+    const amount = Number(payment.amount);
+    const difference = reported.amount - amount;
+    const currencyMismatch = reported.currency && reported.currency !== payment.currency;
+
+    if (Math.abs(difference) < AMOUNT_TOLERANCE && !currencyMismatch) {
+        return null;
+    }
+
+    return {
+        payment_id: payment.id,
+        merchant_reference: payment.merchant_reference,
+        provider: payment.provider,
+        payment_status: payment.payment_status,
+        division: payment.resident?.area || null,
+        resident_phone: payment.resident?.phone_number || null,
+        amount,
+        currency: payment.currency,
+        reported_amount: reported.amount,
+        reported_currency: reported.currency || null,
+        difference,
+        issue: currencyMismatch ? 'currency_mismatch' : difference < 0 ? 'underpaid' : 'overpaid',
+        initiated_at: payment.initiated_at
+    };
+}
+
+/**
+ * Aggregate payments for a date range
+ * @param {Object} options
+ * @param {Date} options.from - Start of the range (inclusive)
+ * @param {Date} options.to - End of the range (inclusive)
+ * @param {string} [options.area] - Limit to one division
+ * @returns {Promise<Object>} totals, one array per breakdown (by_status, by_day, ...) and mismatches
+ */
+async function buildFinanceReport({ from, to, area = null }) {
+    if (from > to) {
+        throw new HttpError(400, '"from" must be before "to"');
+    }
+
+    if ((to - from) / DAY_MS > MAX_RANGE_DAYS) {
+        throw new HttpError(400, `Choose a range of at most ${MAX_RANGE_DAYS} days`);
+    }
+
+    const payments = await fetchPayments({ from, to, area });
+
+    const totals = emptyRow();
+    payments.forEach(payment => addPayment(totals, payment));
+
+    const report = {
+        from: from.toISOString(),
+        to: to.toISOString(),
+        area,
+        currency: 'UGX',
+        totals
+    };
+
+    for (const [name, definition] of Object.entries(BREAKDOWNS)) {
+        report[`by_${name}`] = breakdown(payments, definition);
+    }
+
+    report.mismatches = payments.map(findMismatch).filter(Boolean);
+
+    return report;
+}
+
+/**
+ * Columns and rows of one export sheet
+ * @param {Object} report - From buildFinanceReport
+ * @param {string} sheet - A breakdown name (status, day, division, method, provider) or mismatches
+ */
+function sheetData(report, sheet) {
+    if (sheet === 'mismatches') {
+        return { title: 'Mismatches', columns: MISMATCH_COLUMNS, rows: report.mismatches };
+    }
+
+    const { title, header } = BREAKDOWNS[sheet];
+    return {
+        title,
+        columns: [{ header, key: 'key' }, ...BREAKDOWN_COLUMNS],
+        rows: report[`by_${sheet}`]
+    };
+}
+
+/**
+ * Export a report
+ * CSV holds one sheet; XLSX holds every breakdown and the mismatches.
+ * @param {Object} report - From buildFinanceReport
+ * @param {string} format - csv or xlsx
+ * @param {string} [sheet='division'] - Sheet for CSV exports
+ * @returns {Promise<{filename: string, contentType: string, body: string|Buffer}>}
+ */
+async function exportFinanceReport(report, format, sheet = 'division') {
+    const range = `${report.from.slice(0, 10)}_${report.to.slice(0, 10)}`;
+    const scope = report.area ? `-${report.area.replace(/[^\w-]+/g, '_')}` : '';
+
+    if (format === 'csv') {
+        const { columns, rows } = sheetData(report, sheet);
+
+        return {
+            filename: `gfc-payments-${sheet}${scope}-${range}.csv`,
+            contentType: 'text/csv; charset=utf-8',
+            body: toCsv(columns, rows)
+        };
+    }
+
+    const workbook = new ExcelJS.Workbook();
+    workbook.creator = 'KCCA Garbage Free City';
+    workbook.created = new Date();
+
+    for (const name of [...Object.keys(BREAKDOWNS), 'mismatches']) {
+        const { title, columns, rows } = sheetData(report, name);
+        const worksheet = workbook.addWorksheet(title);
+
+        worksheet.columns = columns.map(column => ({ ...column, width: Math.max(12, column.header.length + 2) }));
+        worksheet.addRows(rows);
+        worksheet.getRow(1).font = { bold: true };
+        worksheet.views = [{ state: 'frozen', ySplit: 1 }];
+    }
+
+    return {
+        filename: `gfc-payments${scope}-${range}.xlsx`,
+        contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+        body: Buffer.from(await workbook.xlsx.writeBuffer())
+    };
+}
+
+module.exports = {
+    EXPORT_SHEETS: [...Object.keys(BREAKDOWNS), 'mismatches'],
+    buildFinanceReport,
+    exportFinanceReport
+};
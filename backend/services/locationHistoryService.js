@@ -0,0 +1,328 @@
+/**
+ * Location History Service
+ * Time series of collector positions (collector_locations) for audits and
+ * disputes: breadcrumb trails as GeoJSON and distance travelled per shift
+ * (collector_shifts, see services/shiftService.js).
+ *
+ * The app buffers positions while offline and uploads them in batches, so
+ * points can arrive late and more than once; they are keyed by collector and
+ * recorded_at and duplicates are ignored. Points older than
+ * COLLECTOR_LOCATION_RETENTION_DAYS are pruned by jobs/locationRetention.js.
+ *
+ * Trails are split into segments wherever tracking stopped for longer than
+ * LOCATION_SEGMENT_GAP_MINUTES, so a gap is not drawn as a straight line.
+ */
+
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const { haversineDistance, parsePoint } = require('../utils/geo');
+
+const RETENTION_DAYS = parseFloat(process.env.COLLECTOR_LOCATION_RETENTION_DAYS || 90);
+const SEGMENT_GAP_MINUTES = parseFloat(process.env.LOCATION_SEGMENT_GAP_MINUTES || 30);
+const MAX_ACCURACY_METERS = parseFloat(process.env.LOCATION_MAX_ACCURACY_METERS || 100);
+
+// Faster than this between two points is GPS noise, not travel
+const MAX_PLAUSIBLE_SPEED_KMH = 120;
+// Device clocks may run slightly ahead
+const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window when no `from` is given, and the longest allowed
+const DEFAULT_TRAIL_DAYS = 1;
+const DEFAULT_SUMMARY_DAYS = 7;
+const MAX_TRAIL_DAYS = 7;
+const MAX_SUMMARY_DAYS = 31;
+const PAGE_SIZE = 1000;
+const PRUNE_BATCH_SIZE = 5000;
+
+/**
+ * Store a batch of positions
+ * Points from the future or past the retention window are skipped.
+ * @param {Object} collector - Collector (req.user)
+ * @param {Array<{latitude: number, longitude: number, recorded_at: Date, accuracy_meters?: number, speed_kmh?: number}>} points
+ * @returns {Promise<{accepted: number, skipped: number, latest: Object|null}>}
+ *   latest is the newest accepted point
+ */
+async function recordLocations(collector, points) {
+    const now = Date.now();
+    const oldest = now - RETENTION_DAYS * DAY_MS;
+
+    const valid = points.filter(point => {
+        const time = new Date(point.recorded_at).getTime();
+        return time <= now + MAX_CLOCK_SKEW_MS && time >= oldest;
+    });
+
+    if (valid.length === 0) {
+        return { accepted: 0, skipped: points.length, latest: null };
+    }
+
+    const rows = valid.map(point => ({
+        collector_id: collector.id,
+        location: `POINT(${point.longitude} ${point.latitude})`,
+        accuracy_meters: point.accuracy_meters ?? null,
+        speed_kmh: point.speed_kmh ?? null,
+        recorded_at: new Date(point.recorded_at).toISOString()
+    }));
+
+    const { error } = await supabase
+        .from('collector_locations')
+        .upsert(rows, { onConflict: 'collector_id,recorded_at', ignoreDuplicates: true });
+
+    if (error) {
+        throw error;
+    }
+
+    const latest = valid.reduce((newest, point) =>
+        new Date(point.recorded_at) > new Date(newest.recorded_at) ? point : newest
+    );
+
+    return { accepted: valid.length, skipped: points.length - valid.length, latest };
+}
+
+/**
+ * Fill in and check a time window (to defaults to now)
+ * @returns {{from: Date, to: Date}}
+ * @throws {HttpError} 400 when from is after to or the window is too long
+ */
+function resolveWindow({ from, to }, defaultDays, maxDays) {
+    const end = to || new Date();
+    const start = from || new Date(end.getTime() - defaultDays * DAY_MS);
+
+    if (start > end) {
+        throw new HttpError(400, '"from" must be before "to"');
+    }
+
+    if (end - start > maxDays * DAY_MS) {
+        throw new HttpError(400, `Time window cannot be longer than ${maxDays} days`);
+    }
+
+    return { from: start, to: end };
+}
+
+/**
+ * Positions of a collector in a time window, oldest first
+ * @returns {Promise<Array<{latitude, longitude, accuracy_meters, speed_kmh, recorded_at}>>}
+ */
+async function getLocations(collectorId, { from, to }) {
+    const points = [];
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+        const { data, error } = await supabase
+            .from('collector_locations')
+            .select('location, accuracy_meters, speed_kmh, recorded_at')
+            .eq('collector_id', collectorId)
+            .gte('recorded_at', from.toISOString())
+            .lte('recorded_at', to.toISOString())
+            .order('recorded_at', { ascending: true })
+            .range(offset, offset + PAGE_SIZE - 1);
+
+        if (error) {
+            throw error;
+        }
+
+        for (const row of data) {
+            const position = parsePoint(row.location);
+            if (position) {
+                points.push({
+                    ...position,
+                    accuracy_meters: row.accuracy_meters === null ? null : Number(row.accuracy_meters),
+                    speed_kmh: row.speed_kmh === null ? null : Number(row.speed_kmh),
+                    recorded_at: row.recorded_at
+                });
+            }
+        }
+
+        if (data.length < PAGE_SIZE) {
+            return points;
+        }
+    }
+}
+
+/**
+ * Distance along a path of points, oldest first
+ * Inaccurate fixes and implausible jumps are left out.
+ * @returns {number} meters
+ */
+function measureDistance(points) {
+    let meters = 0;
+    let lastGood = null;
+
+    for (const point of points) {
+        if (point.accuracy_meters !== null && point.accuracy_meters > MAX_ACCURACY_METERS) {
+            continue;
+        }
+
+        if (lastGood) {
+            const step = haversineDistance(lastGood, point);
+            const hours = (new Date(point.recorded_at) - new Date(lastGood.recorded_at)) / (60 * 60 * 1000);
+
+            if (hours > 0 && step / 1000 / hours > MAX_PLAUSIBLE_SPEED_KMH) {
+                continue;
+            }
+            meters += step;
+        }
+        lastGood = point;
+    }
+
+    return meters;
+}
+
+/**
+ * Split points into segments wherever tracking stopped for a while
+ * @param {Array} points - Oldest first
+ * @returns {Array<{started_at, ended_at, duration_minutes, distance_meters, point_count, points}>}
+ */
+function splitSegments(points) {
+    const segments = [];
+    let current = null;
+
+    for (const point of points) {
+        const time = new Date(point.recorded_at).getTime();
+
+        if (!current || time - new Date(current.ended_at).getTime() > SEGMENT_GAP_MINUTES * 60 * 1000) {
+            current = { started_at: point.recorded_at, ended_at: point.recorded_at, points: [] };
+            segments.push(current);
+        }
+
+        current.points.push(point);
+        current.ended_at = point.recorded_at;
+    }
+
+    return segments.map(segment => ({
+        started_at: segment.started_at,
+        ended_at: segment.ended_at,
+        duration_minutes: Math.round((new Date(segment.ended_at) - new Date(segment.started_at)) / 60000),
+        distance_meters: Math.round(measureDistance(segment.points)),
+        point_count: segment.points.length,
+        points: segment.points
+    }));
+}
+
+/**
+ * Breadcrumb trail as a GeoJSON FeatureCollection, one LineString per segment
+ * Timestamps of the vertices are in properties.times.
+ * @param {string} collectorId
+ * @param {{from?: Date, to?: Date}} window - Defaults to the last day
+ */
+async function getTrail(collectorId, window) {
+    const { from, to } = resolveWindow(window, DEFAULT_TRAIL_DAYS, MAX_TRAIL_DAYS);
+
+    const segments = splitSegments(await getLocations(collectorId, { from, to }));
+
+    return {
+        type: 'FeatureCollection',
+        properties: {
+            collector_id: collectorId,
+            from: from.toISOString(),
+            to: to.toISOString()
+        },
+        features: segments.map(({ points, ...segment }) => ({
+            type: 'Feature',
+            geometry: points.length > 1
+                ? { type: 'LineString', coordinates: points.map(point => [point.longitude, point.latitude]) }
+                : { type: 'Point', coordinates: [points[0].longitude, points[0].latitude] },
+            properties: {
+                ...segment,
+                times: points.map(point => point.recorded_at)
+            }
+        }))
+    };
+}
+
+/**
+ * Distance a collector travelled between two times
+ * @returns {Promise<number>} meters, rounded
+ */
+async function measureTravel(collectorId, { from, to }) {
+    return Math.round(measureDistance(await getLocations(collectorId, { from, to })));
+}
+
+/**
+ * Distance travelled per shift, for shifts started in a time window
+ * Finished shifts use the distance stored at check-out; an open shift is
+ * measured up to now.
+ * @param {string} collectorId
+ * @param {{from?: Date, to?: Date}} window - Defaults to the last 7 days
+ */
+async function getDistanceSummary(collectorId, window) {
+    const { from, to } = resolveWindow(window, DEFAULT_SUMMARY_DAYS, MAX_SUMMARY_DAYS);
+
+    const { data: rows, error } = await supabase
+        .from('collector_shifts')
+        .select('id, started_at, ended_at, distance_meters')
+        .eq('collector_id', collectorId)
+        .gte('started_at', from.toISOString())
+        .lte('started_at', to.toISOString())
+        .order('started_at', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    const shifts = [];
+    for (const shift of rows) {
+        const endedAt = shift.ended_at ? new Date(shift.ended_at) : new Date();
+        const distance = shift.ended_at && shift.distance_meters !== null
+            ? Number(shift.distance_meters)
+            : await measureTravel(collectorId, { from: new Date(shift.started_at), to: endedAt });
+
+        shifts.push({
+            shift_id: shift.id,
+            started_at: shift.started_at,
+            ended_at: shift.ended_at,
+            duration_minutes: Math.round((endedAt - new Date(shift.started_at)) / 60000),
+            distance_meters: distance
+        });
+    }
+
+    return {
+        collector_id: collectorId,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        totals: {
+            shifts: shifts.length,
+            distance_meters: shifts.reduce((sum, shift) => sum + shift.distance_meters, 0),
+            duration_minutes: shifts.reduce((sum, shift) => sum + shift.duration_minutes, 0)
+        },
+        shifts
+    };
+}
+
+/**
+ * Delete positions older than the retention period (run periodically)
+ * @returns {Promise<number>} rows deleted
+ */
+async function pruneLocationHistory() {
+    const cutoff = new Date(Date.now() - RETENTION_DAYS * DAY_MS);
+    let deleted = 0;
+
+    // Batches keep each delete short on a large table
+    for (;;) {
+        const { data: count, error } = await supabase
+            .rpc('prune_collector_locations', { cutoff: cutoff.toISOString(), batch_size: PRUNE_BATCH_SIZE });
+
+        if (error) {
+            throw error;
+        }
+
+        deleted += count;
+        if (count < PRUNE_BATCH_SIZE) {
+            break;
+        }
+    }
+
+    if (deleted > 0) {
+        console.log(`🧹 Pruned ${deleted} collector locations older than ${RETENTION_DAYS} days`);
+    }
+
+    return deleted;
+}
+
+module.exports = {
+    recordLocations,
+    getTrail,
+    measureTravel,
+    getDistanceSummary,
+    pruneLocationHistory
+};
@@ -0,0 +1,273 @@
+/**
+ * Notification Service
+ * The one way to send an SMS. Each message is rendered from a named template
+ * (services/notificationTemplates), recorded in the notifications outbox and
+ * sent through the active transport (NOTIFICATION_TRANSPORT).
+ *
+ *   pending -> sent -> delivered
+ *      \________\____> failed
+ *
+ * Sends that fail are retried with exponential backoff by the notification
+ * retrier job, up to NOTIFICATION_MAX_ATTEMPTS. Africa's Talking delivery
+ * reports mark sent messages delivered or failed.
+ */
+
+const { supabase } = require('../config/supabase');
+const { getTemplate, renderTemplate } = require('./notificationTemplates');
+const { getActiveTransport, getTransport } = require('./notificationTransports');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || 5);
+const RETRY_BASE_SECONDS = parseFloat(process.env.NOTIFICATION_RETRY_BASE_SECONDS || 60);
+const MAX_RETRY_SECONDS = 60 * 60;
+const BATCH_SIZE = 50;
+
+const REDACTED_MESSAGE = '[redacted]';
+
+// Africa's Talking delivery report statuses that end delivery
+// (Sent, Submitted and Buffered are still on the way)
+const DELIVERED_STATUSES = ['Success'];
+const UNDELIVERED_STATUSES = ['Failed', 'Rejected', 'Expired', 'AbsentSubscriber'];
+
+/**
+ * Delay before the next attempt, doubling each time
+ */
+function retryDelaySeconds(attempts) {
+    return Math.min(RETRY_BASE_SECONDS * 2 ** (attempts - 1), MAX_RETRY_SECONDS);
+}
+
+/**
+ * Move a notification on if nobody changed it since we read it
+ * @returns {Promise<Object|null>} updated notification, or null if the change was lost
+ */
+async function updateNotification(notification, changes) {
+    const { data: updated, error } = await supabase
+        .from('notifications')
+        .update({ ...changes, updated_at: new Date().toISOString() })
+        .eq('id', notification.id)
+        .eq('status', notification.status)
+        .eq('attempts', notification.attempts)
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    return updated && updated.length > 0 ? updated[0] : null;
+}
+
+/**
+ * Give up on a notification
+ */
+async function failNotification(notification, reason, extra = {}) {
+    const failed = await updateNotification(notification, {
+        status: 'failed',
+        last_error: reason,
+        failed_at: new Date().toISOString(),
+        ...redaction(notification),
+        ...extra
+    });
+
+    if (failed) {
+        console.error(`❌ SMS ${notification.id} (${notification.template}) to ${notification.recipient} failed: ${reason}`);
+    }
+
+    return failed;
+}
+
+/**
+ * Message replacement for sensitive templates once they leave the outbox
+ */
+function redaction(notification) {
+    return getTemplate(notification.template).sensitive ? { message: REDACTED_MESSAGE } : {};
+}
+
+/**
+ * Make one delivery attempt
+ * The attempt is claimed first (attempts + 1, next attempt scheduled), so the
+ * retrier and the first send never deliver the same notification twice.
+ * @param {Object} notification - Pending notification row
+ * @returns {Promise<Object|null>} the notification after the attempt, or null if another worker claimed it
+ */
+async function deliverNotification(notification) {
+    if (notification.expires_at && new Date(notification.expires_at) <= new Date()) {
+        return failNotification(notification, 'Expired before it could be sent');
+    }
+
+    const attempts = notification.attempts + 1;
+    const claimed = await updateNotification(notification, {
+        attempts,
+        next_attempt_at: new Date(Date.now() + retryDelaySeconds(attempts) * 1000).toISOString()
+    });
+
+    if (!claimed) {
+        return null;
+    }
+
+    let result;
+    try {
+        result = await getTransport(claimed.transport).send({
+            to: claimed.recipient,
+            message: claimed.message,
+            notification: claimed
+        });
+    } catch (sendError) {
+        result = { status: 'failed', retryable: true, error: sendError.message };
+    }
+
+    if (result.status === 'sent') {
+        const sent = await updateNotification(claimed, {
+            status: 'sent',
+            provider_message_id: result.providerMessageId || null,
+            provider_status: result.providerStatus || null,
+            cost: result.cost || null,
+            last_error: null,
+            sent_at: new Date().toISOString(),
+            ...redaction(claimed)
+        });
+
+        console.log(`📱 SMS ${claimed.template} sent to ${claimed.recipient}`);
+        return sent;
+    }
+
+    if (!result.retryable || attempts >= MAX_ATTEMPTS) {
+        return failNotification(claimed, result.error, { provider_status: result.providerStatus || null });
+    }
+
+    console.warn(`⚠️ SMS ${claimed.id} attempt ${attempts} failed, retrying: ${result.error}`);
+
+    return updateNotification(claimed, {
+        last_error: result.error,
+        provider_status: result.providerStatus || null
+    });
+}
+
+/**
+ * Send an SMS from a template
+ * Never throws: a message that cannot be sent must not fail the request or
+ * job that triggered it. Failed sends stay in the outbox for retry.
+ * @param {string} phoneNumber - Recipient phone (+256...)
+ * @param {string} template - Template name (see notificationTemplates)
+ * @param {Object} [params] - Placeholder values
+ * @param {Object} [options]
+ * @param {string} [options.userId] - Recipient user, for the record
+ * @param {Date} [options.expiresAt] - Do not send after this time (e.g. OTP expiry)
+ * @returns {Promise<Object|null>} the notification, or null if it could not be recorded
+ */
+async function notify(phoneNumber, template, params = {}, { userId = null, expiresAt = null } = {}) {
+    try {
+        const { data: notification, error } = await supabase
+            .from('notifications')
+            .insert([{
+                user_id: userId,
+                recipient: phoneNumber,
+                template,
+                message: renderTemplate(template, params),
+                transport: getActiveTransport().name,
+                status: 'pending',
+                attempts: 0,
+                expires_at: expiresAt ? expiresAt.toISOString() : null
+            }])
+            .select()
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        return (await deliverNotification(notification)) || notification;
+    } catch (error) {
+        console.error(`❌ Failed to send ${template} SMS to ${phoneNumber}:`, error);
+        return null;
+    }
+}
+
+/**
+ * SMS a user by id
+ * @param {string} userId
+ * @param {string} template - Template name; {name} is filled with the user's name
+ * @param {Object} [params] - Other placeholder values
+ */
+async function notifyUser(userId, template, params = {}) {
+    const { data: user } = await supabase
+        .from('users')
+        .select('phone_number, full_name')
+        .eq('id', userId)
+        .single();
+
+    if (!user) {
+        return null;
+    }
+
+    return notify(user.phone_number, template, { name: user.full_name, ...params }, { userId });
+}
+
+/**
+ * Retry notifications whose next attempt is due
+ * @returns {Promise<number>} notifications attempted
+ */
+async function retryPendingNotifications() {
+    const { data: notifications, error } = await supabase
+        .from('notifications')
+        .select('*')
+        .eq('status', 'pending')
+        .lte('next_attempt_at', new Date().toISOString())
+        .order('next_attempt_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        throw error;
+    }
+
+    for (const notification of notifications) {
+        try {
+            await deliverNotification(notification);
+        } catch (retryError) {
+            console.error(`❌ Failed to retry SMS ${notification.id}:`, retryError);
+        }
+    }
+
+    return notifications.length;
+}
+
+/**
+ * Record an Africa's Talking delivery report
+ * @param {Object} report - Callback body: id, status, phoneNumber, failureReason
+ * @returns {Promise<Object|null>} the updated notification, or null if unknown or already final
+ */
+async function applyDeliveryReport({ id, status, failureReason }) {
+    const { data: notification } = await supabase
+        .from('notifications')
+        .select('*')
+        .eq('provider_message_id', id)
+        .maybeSingle();
+
+    if (!notification || notification.status !== 'sent') {
+        return null;
+    }
+
+    const changes = { provider_status: status };
+
+    if (DELIVERED_STATUSES.includes(status)) {
+        changes.status = 'delivered';
+        changes.delivered_at = new Date().toISOString();
+    } else if (UNDELIVERED_STATUSES.includes(status)) {
+        changes.status = 'failed';
+        changes.failed_at = new Date().toISOString();
+        changes.last_error = failureReason || status;
+    }
+
+    const updated = await updateNotification(notification, changes);
+
+    if (updated && changes.status) {
+        console.log(`📬 SMS ${notification.id} ${changes.status}${failureReason ? `: ${failureReason}` : ''}`);
+    }
+
+    return updated;
+}
+
+module.exports = {
+    notify,
+    notifyUser,
+    retryPendingNotifications,
+    applyDeliveryReport
+};
@@ -0,0 +1,145 @@
+/**
+ * Notification Templates
+ * Every SMS the platform sends, by name. Placeholders are written {param}.
+ * A template can be overridden with an SMS_<NAME> environment variable,
+ * e.g. SMS_PAYMENT_SUCCESS for payment_success.
+ *
+ * Sensitive templates have their text redacted from the outbox once sent.
+ */
+
+const TEMPLATES = {
+    // Accounts
+    otp_code: {
+        text: 'Your GFC verification code is {code}. It expires in {minutes} minutes. Do not share it. -KCCA GFC',
+        sensitive: true
+    },
+    welcome: {
+        text: 'Welcome to GFC {name}! Your account is ready. Start reporting garbage pile-ups in Kampala. -KCCA GFC'
+    },
+    staff_account_created: {
+        text: 'Hello {name}, a GFC {role} account has been created for you. Log in with this phone number. -KCCA GFC'
+    },
+
+    // Collections
+    job_offer: {
+        text: 'New GFC job {code} {distance}km away: {volume} pile at {location}. Reply ACCEPT {code} or open the app within {minutes} min. -KCCA GFC'
+    },
+    job_assigned_by_staff: {
+        text: 'Hello {name}, KCCA has assigned you collection {code} at {location}. Open the GFC app for details. -KCCA GFC'
+    },
+    job_withdrawn: {
+        text: 'Hello {name}, the job at {location} has been withdrawn. Please do not collect it. -KCCA GFC'
+    },
+    collection_assigned: {
+        text: 'Hello {name}, collector {collector} is on the way to {location}. -KCCA GFC'
+    },
+
+    // Replies to SMS commands
+    command_reply: {
+        text: '{message} -KCCA GFC'
+    },
+
+    // Payments
+    payment_success: {
+        text: 'Webale nyo {name}! Your payment of UGX {amount} for garbage collection has been received. A collector will be assigned soon. -KCCA GFC'
+    },
+    payment_report_cancelled: {
+        text: 'Hello {name}, we received UGX {amount} for a report that was already cancelled. A refund has been requested for you. -KCCA GFC'
+    },
+    payment_failed: {
+        text: 'Sorry {name}, your payment of UGX {amount} failed. Please try again or contact KCCA support. -KCCA GFC'
+    },
+    payment_link: {
+        text: 'Hello {name}, pay UGX {amount} for your GFC garbage collection here: {url} -KCCA GFC'
+    },
+    payment_reversed: {
+        text: 'Hello {name}, your payment of UGX {amount} was reversed. Please pay again in the app to have your garbage collected. -KCCA GFC'
+    },
+
+    // Refunds
+    refund_rejected: {
+        text: 'Hello {name}, your refund request of UGX {amount} was not approved. -KCCA GFC'
+    },
+    refund_rejected_with_reason: {
+        text: 'Hello {name}, your refund request of UGX {amount} was not approved. Reason: {reason} -KCCA GFC'
+    },
+    refund_sent: {
+        text: 'Hello {name}, your refund of UGX {amount} has been sent to your mobile money account. -KCCA GFC'
+    },
+    refund_failed: {
+        text: 'Sorry {name}, we could not process your refund of UGX {amount}. KCCA support will contact you. -KCCA GFC'
+    },
+
+    // Subscriptions
+    subscription_payment_success: {
+        text: 'Webale nyo {name}! Your subscription payment of UGX {amount} has been received. Your pickups are paid until {paid_until}. -KCCA GFC'
+    },
+    subscription_payment_unapplied: {
+        text: 'Hello {name}, we received UGX {amount} for a subscription that is cancelled. Please contact KCCA support for a refund. -KCCA GFC'
+    },
+    subscription_payment_reversed: {
+        text: 'Hello {name}, your subscription payment of UGX {amount} was reversed. -KCCA GFC'
+    },
+    subscription_payment_reversed_suspended: {
+        text: 'Hello {name}, your subscription payment of UGX {amount} was reversed. Pickups are suspended until you pay again in the app. -KCCA GFC'
+    },
+    subscription_pickup_today: {
+        text: 'Hello {name}, your GFC {frequency} pickup is today. Please have your garbage ready; a collector will be assigned soon. -KCCA GFC'
+    },
+    subscription_renewal_due: {
+        text: 'Hello {name}, your GFC {frequency} subscription renewal of UGX {amount} is due {due_on}. Approve the Mobile Money prompt on your phone. -KCCA GFC'
+    },
+    subscription_renewal_due_link: {
+        text: 'Hello {name}, your GFC {frequency} subscription renewal of UGX {amount} is due {due_on}. Pay here: {url} -KCCA GFC'
+    },
+    subscription_past_due: {
+        text: 'Hello {name}, your GFC subscription payment is overdue. Please pay by {pay_by} to keep your pickups. -KCCA GFC'
+    },
+    subscription_suspended: {
+        text: 'Hello {name}, your GFC subscription has been suspended for non-payment. Pay in the app to restart your pickups. -KCCA GFC'
+    },
+
+    // Collector payouts
+    payout_sent: {
+        text: 'GFC payout: UGX {amount} has been sent to your mobile money account. Ref: {reference}. Webale nyo! -KCCA GFC'
+    },
+    payout_failed: {
+        text: 'GFC payout of UGX {amount} could not be sent and is back in your balance. It will be included in the next payout. -KCCA GFC'
+    }
+};
+
+/**
+ * Template by name
+ * @throws {Error} for an unknown template
+ */
+function getTemplate(name) {
+    const template = TEMPLATES[name];
+
+    if (!template) {
+        throw new Error(`Unknown notification template: ${name}`);
+    }
+
+    return {
+        ...template,
+        text: process.env[`SMS_${name.toUpperCase()}`] || template.text
+    };
+}
+
+/**
+ * Render a template; missing params render as empty text
+ * @param {string} name - Template name
+ * @param {Object} params - Placeholder values
+ * @returns {string} the message
+ */
+function renderTemplate(name, params = {}) {
+    return getTemplate(name).text
+        .replace(/\{(\w+)\}/g, (placeholder, key) => (params[key] ?? '').toString())
+        .replace(/\s{2,}/g, ' ')
+        .trim();
+}
+
+module.exports = {
+    TEMPLATE_NAMES: Object.keys(TEMPLATES),
+    getTemplate,
+    renderTemplate
+};
@@ -0,0 +1,47 @@
+/**
+ * Africa's Talking SMS Transport
+ * Delivery reports arrive later at /webhooks/africastalking/delivery.
+ */
+
+const { sendSMS } = require('../../config/africasTalking');
+
+// Per-recipient status codes: accepted for delivery
+const ACCEPTED_CODES = [100, 101, 102]; // Processed, Sent, Queued
+
+// Rejections that will not change on retry
+const PERMANENT_FAILURE_CODES = [403, 404, 406]; // InvalidPhoneNumber, UnsupportedNumberType, UserInBlacklist
+
+async function send({ to, message }) {
+    const response = await sendSMS(to, message);
+    const recipient = response?.SMSMessageData?.Recipients?.[0];
+
+    if (!recipient) {
+        // e.g. "InvalidSenderId" - the request was rejected before reaching a recipient
+        return {
+            status: 'failed',
+            retryable: true,
+            error: response?.SMSMessageData?.Message || 'No recipient in the Africa\'s Talking response'
+        };
+    }
+
+    if (ACCEPTED_CODES.includes(recipient.statusCode)) {
+        return {
+            status: 'sent',
+            providerMessageId: recipient.messageId,
+            providerStatus: recipient.status,
+            cost: recipient.cost
+        };
+    }
+
+    return {
+        status: 'failed',
+        retryable: !PERMANENT_FAILURE_CODES.includes(recipient.statusCode),
+        providerStatus: recipient.status,
+        error: `${recipient.status} (${recipient.statusCode})`
+    };
+}
+
+module.exports = {
+    name: 'africastalking',
+    send
+};
@@ -0,0 +1,18 @@
+/**
+ * Console Transport
+ * For local development: messages are logged, not sent.
+ */
+
+async function send({ to, message, notification }) {
+    console.log(`📱 [sms:${notification.template}] to ${to}: ${message}`);
+
+    return {
+        status: 'sent',
+        providerStatus: 'Logged'
+    };
+}
+
+module.exports = {
+    name: 'console',
+    send
+};
@@ -0,0 +1,32 @@
+/**
+ * File Transport
+ * For local development: messages are appended as JSON lines to
+ * NOTIFICATION_FILE, e.g. to read OTP codes in end-to-end tests.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const NOTIFICATION_FILE = path.resolve(process.env.NOTIFICATION_FILE || path.join(__dirname, '../../logs/sms.log'));
+
+async function send({ to, message, notification }) {
+    await fs.mkdir(path.dirname(NOTIFICATION_FILE), { recursive: true });
+    await fs.appendFile(NOTIFICATION_FILE, JSON.stringify({
+        id: notification.id,
+        to,
+        template: notification.template,
+        message,
+        sent_at: new Date().toISOString()
+    }) + '\n');
+
+    return {
+        status: 'sent',
+        providerStatus: 'Written'
+    };
+}
+
+module.exports = {
+    name: 'file',
+    NOTIFICATION_FILE,
+    send
+};
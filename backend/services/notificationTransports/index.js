@@ -0,0 +1,51 @@
+/**
+ * Notification Transports
+ * Deliver a rendered SMS, behind one interface:
+ *   send({ to, message, notification })
+ *       -> { status: sent | failed, retryable, providerMessageId, providerStatus, cost, error }
+ *   Throwing means the outcome is unknown (e.g. a network error) and the send is retried.
+ *
+ * NOTIFICATION_TRANSPORT selects the transport:
+ * - africastalking: Africa's Talking SMS (default in production or when credentials are set)
+ * - console: log messages instead of sending them (default in development without credentials)
+ * - file: append messages to NOTIFICATION_FILE as JSON lines (development)
+ */
+
+const africasTalkingTransport = require('./africasTalkingTransport');
+const consoleTransport = require('./consoleTransport');
+const fileTransport = require('./fileTransport');
+
+const TRANSPORTS = {
+    africastalking: africasTalkingTransport,
+    console: consoleTransport,
+    file: fileTransport
+};
+
+/**
+ * Transport by name
+ */
+function getTransport(name) {
+    const transport = TRANSPORTS[name];
+
+    if (!transport) {
+        throw new Error(`Unknown notification transport: ${name}`);
+    }
+
+    return transport;
+}
+
+/**
+ * Transport for new notifications in this deployment
+ */
+function getActiveTransport() {
+    const defaultName = process.env.AFRICAS_TALKING_API_KEY || process.env.NODE_ENV === 'production'
+        ? 'africastalking'
+        : 'console';
+    return getTransport(process.env.NOTIFICATION_TRANSPORT || defaultName);
+}
+
+module.exports = {
+    TRANSPORT_NAMES: Object.keys(TRANSPORTS),
+    getTransport,
+    getActiveTransport
+};
@@ -0,0 +1,152 @@
+/**
+ * OTP Service
+ * One-time codes sent by SMS to prove ownership of a phone number
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const { notify } = require('./notificationService');
+const HttpError = require('../utils/httpError');
+
+const OTP_LENGTH = 6;
+const OTP_EXPIRY_MINUTES = parseInt(process.env.OTP_EXPIRY_MINUTES || 5);
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || 5);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || 60);
+
+/**
+ * Hash a code so plain OTPs are never stored
+ */
+function hashCode(phoneNumber, code) {
+    return crypto
+        .createHmac('sha256', process.env.JWT_SECRET)
+        .update(`${phoneNumber}:${code}`)
+        .digest('hex');
+}
+
+/**
+ * Generate and send a new code
+ * @param {string} phoneNumber - Recipient phone (+256...)
+ * @param {string} purpose - 'login' or 'register'
+ * @returns {Promise<Object>} expiry details for the client
+ */
+async function issueOtp(phoneNumber, purpose) {
+    // Enforce resend cooldown
+    const { data: lastCode } = await supabase
+        .from('otp_codes')
+        .select('created_at')
+        .eq('phone_number', phoneNumber)
+        .eq('purpose', purpose)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (lastCode) {
+        const secondsSinceLast = (Date.now() - new Date(lastCode.created_at).getTime()) / 1000;
+        if (secondsSinceLast < OTP_RESEND_COOLDOWN_SECONDS) {
+            const wait = Math.ceil(OTP_RESEND_COOLDOWN_SECONDS - secondsSinceLast);
+            throw new HttpError(429, `Please wait ${wait} seconds before requesting a new code`);
+        }
+    }
+
+    // Invalidate any outstanding codes for this phone and purpose
+    await supabase
+        .from('otp_codes')
+        .update({ consumed_at: new Date().toISOString() })
+        .eq('phone_number', phoneNumber)
+        .eq('purpose', purpose)
+        .is('consumed_at', null);
+
+    const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+    const expiresAt = new Date(Date.now() + OTP_EXPIRY_MINUTES * 60 * 1000);
+
+    const { error } = await supabase
+        .from('otp_codes')
+        .insert([{
+            phone_number: phoneNumber,
+            purpose,
+            code_hash: hashCode(phoneNumber, code),
+            max_attempts: OTP_MAX_ATTEMPTS,
+            expires_at: expiresAt.toISOString()
+        }]);
+
+    if (error) {
+        throw error;
+    }
+
+    await notify(phoneNumber, 'otp_code', { code, minutes: OTP_EXPIRY_MINUTES }, { expiresAt });
+
+    return {
+        expires_at: expiresAt.toISOString(),
+        resend_after_seconds: OTP_RESEND_COOLDOWN_SECONDS
+    };
+}
+
+/**
+ * Check a submitted code and consume it on success
+ * @param {string} phoneNumber - Phone the code was sent to
+ * @param {string} purpose - 'login' or 'register'
+ * @param {string} code - Code typed by the user
+ */
+async function verifyOtp(phoneNumber, purpose, code) {
+    const { data: otp, error } = await supabase
+        .from('otp_codes')
+        .select('*')
+        .eq('phone_number', phoneNumber)
+        .eq('purpose', purpose)
+        .is('consumed_at', null)
+        .order('created_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!otp) {
+        throw new HttpError(400, 'No active verification code. Request a new one.');
+    }
+
+    if (new Date(otp.expires_at) < new Date()) {
+        throw new HttpError(400, 'Verification code has expired. Request a new one.');
+    }
+
+    // Use up an attempt before comparing, atomically, so parallel guesses
+    // cannot get past max_attempts
+    const { data: used, error: attemptError } = await supabase
+        .rpc('use_otp_attempt', { otp_uuid: otp.id });
+
+    if (attemptError) {
+        throw attemptError;
+    }
+
+    if (!used || used.length === 0) {
+        throw new HttpError(429, 'Too many incorrect attempts. Request a new code.');
+    }
+
+    const expected = Buffer.from(otp.code_hash, 'hex');
+    const received = Buffer.from(hashCode(phoneNumber, code), 'hex');
+
+    if (!crypto.timingSafeEqual(expected, received)) {
+        const remaining = used[0].max_attempts - used[0].attempts;
+        throw new HttpError(400, remaining > 0
+            ? `Incorrect verification code. ${remaining} attempt(s) remaining.`
+            : 'Too many incorrect attempts. Request a new code.');
+    }
+
+    // Consume the code so it cannot be reused
+    const { data: consumed } = await supabase
+        .from('otp_codes')
+        .update({ consumed_at: new Date().toISOString() })
+        .eq('id', otp.id)
+        .is('consumed_at', null)
+        .select('id');
+
+    if (!consumed || consumed.length === 0) {
+        throw new HttpError(400, 'Verification code already used. Request a new one.');
+    }
+}
+
+module.exports = {
+    issueOtp,
+    verifyOtp
+};
@@ -0,0 +1,119 @@
+/**
+ * Airtel Money Payment Provider
+ * Direct Collections API: the resident approves a USSD prompt on their Airtel line.
+ * We query payments by our merchant reference; provider_reference holds
+ * airtel_money_id once Airtel confirms the payment.
+ */
+
+const { requestPayment, getPaymentStatus: getAirtelStatus, refundPayment } = require('../../config/airtelMoney');
+
+const STATUS_MAP = {
+    TS: 'successful',
+    TF: 'failed',
+    TE: 'failed'
+};
+
+/**
+ * +256701234567 -> 701234567
+ */
+function toMsisdn(phoneNumber) {
+    return phoneNumber.replace(/^\+256/, '');
+}
+
+async function initiatePayment({ payment, phoneNumber }) {
+    const response = await requestPayment({
+        transactionId: payment.merchant_reference,
+        msisdn: toMsisdn(phoneNumber),
+        amount: Number(payment.amount),
+        reference: 'KCCA GFC'
+    });
+
+    if (response.status && response.status.success === false) {
+        throw new Error(`Airtel Money rejected payment: ${response.status.message}`);
+    }
+
+    return {
+        providerReference: payment.merchant_reference,
+        redirectUrl: null,
+        response
+    };
+}
+
+async function getPaymentStatus(payment) {
+    const response = await getAirtelStatus(payment.merchant_reference);
+    const transaction = response.data?.transaction || {};
+
+    return {
+        status: STATUS_MAP[transaction.status] || 'processing',
+        providerStatus: transaction.status || 'UNKNOWN',
+        providerReference: transaction.airtel_money_id || payment.provider_reference,
+        amount: undefined, // Airtel does not echo the amount
+        response
+    };
+}
+
+/**
+ * Airtel calls back with { transaction: { id, status_code, airtel_money_id } }
+ */
+function parseWebhook(req) {
+    const transaction = req.body?.transaction;
+
+    if (!transaction?.id) {
+        return null;
+    }
+
+    return {
+        merchantReference: transaction.id,
+        providerReference: transaction.airtel_money_id || null,
+        acknowledgement: null
+    };
+}
+
+async function refund({ payment }) {
+    if (!payment.provider_reference || payment.provider_reference === payment.merchant_reference) {
+        return {
+            accepted: false,
+            message: 'Payment has no Airtel Money id',
+            providerReference: null,
+            response: null
+        };
+    }
+
+    const response = await refundPayment(payment.provider_reference);
+
+    return {
+        accepted: response.status?.success === true,
+        message: response.status?.message || 'No response message',
+        providerReference: payment.provider_reference,
+        response
+    };
+}
+
+/**
+ * Airtel settles refunds when the request is accepted
+ */
+async function getRefundStatus({ refund }) {
+    const status = refund.provider_response?.data?.transaction?.status;
+
+    return {
+        status: status === 'SUCCESS' ? 'completed' : status === 'FAILED' ? 'failed' : 'processing',
+        response: refund.provider_response
+    };
+}
+
+/**
+ * Airtel does not echo the amount in status responses
+ */
+function reportedAmount() {
+    return null;
+}
+
+module.exports = {
+    name: 'airtel_money',
+    initiatePayment,
+    getPaymentStatus,
+    parseWebhook,
+    refund,
+    getRefundStatus,
+    reportedAmount
+};
@@ -0,0 +1,74 @@
+/**
+ * Payment Providers
+ * Each provider exposes the same interface so payment code does not depend on
+ * one gateway:
+ *   initiatePayment({ payment, phoneNumber, resident, description })
+ *       -> { providerReference, redirectUrl, response }
+ *   getPaymentStatus(payment)
+ *       -> { status, providerStatus, providerReference, amount, response }
+ *   parseWebhook(req)
+ *       -> { merchantReference, providerReference, acknowledgement } or null
+ *   refund({ payment, refund, amount, username, remarks })
+ *       -> { accepted, message, providerReference, response }
+ *   getRefundStatus({ payment, refund })
+ *       -> { status: processing | completed | failed, message, response }
+ *   findRefund({ payment, refund }) (optional, for providers where we choose the refund reference)
+ *       -> { providerReference, response }, or null if the refund never reached the provider
+ *   reportedAmount(webhookResponse)
+ *       -> { amount, currency, merchantReference } the provider reported for a payment,
+ *          or null if it does not say
+ *
+ * New payments use PAYMENT_PROVIDER; existing payments keep the provider
+ * stored on the payment row.
+ */
+
+const pesapalProvider = require('./pesapalProvider');
+const mtnMomoProvider = require('./mtnMomoProvider');
+const airtelMoneyProvider = require('./airtelMoneyProvider');
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+    pesapal: pesapalProvider,
+    mtn_momo: mtnMomoProvider,
+    airtel_money: airtelMoneyProvider,
+    mock: mockProvider
+};
+
+/**
+ * Provider by name
+ */
+function getProvider(name) {
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(`Unknown payment provider: ${name}`);
+    }
+
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payment provider cannot be used in production');
+    }
+
+    return provider;
+}
+
+/**
+ * Provider for new payments in this deployment
+ */
+function getActiveProvider() {
+    return getProvider(process.env.PAYMENT_PROVIDER || 'pesapal');
+}
+
+/**
+ * Provider that handled a payment
+ * @param {Object} payment - Payment row
+ */
+function getProviderForPayment(payment) {
+    return getProvider(payment.provider || 'pesapal');
+}
+
+module.exports = {
+    PROVIDER_NAMES: Object.keys(PROVIDERS),
+    getProvider,
+    getActiveProvider,
+    getProviderForPayment
+};
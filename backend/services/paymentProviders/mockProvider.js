@@ -0,0 +1,73 @@
+/**
+ * Mock Payment Provider
+ * For local development and tests: no network calls. Every payment ends in
+ * MOCK_PAYMENT_RESULT (successful, failed or processing) and refunds always
+ * complete. Trigger the outcome with POST /webhooks/mock or wait for the reconciler.
+ */
+
+const RESULT = process.env.MOCK_PAYMENT_RESULT || 'successful';
+
+async function initiatePayment({ payment }) {
+    return {
+        providerReference: `MOCK-${payment.merchant_reference}`,
+        redirectUrl: null,
+        response: null
+    };
+}
+
+async function getPaymentStatus(payment) {
+    return {
+        status: RESULT,
+        providerStatus: RESULT.toUpperCase(),
+        providerReference: payment.provider_reference,
+        amount: payment.amount,
+        response: { mock: true, status: RESULT }
+    };
+}
+
+/**
+ * Body: { merchant_reference }
+ */
+function parseWebhook(req) {
+    const merchantReference = req.body?.merchant_reference;
+
+    if (!merchantReference) {
+        return null;
+    }
+
+    return {
+        merchantReference,
+        providerReference: null,
+        acknowledgement: null
+    };
+}
+
+async function refund({ refund }) {
+    return {
+        accepted: true,
+        message: 'Mock refund accepted',
+        providerReference: `MOCK-REFUND-${refund.id}`,
+        response: { mock: true }
+    };
+}
+
+async function getRefundStatus() {
+    return {
+        status: 'completed',
+        response: { mock: true }
+    };
+}
+
+function reportedAmount() {
+    return null;
+}
+
+module.exports = {
+    name: 'mock',
+    initiatePayment,
+    getPaymentStatus,
+    parseWebhook,
+    refund,
+    getRefundStatus,
+    reportedAmount
+};
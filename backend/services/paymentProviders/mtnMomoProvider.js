@@ -0,0 +1,146 @@
+/**
+ * MTN Mobile Money Payment Provider
+ * Direct Collections API: the resident approves a prompt on their MTN line.
+ * Refunds are paid from the Disbursements account.
+ */
+
+const {
+    CURRENCY,
+    requestToPay,
+    getRequestToPayStatus,
+    refundRequestToPay,
+    getRefundStatus: getMomoRefundStatus
+} = require('../../config/mtnMomo');
+
+const STATUS_MAP = {
+    SUCCESSFUL: 'successful',
+    FAILED: 'failed'
+};
+
+/**
+ * +256771234567 -> 256771234567
+ */
+function toMsisdn(phoneNumber) {
+    return phoneNumber.replace(/^\+/, '');
+}
+
+async function initiatePayment({ payment, phoneNumber, description }) {
+    const referenceId = await requestToPay({
+        amount: Number(payment.amount),
+        externalId: payment.merchant_reference,
+        msisdn: toMsisdn(phoneNumber),
+        payerMessage: 'KCCA garbage collection',
+        payeeNote: description
+    });
+
+    return {
+        providerReference: referenceId,
+        redirectUrl: null,
+        response: null
+    };
+}
+
+async function getPaymentStatus(payment) {
+    const transaction = await getRequestToPayStatus(payment.provider_reference);
+
+    return {
+        status: STATUS_MAP[transaction.status] || 'processing',
+        providerStatus: transaction.reason ? `${transaction.status}:${transaction.reason}` : transaction.status,
+        providerReference: payment.provider_reference,
+        amount: transaction.currency === CURRENCY ? transaction.amount : undefined,
+        response: transaction
+    };
+}
+
+/**
+ * MTN calls back with the request-to-pay body, identified by our externalId
+ */
+function parseWebhook(req) {
+    const externalId = req.body?.externalId;
+
+    if (!externalId) {
+        return null;
+    }
+
+    return {
+        merchantReference: externalId,
+        providerReference: null,
+        acknowledgement: null
+    };
+}
+
+async function refund({ payment, refund, amount, remarks }) {
+    const referenceId = await refundRequestToPay({
+        referenceId: refund.id,
+        referenceIdToRefund: payment.provider_reference,
+        amount,
+        externalId: refund.id,
+        payerMessage: 'KCCA GFC refund',
+        payeeNote: remarks
+    });
+
+    return {
+        accepted: true,
+        message: 'Refund submitted to MTN MoMo',
+        providerReference: referenceId,
+        response: null
+    };
+}
+
+async function getRefundStatus({ refund }) {
+    const result = await getMomoRefundStatus(refund.provider_reference);
+
+    return {
+        status: result.status === 'SUCCESSFUL' ? 'completed' : result.status === 'FAILED' ? 'failed' : 'processing',
+        message: result.reason,
+        response: result
+    };
+}
+
+/**
+ * Look up a refund that may have reached MTN before we recorded it
+ * The refund id is the X-Reference-Id, so it can be queried before resubmitting.
+ * @returns {Promise<Object|null>} null if MTN has no such refund
+ */
+async function findRefund({ refund }) {
+    let result;
+    try {
+        result = await getMomoRefundStatus(refund.id);
+    } catch (error) {
+        if (error.response?.status === 404) {
+            return null;
+        }
+        throw error;
+    }
+
+    return {
+        providerReference: refund.id,
+        response: result
+    };
+}
+
+/**
+ * Amount from a request-to-pay status response
+ */
+function reportedAmount(response) {
+    if (!response || response.amount === undefined || response.amount === null) {
+        return null;
+    }
+
+    return {
+        amount: Number(response.amount),
+        currency: response.currency,
+        merchantReference: response.externalId
+    };
+}
+
+module.exports = {
+    name: 'mtn_momo',
+    initiatePayment,
+    getPaymentStatus,
+    parseWebhook,
+    refund,
+    getRefundStatus,
+    findRefund,
+    reportedAmount
+};
@@ -0,0 +1,144 @@
+/**
+ * Pesapal Payment Provider
+ * Hosted checkout: the resident picks MTN or Airtel on Pesapal's page.
+ */
+
+const { submitOrder, getTransactionStatus, requestRefund } = require('../../config/pesapal');
+const { getNotificationId } = require('../pesapalIpnService');
+
+/**
+ * Map Pesapal payment_status_description to our payment_status
+ */
+function mapPesapalStatus(description) {
+    switch (description) {
+        case 'Completed':
+            return 'successful';
+        case 'Failed':
+            return 'failed';
+        case 'Invalid':
+            return 'cancelled';
+        case 'Reversed':
+            return 'reversed';
+        default:
+            return 'processing';
+    }
+}
+
+async function initiatePayment({ payment, phoneNumber, resident, description }) {
+    const response = await submitOrder({
+        id: payment.merchant_reference,
+        currency: payment.currency || 'UGX',
+        amount: Number(payment.amount),
+        description,
+        callback_url: `${process.env.API_BASE_URL}/api/payments/callback`,
+        notification_id: await getNotificationId(),
+        billing_address: {
+            phone_number: phoneNumber,
+            email_address: resident.email || `${phoneNumber}@gfc.kcca.ug`,
+            country_code: 'UG',
+            first_name: resident.full_name.split(' ')[0],
+            last_name: resident.full_name.split(' ').slice(1).join(' ') || 'User'
+        }
+    });
+
+    return {
+        providerReference: response.order_tracking_id,
+        redirectUrl: response.redirect_url,
+        response
+    };
+}
+
+async function getPaymentStatus(payment) {
+    const transaction = await getTransactionStatus(payment.provider_reference);
+
+    return {
+        status: mapPesapalStatus(transaction.payment_status_description),
+        providerStatus: transaction.payment_status_description || String(transaction.status_code),
+        providerReference: payment.provider_reference,
+        amount: transaction.amount,
+        response: transaction
+    };
+}
+
+/**
+ * Pesapal sends OrderTrackingId and OrderMerchantReference as query (GET IPN)
+ * or body (POST IPN) and expects them echoed back with status 200.
+ */
+function parseWebhook(req) {
+    const params = { ...req.query, ...req.body };
+    const { OrderTrackingId, OrderMerchantReference, OrderNotificationType } = params;
+
+    if (!OrderTrackingId || !OrderMerchantReference) {
+        return null;
+    }
+
+    return {
+        merchantReference: OrderMerchantReference,
+        providerReference: OrderTrackingId,
+        acknowledgement: {
+            orderNotificationType: OrderNotificationType || 'IPNCHANGE',
+            orderTrackingId: OrderTrackingId,
+            orderMerchantReference: OrderMerchantReference,
+            status: 200
+        }
+    };
+}
+
+async function refund({ payment, amount, username, remarks }) {
+    const confirmationCode = payment.webhook_response?.confirmation_code;
+
+    if (!confirmationCode) {
+        return {
+            accepted: false,
+            message: 'Payment has no Pesapal confirmation code',
+            providerReference: null,
+            response: null
+        };
+    }
+
+    const response = await requestRefund({ confirmationCode, amount, username, remarks });
+
+    return {
+        accepted: String(response.status) === '200',
+        message: response.message || response.error?.message || 'No response message',
+        providerReference: confirmationCode,
+        response
+    };
+}
+
+/**
+ * Pesapal has no refund status; the transaction shows as Reversed once paid out
+ */
+async function getRefundStatus({ payment }) {
+    const transaction = await getTransactionStatus(payment.provider_reference);
+
+    return {
+        status: transaction.payment_status_description === 'Reversed' ? 'completed' : 'processing',
+        response: transaction
+    };
+}
+
+/**
+ * Amount from a GetTransactionStatus response
+ */
+function reportedAmount(response) {
+    if (!response || response.amount === undefined || response.amount === null) {
+        return null;
+    }
+
+    return {
+        amount: Number(response.amount),
+        currency: response.currency,
+        merchantReference: response.merchant_reference
+    };
+}
+
+module.exports = {
+    name: 'pesapal',
+    initiatePayment,
+    getPaymentStatus,
+    parseWebhook,
+    refund,
+    getRefundStatus,
+    reportedAmount
+};
@@ -0,0 +1,175 @@
+/**
+ * Payment Request Service
+ * Creates a payment row and submits it to the active provider (PAYMENT_PROVIDER).
+ * A payment is for either one garbage report or one subscription billing period.
+ * Shared by report payments (app and USSD), subscription billing and the
+ * subscription scheduler.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const { getActiveProvider } = require('./paymentProviders');
+const { quoteCollectionFee } = require('./pricingService');
+
+/**
+ * Find a payment that is still waiting for the resident
+ * @param {Object} target - { reportId } or { subscriptionId }
+ */
+async function findOpenPayment({ reportId, subscriptionId }) {
+    const { data } = await supabase
+        .from('payments')
+        .select('*')
+        .eq(reportId ? 'report_id' : 'subscription_id', reportId || subscriptionId)
+        .in('payment_status', ['pending', 'processing'])
+        .order('initiated_at', { ascending: false })
+        .limit(1)
+        .maybeSingle();
+
+    return data;
+}
+
+/**
+ * Create a payment and ask the provider to collect it
+ * If the provider call fails, the payment is marked failed so a new attempt can be made.
+ * @param {Object} options
+ * @param {Object} options.resident - Paying resident (id, full_name, email)
+ * @param {string} options.phoneNumber - Mobile Money number (+256...)
+ * @param {number} options.amount - Amount in UGX
+ * @param {string} [options.reportId] - Report being paid for
+ * @param {string} [options.subscriptionId] - Subscription being billed
+ * @param {string} options.description - Shown to the resident by the provider
+ * @returns {Promise<Object>} the payment with provider_reference and redirect_url set
+ * @throws {HttpError} 409 when the report or subscription already has an open payment
+ */
+async function requestPayment({ resident, phoneNumber, amount, reportId = null, subscriptionId = null, description }) {
+    const provider = getActiveProvider();
+
+    // Partial unique indexes allow one open payment per report or subscription
+    const { data: payment, error: paymentError } = await supabase
+        .from('payments')
+        .insert([{
+            report_id: reportId,
+            subscription_id: subscriptionId,
+            resident_id: resident.id,
+            provider: provider.name,
+            merchant_reference: `GFC-${Date.now()}-${uuidv4().slice(0, 8)}`,
+            amount,
+            currency: 'UGX',
+            payment_method: 'mobile_money',
+            phone_number: phoneNumber,
+            payment_status: 'pending',
+            initiated_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (paymentError) {
+        if (paymentError.code === '23505') {
+            throw new HttpError(409, `A payment for this ${reportId ? 'report' : 'subscription'} is already being processed`);
+        }
+        throw paymentError;
+    }
+
+    try {
+        const result = await provider.initiatePayment({
+            payment,
+            phoneNumber,
+            resident,
+            description
+        });
+
+        // Keep the provider reference so the reconciler can query it if the webhook is lost
+        const { data: submittedPayment, error: updateError } = await supabase
+            .from('payments')
+            .update({
+                provider_reference: result.providerReference,
+                redirect_url: result.redirectUrl
+            })
+            .eq('id', payment.id)
+            .select()
+            .single();
+
+        if (updateError) {
+            throw updateError;
+        }
+
+        return submittedPayment;
+
+    } catch (error) {
+        // Free the report or subscription for a new attempt if the payment never reached the provider
+        await supabase
+            .from('payments')
+            .update({
+                payment_status: 'failed',
+                failure_reason: `Could not submit payment to ${payment.provider}`
+            })
+            .eq('id', payment.id)
+            .eq('payment_status', 'pending');
+
+        throw error;
+    }
+}
+
+/**
+ * Ask the resident to pay for a report
+ * A payment already waiting for the resident is returned instead of a new one.
+ * @param {Object} options
+ * @param {Object} options.resident - Report owner (id, full_name, email)
+ * @param {Object} options.report - Report row
+ * @param {string} options.phoneNumber - Mobile Money number (+256...)
+ * @returns {Promise<{payment: Object, reused: boolean}>}
+ * @throws {HttpError} 400 when the report needs no payment or is already paid,
+ *   409 when the report is no longer pending
+ */
+async function payForReport({ resident, report, phoneNumber }) {
+    if (!report.payment_required) {
+        throw new HttpError(400, 'This report is covered by your subscription');
+    }
+
+    // Check if already paid
+    const { data: existingPayment } = await supabase
+        .from('payments')
+        .select('id')
+        .eq('report_id', report.id)
+        .eq('payment_status', 'successful')
+        .maybeSingle();
+
+    if (existingPayment) {
+        throw new HttpError(400, 'Report already paid');
+    }
+
+    // Only reports waiting for a collector can be paid for
+    if (report.status !== 'pending') {
+        throw new HttpError(409, `Cannot pay for a ${report.status} report`);
+    }
+
+    // Reuse a payment that is already waiting for the resident
+    const openPayment = await findOpenPayment({ reportId: report.id });
+    if (openPayment && openPayment.provider_reference) {
+        return { payment: openPayment, reused: true };
+    }
+
+    // Charge the fee quoted when the report was made
+    const amount = report.payment_amount ?? (await quoteCollectionFee({
+        garbage_type: report.garbage_type,
+        estimated_volume: report.estimated_volume,
+        division: report.division
+    })).amount;
+
+    const payment = await requestPayment({
+        resident,
+        phoneNumber,
+        amount,
+        reportId: report.id,
+        description: `Garbage collection payment - Report ${report.id}`
+    });
+
+    return { payment, reused: false };
+}
+
+module.exports = {
+    findOpenPayment,
+    requestPayment,
+    payForReport
+};
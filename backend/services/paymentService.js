@@ -0,0 +1,383 @@
+/**
+ * Payment Service
+ * Applies provider payment status to our payments and garbage reports.
+ * Shared by the payment webhooks, the payment callback route and the reconciler job.
+ */
+
+const { supabase } = require('../config/supabase');
+const { notify } = require('./notificationService');
+const { dispatchReport } = require('./dispatchService');
+const { handlePaymentReversal, openRefundForCancelledReport } = require('./refundService');
+const { applySubscriptionPayment, handleSubscriptionReversal } = require('./subscriptionService');
+const { getProviderForPayment } = require('./paymentProviders');
+const realtime = require('./realtime');
+const HttpError = require('../utils/httpError');
+
+// Differences below this are rounding, not a mismatch
+const AMOUNT_TOLERANCE = 0.5;
+
+// from -> statuses a payment may move to
+// Provider events can arrive out of order; anything else is ignored.
+const PAYMENT_TRANSITIONS = {
+    pending: ['processing', 'successful', 'failed', 'cancelled'],
+    processing: ['successful', 'failed', 'cancelled'],
+    failed: ['successful'], // late confirmation after we gave up
+    successful: ['reversed'], // refunded or charged back
+    cancelled: [],
+    reversed: []
+};
+
+/**
+ * Record a provider event in the ledger
+ * @returns {Promise<Object|null>} the event, or null if it was already processed
+ */
+async function recordPaymentEvent(event) {
+    const { data, error } = await supabase
+        .from('payment_events')
+        .insert([event])
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return null;
+        }
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Move a payment to a new status if nobody changed it since we read it
+ * @returns {Promise<Object|null>} updated payment, or null if the transition is not allowed or was lost
+ */
+async function transitionPayment(payment, toStatus, changes = {}) {
+    if (!PAYMENT_TRANSITIONS[payment.payment_status]?.includes(toStatus)) {
+        return null;
+    }
+
+    const { data: updated, error } = await supabase
+        .from('payments')
+        .update({
+            ...changes,
+            payment_status: toStatus,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id)
+        .eq('payment_status', payment.payment_status)
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    return updated && updated.length > 0 ? updated[0] : null;
+}
+
+/**
+ * Compare what the provider says was paid with the stored payment
+ * @returns {string|null} why they disagree, or null if they match (or the provider does not say)
+ */
+function findReportedMismatch(payment, reported) {
+    if (!reported) {
+        return null;
+    }
+
+    if (reported.merchantReference && reported.merchantReference !== payment.merchant_reference) {
+        return `Provider reported merchant reference ${reported.merchantReference}`;
+    }
+
+    if (reported.currency && reported.currency !== payment.currency) {
+        return `Provider reported currency ${reported.currency}`;
+    }
+
+    if (!Number.isNaN(reported.amount) && Math.abs(reported.amount - Number(payment.amount)) >= AMOUNT_TOLERANCE) {
+        return `Provider reported amount ${reported.amount}`;
+    }
+
+    return null;
+}
+
+/**
+ * Hold a payment for staff instead of accepting it
+ * It keeps its status and is left out of reconciliation until an admin
+ * reviews it (reviewFlaggedPayment).
+ */
+async function flagPayment(payment, reason, changes) {
+    const { error } = await supabase
+        .from('payments')
+        .update({
+            ...changes,
+            flagged_for_review: true,
+            flag_reason: reason,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', payment.id)
+        .eq('payment_status', payment.payment_status);
+
+    if (error) {
+        throw error;
+    }
+
+    console.warn(`🚩 Payment ${payment.id} flagged for review: ${reason}`);
+}
+
+/**
+ * Mark a successful payment as reversed and roll back what it paid for
+ * (the report's collection or the subscription's billing period)
+ * @returns {Promise<Object|null>} the reversed payment, or null if it was not successful
+ */
+async function reversePayment(payment, changes = {}) {
+    const reversed = await transitionPayment(payment, 'reversed', changes);
+
+    if (reversed) {
+        console.log(`💾 Payment ${payment.id}: ${payment.payment_status} -> reversed`);
+        if (reversed.subscription_id) {
+            await handleSubscriptionReversal(reversed);
+        } else {
+            await handlePaymentReversal(reversed);
+        }
+    }
+
+    return reversed;
+}
+
+/**
+ * Act on a payment that just succeeded or failed: dispatch or refund the
+ * report, extend the subscription, and tell the resident
+ * @param {Object} payment - The payment after its transition
+ * @param {string} paymentStatus - Status it moved to
+ * @param {number} [amount] - Amount the provider reported, for the SMS
+ */
+async function applyPaymentOutcome(payment, paymentStatus, amount) {
+    // ============================================
+    // UPDATE GARBAGE REPORT OR SUBSCRIPTION
+    // ============================================
+    // The report keeps its status: it was created pending and may have moved on
+    // (or been cancelled) while the resident was approving the payment
+    let report = null;
+    if (paymentStatus === 'successful' && payment.report_id) {
+        const { data } = await supabase
+            .from('garbage_reports')
+            .select('id, status')
+            .eq('id', payment.report_id)
+            .single();
+        report = data;
+
+        realtime.publish(realtime.reportChannel(payment.report_id), 'payment', {
+            report_id: payment.report_id,
+            payment_id: payment.id,
+            payment_status: paymentStatus
+        });
+
+        if (report?.status === 'pending') {
+            // Offer the job to the nearest collector
+            dispatchReport(report.id).catch(error => {
+                console.error('❌ Dispatch error:', error);
+            });
+        } else if (report?.status === 'cancelled') {
+            // Paid after cancelling: queue the money back for staff to approve
+            await openRefundForCancelledReport(payment);
+        }
+    }
+
+    // Extends the subscription by one billing period (null if it was cancelled meanwhile)
+    let subscription = null;
+    if (paymentStatus === 'successful' && payment.subscription_id) {
+        subscription = await applySubscriptionPayment(payment);
+    }
+
+    // ============================================
+    // SEND SMS CONFIRMATION
+    // ============================================
+    if (paymentStatus === 'successful' || paymentStatus === 'failed') {
+        const { data: resident } = await supabase
+            .from('users')
+            .select('id, phone_number, full_name')
+            .eq('id', payment.resident_id)
+            .single();
+
+        if (resident) {
+            let template;
+            if (paymentStatus === 'successful' && subscription) {
+                template = 'subscription_payment_success';
+            } else if (paymentStatus === 'successful' && payment.subscription_id) {
+                template = 'subscription_payment_unapplied';
+            } else if (paymentStatus === 'successful' && report?.status === 'cancelled') {
+                template = 'payment_report_cancelled';
+            } else if (paymentStatus === 'successful') {
+                template = 'payment_success';
+            } else {
+                template = 'payment_failed';
+            }
+
+            await notify(resident.phone_number, template, {
+                name: resident.full_name,
+                amount: Number(amount ?? payment.amount).toLocaleString(),
+                paid_until: subscription?.current_period_end.slice(0, 10)
+            }, { userId: resident.id });
+        }
+    }
+}
+
+/**
+ * Fetch the latest status from the payment's provider and apply it
+ * Safe to call any number of times for the same notification: each
+ * (provider reference, provider status) pair is processed once, and report
+ * updates, dispatch and SMS only happen when the payment status actually changes.
+ * @param {string} merchantReference - Our merchant reference (payments.merchant_reference)
+ * @param {string} [providerReference] - Provider reference from a webhook, used if we have none yet
+ * @returns {Promise<{payment: Object, paymentStatus: string, transitioned: boolean}>}
+ */
+async function syncPaymentStatus(merchantReference, providerReference) {
+    const { data: storedPayment, error: fetchError } = await supabase
+        .from('payments')
+        .select('*')
+        .eq('merchant_reference', merchantReference)
+        .single();
+
+    if (fetchError) {
+        throw fetchError;
+    }
+
+    const payment = storedPayment.provider_reference || !providerReference
+        ? storedPayment
+        : { ...storedPayment, provider_reference: providerReference };
+
+    // ============================================
+    // STEP 1: GET PAYMENT STATUS FROM THE PROVIDER
+    // ============================================
+    const provider = getProviderForPayment(payment);
+    const result = await provider.getPaymentStatus(payment);
+
+    console.log(`📊 ${provider.name} status for ${merchantReference}:`, result.providerStatus);
+
+    // ============================================
+    // STEP 2: SKIP EVENTS WE ALREADY PROCESSED
+    // ============================================
+    const reference = result.providerReference || payment.provider_reference;
+    const event = await recordPaymentEvent({
+        provider: provider.name,
+        event_key: `${provider.name}:${reference}:${result.providerStatus}`,
+        merchant_reference: merchantReference,
+        provider_reference: reference,
+        payment_status: result.status,
+        payload: result.response
+    });
+
+    if (!event) {
+        console.log(`🔁 Duplicate ${provider.name} event for ${merchantReference} ignored`);
+        return { payment, paymentStatus: payment.payment_status, transitioned: false };
+    }
+
+    const mappedStatus = result.status;
+    const changes = {
+        provider_reference: reference,
+        webhook_response: result.response
+    };
+
+    // ============================================
+    // STEP 3: UPDATE PAYMENT IN DATABASE
+    // ============================================
+    let updatedPayment;
+    try {
+        // Never accept money that does not match what we charged
+        const mismatch = mappedStatus === 'successful'
+            ? findReportedMismatch(payment, provider.reportedAmount(result.response))
+            : null;
+
+        if (mismatch) {
+            await flagPayment(payment, mismatch, changes);
+            return { payment, paymentStatus: payment.payment_status, transitioned: false };
+        }
+
+        updatedPayment = mappedStatus === 'reversed'
+            ? await reversePayment(payment, changes)
+            : await transitionPayment(payment, mappedStatus, {
+                ...changes,
+                completed_at: mappedStatus === 'successful' ? new Date().toISOString() : payment.completed_at
+            });
+    } catch (error) {
+        // Let a retry of this notification process it again
+        await supabase.from('payment_events').delete().eq('id', event.id);
+        throw error;
+    }
+
+    if (!updatedPayment) {
+        console.log(`↩️ Payment ${payment.id} stays ${payment.payment_status} (${provider.name}: ${mappedStatus})`);
+        return { payment, paymentStatus: payment.payment_status, transitioned: false };
+    }
+
+    if (mappedStatus === 'reversed') {
+        return { payment: updatedPayment, paymentStatus: mappedStatus, transitioned: true };
+    }
+
+    console.log(`💾 Payment ${payment.id}: ${payment.payment_status} -> ${mappedStatus}`);
+
+    // ============================================
+    // STEP 4: UPDATE REPORT OR SUBSCRIPTION, SEND SMS
+    // ============================================
+    await applyPaymentOutcome(updatedPayment, mappedStatus, result.amount);
+
+    return { payment: updatedPayment, paymentStatus: mappedStatus, transitioned: true };
+}
+
+/**
+ * Admin accepts or rejects a payment held because the provider's amount,
+ * currency or reference did not match
+ * Accepting completes it like a confirmed payment; rejecting fails it, so the
+ * resident can pay again.
+ * @param {string} paymentId - Payment id
+ * @param {Object} staff - Reviewing admin (req.user)
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} [notes] - Review notes
+ * @returns {Promise<Object>} the payment
+ */
+async function reviewFlaggedPayment(paymentId, staff, decision, notes) {
+    const { data: payment } = await supabase
+        .from('payments')
+        .select('*')
+        .eq('id', paymentId)
+        .single();
+
+    if (payment?.reviewed_at) {
+        throw new HttpError(409, 'Payment was already reviewed');
+    }
+
+    if (!payment || !payment.flagged_for_review) {
+        throw new HttpError(404, 'Flagged payment not found');
+    }
+
+    if (!['pending', 'processing'].includes(payment.payment_status)) {
+        throw new HttpError(409, `Payment already ${payment.payment_status}`);
+    }
+
+    const toStatus = decision === 'approved' ? 'successful' : 'failed';
+    const reviewed = await transitionPayment(payment, toStatus, {
+        flagged_for_review: false,
+        reviewed_by: staff.id,
+        reviewed_at: new Date().toISOString(),
+        review_notes: notes || null,
+        ...(toStatus === 'successful'
+            ? { completed_at: new Date().toISOString() }
+            : { failure_reason: notes || payment.flag_reason })
+    });
+
+    if (!reviewed) {
+        throw new HttpError(409, 'Payment was changed by someone else. Please refresh and try again.');
+    }
+
+    console.log(`💾 Payment ${payment.id}: ${payment.payment_status} -> ${toStatus} (reviewed by ${staff.id})`);
+    await applyPaymentOutcome(reviewed, toStatus);
+
+    return reviewed;
+}
+
+module.exports = {
+    PAYMENT_TRANSITIONS,
+    transitionPayment,
+    reversePayment,
+    syncPaymentStatus,
+    reviewFlaggedPayment
+};
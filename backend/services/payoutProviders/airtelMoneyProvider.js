@@ -0,0 +1,63 @@
+/**
+ * Airtel Money Payout Provider
+ * Disbursements from our Airtel wallet to the collector's Airtel line.
+ * Payouts are queried by their id, which we send as the transaction id.
+ */
+
+const { disburse, getDisbursementStatus } = require('../../config/airtelMoney');
+
+const STATUS_MAP = {
+    TS: 'successful',
+    TF: 'failed'
+};
+
+/**
+ * +256701234567 -> 701234567
+ */
+function toMsisdn(phoneNumber) {
+    return phoneNumber.replace(/^\+256/, '');
+}
+
+async function sendPayout({ payout, phoneNumber }) {
+    const response = await disburse({
+        transactionId: payout.id,
+        msisdn: toMsisdn(phoneNumber),
+        amount: Number(payout.amount),
+        reference: 'KCCA GFC payout'
+    });
+
+    if (response.status && response.status.success === false) {
+        return {
+            status: 'failed',
+            providerReference: null,
+            message: response.status.message || 'Rejected by Airtel Money',
+            response
+        };
+    }
+
+    const transaction = response.data?.transaction || {};
+
+    return {
+        status: STATUS_MAP[transaction.status] || 'processing',
+        providerReference: transaction.airtel_money_id || transaction.reference_id || null,
+        message: response.status?.message,
+        response
+    };
+}
+
+async function getPayoutStatus(payout) {
+    const response = await getDisbursementStatus(payout.id);
+    const transaction = response.data?.transaction || {};
+
+    return {
+        status: STATUS_MAP[transaction.status] || 'processing',
+        message: transaction.message,
+        response
+    };
+}
+
+module.exports = {
+    name: 'airtel_money',
+    sendPayout,
+    getPayoutStatus
+};
@@ -0,0 +1,60 @@
+/**
+ * Payout Providers
+ * Mobile Money disbursement to collectors, behind one interface:
+ *   sendPayout({ payout, phoneNumber })
+ *       -> { status: processing | successful | failed, providerReference, message, response }
+ *   getPayoutStatus(payout)
+ *       -> { status: processing | successful | failed, message, response }
+ *
+ * New payouts use PAYOUT_PROVIDER; existing payouts keep the provider stored
+ * on the payout row.
+ */
+
+const mtnMomoProvider = require('./mtnMomoProvider');
+const airtelMoneyProvider = require('./airtelMoneyProvider');
+const mockProvider = require('./mockProvider');
+
+const PROVIDERS = {
+    mtn_momo: mtnMomoProvider,
+    airtel_money: airtelMoneyProvider,
+    mock: mockProvider
+};
+
+/**
+ * Payout provider by name
+ */
+function getPayoutProvider(name) {
+    const provider = PROVIDERS[name];
+
+    if (!provider) {
+        throw new Error(`Unknown payout provider: ${name}`);
+    }
+
+    if (name === 'mock' && process.env.NODE_ENV === 'production') {
+        throw new Error('The mock payout provider cannot be used in production');
+    }
+
+    return provider;
+}
+
+/**
+ * Provider for new payouts in this deployment
+ */
+function getActivePayoutProvider() {
+    return getPayoutProvider(process.env.PAYOUT_PROVIDER || 'mtn_momo');
+}
+
+/**
+ * Provider that handled a payout
+ * @param {Object} payout - Payout row
+ */
+function getProviderForPayout(payout) {
+    return getPayoutProvider(payout.provider);
+}
+
+module.exports = {
+    PAYOUT_PROVIDER_NAMES: Object.keys(PROVIDERS),
+    getPayoutProvider,
+    getActivePayoutProvider,
+    getProviderForPayout
+};
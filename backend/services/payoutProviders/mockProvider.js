@@ -0,0 +1,30 @@
+/**
+ * Mock Payout Provider
+ * For local development and tests: no network calls. Every payout ends in
+ * MOCK_PAYOUT_RESULT (successful, failed or processing).
+ */
+
+const RESULT = process.env.MOCK_PAYOUT_RESULT || 'successful';
+
+async function sendPayout({ payout }) {
+    return {
+        status: RESULT,
+        providerReference: `MOCK-PAYOUT-${payout.id}`,
+        message: RESULT === 'failed' ? 'Mock payout failed' : 'Mock payout accepted',
+        response: { mock: true, status: RESULT }
+    };
+}
+
+async function getPayoutStatus() {
+    return {
+        status: RESULT,
+        message: null,
+        response: { mock: true, status: RESULT }
+    };
+}
+
+module.exports = {
+    name: 'mock',
+    sendPayout,
+    getPayoutStatus
+};
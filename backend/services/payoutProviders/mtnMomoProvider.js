@@ -0,0 +1,62 @@
+/**
+ * MTN Mobile Money Payout Provider
+ * Transfers from the Disbursements account to the collector's MTN line.
+ * The payout id is the transfer's X-Reference-Id.
+ */
+
+const { transfer, getTransferStatus } = require('../../config/mtnMomo');
+
+const STATUS_MAP = {
+    SUCCESSFUL: 'successful',
+    FAILED: 'failed'
+};
+
+/**
+ * +256771234567 -> 256771234567
+ */
+function toMsisdn(phoneNumber) {
+    return phoneNumber.replace(/^\+/, '');
+}
+
+async function sendPayout({ payout, phoneNumber }) {
+    await transfer({
+        referenceId: payout.id,
+        amount: Number(payout.amount),
+        externalId: payout.id,
+        msisdn: toMsisdn(phoneNumber),
+        payerMessage: 'KCCA GFC collector payout',
+        payeeNote: `GFC payout ${payout.id}`
+    });
+
+    return {
+        status: 'processing',
+        providerReference: payout.id,
+        message: 'Transfer submitted to MTN MoMo',
+        response: null
+    };
+}
+
+async function getPayoutStatus(payout) {
+    let result;
+    try {
+        result = await getTransferStatus(payout.id);
+    } catch (error) {
+        // The transfer request never reached MTN
+        if (error.response?.status === 404) {
+            return { status: 'failed', message: 'Transfer not found at MTN MoMo', response: error.response.data };
+        }
+        throw error;
+    }
+
+    return {
+        status: STATUS_MAP[result.status] || 'processing',
+        message: result.reason,
+        response: result
+    };
+}
+
+module.exports = {
+    name: 'mtn_momo',
+    sendPayout,
+    getPayoutStatus
+};
@@ -0,0 +1,372 @@
+/**
+ * Payout Service
+ * Pays collector balances by Mobile Money in batches through the payout
+ * provider (PAYOUT_PROVIDER).
+ *
+ *   pending -> processing -> successful
+ *      \___________\_______> failed
+ *
+ * The balance is debited when a payout is created, so it cannot be paid twice,
+ * and credited back if the payout fails. Collectors get an SMS receipt.
+ */
+
+const { supabase } = require('../config/supabase');
+const { notify } = require('./notificationService');
+const HttpError = require('../utils/httpError');
+const { getActivePayoutProvider, getProviderForPayout } = require('./payoutProviders');
+
+// Smallest balance worth a Mobile Money transfer
+const MIN_PAYOUT_AMOUNT = parseFloat(process.env.PAYOUT_MIN_AMOUNT || 5000);
+const STALE_AFTER_MINUTES = parseFloat(process.env.PAYMENT_STALE_AFTER_MINUTES || 10);
+const BATCH_SIZE = 50;
+
+/**
+ * Move a payout on if nobody changed it since we read it
+ * @returns {Promise<Object|null>} updated payout, or null if the change was lost
+ */
+async function updatePayout(payout, changes) {
+    const { data: updated, error } = await supabase
+        .from('payouts')
+        .update(changes)
+        .eq('id', payout.id)
+        .eq('status', payout.status)
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    return updated && updated.length > 0 ? updated[0] : null;
+}
+
+/**
+ * Mark a batch completed once none of its payouts are in flight
+ */
+async function closeBatchIfDone(batchId) {
+    const { count, error } = await supabase
+        .from('payouts')
+        .select('id', { count: 'exact', head: true })
+        .eq('batch_id', batchId)
+        .in('status', ['pending', 'processing']);
+
+    if (error) {
+        throw error;
+    }
+
+    if (count === 0) {
+        await supabase
+            .from('payout_batches')
+            .update({
+                status: 'completed',
+                completed_at: new Date().toISOString()
+            })
+            .eq('id', batchId)
+            .eq('status', 'processing');
+    }
+}
+
+/**
+ * Record a paid payout and send the collector a receipt
+ */
+async function completePayout(payout, result) {
+    const completed = await updatePayout(payout, {
+        status: 'successful',
+        provider_reference: result.providerReference || payout.provider_reference,
+        provider_response: result.response,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    });
+
+    if (!completed) {
+        return null;
+    }
+
+    console.log(`💸 Payout ${payout.id} of UGX ${payout.amount} successful`);
+
+    await notify(payout.phone_number, 'payout_sent', {
+        amount: Number(payout.amount).toLocaleString(),
+        reference: completed.provider_reference || payout.id
+    }, { userId: payout.collector_id });
+
+    await closeBatchIfDone(payout.batch_id);
+    return completed;
+}
+
+/**
+ * Record a failed payout and credit the amount back to the collector's balance
+ */
+async function failPayout(payout, reason, response = null) {
+    const failed = await updatePayout(payout, {
+        status: 'failed',
+        failure_reason: reason,
+        provider_response: response,
+        completed_at: new Date().toISOString(),
+        updated_at: new Date().toISOString()
+    });
+
+    if (!failed) {
+        return null;
+    }
+
+    const { error } = await supabase
+        .from('collector_ledger')
+        .insert([{
+            collector_id: payout.collector_id,
+            entry_type: 'payout_reversal',
+            amount: Number(payout.amount),
+            payout_id: payout.id,
+            description: `Payout failed: ${reason}`
+        }]);
+
+    if (error && error.code !== '23505') {
+        throw error;
+    }
+
+    console.log(`❌ Payout ${payout.id} failed: ${reason}`);
+
+    await notify(payout.phone_number, 'payout_failed', {
+        amount: Number(payout.amount).toLocaleString()
+    }, { userId: payout.collector_id });
+
+    await closeBatchIfDone(payout.batch_id);
+    return failed;
+}
+
+/**
+ * Apply a provider result to a payout
+ */
+async function applyPayoutResult(payout, result) {
+    if (result.status === 'successful') {
+        return completePayout(payout, result);
+    }
+
+    if (result.status === 'failed') {
+        return failPayout(payout, result.message || 'Rejected by the payout provider', result.response);
+    }
+
+    if (payout.status === 'pending') {
+        return updatePayout(payout, {
+            status: 'processing',
+            provider_reference: result.providerReference,
+            provider_response: result.response,
+            updated_at: new Date().toISOString()
+        });
+    }
+
+    return payout;
+}
+
+/**
+ * Create a payout for one collector, debit their balance and send it
+ * The balance is read, paid out and debited in one transaction under a lock
+ * on the collector (create_collector_payout), so overlapping runs cannot pay
+ * the same money twice.
+ * @returns {Promise<Object|null>} the payout, or null if one is already in
+ *   flight or the balance is below PAYOUT_MIN_AMOUNT
+ */
+async function sendCollectorPayout(batch, provider, collector) {
+    const { data: created, error } = await supabase
+        .rpc('create_collector_payout', {
+            batch_uuid: batch.id,
+            collector_uuid: collector.id,
+            payout_phone: collector.phone_number,
+            payout_provider: provider.name,
+            min_amount: MIN_PAYOUT_AMOUNT
+        });
+
+    if (error) {
+        throw error;
+    }
+
+    const payout = created?.[0];
+    if (!payout) {
+        console.log(`⏭️ Collector ${collector.id} already has a payout in flight or is no longer due one`);
+        return null;
+    }
+
+    try {
+        const result = await provider.sendPayout({ payout, phoneNumber: collector.phone_number });
+        return await applyPayoutResult(payout, result);
+    } catch (sendError) {
+        console.error(`❌ Payout ${payout.id} error:`, sendError.response?.data || sendError);
+
+        if (sendError.response) {
+            return failPayout(payout, `Rejected by ${provider.name}`, sendError.response.data);
+        }
+
+        // No answer: the money may have been sent, so let the reconciler ask the provider
+        return updatePayout(payout, {
+            status: 'processing',
+            updated_at: new Date().toISOString()
+        });
+    }
+}
+
+/**
+ * Pay every collector whose balance has reached PAYOUT_MIN_AMOUNT
+ * @param {Object} staff - Admin starting the run
+ * @returns {Promise<Object>} the batch with its payouts
+ * @throws {HttpError} 409 when no collector is due a payout
+ */
+async function runPayoutBatch(staff) {
+    const provider = getActivePayoutProvider();
+
+    const { data: balances, error } = await supabase
+        .from('collector_balances')
+        .select('collector_id, balance')
+        .gte('balance', MIN_PAYOUT_AMOUNT);
+
+    if (error) {
+        throw error;
+    }
+
+    const { data: collectors, error: collectorsError } = await supabase
+        .from('users')
+        .select('id, full_name, phone_number')
+        .eq('user_type', 'collector')
+        .in('id', balances.map(b => b.collector_id));
+
+    if (collectorsError) {
+        throw collectorsError;
+    }
+
+    if (collectors.length === 0) {
+        throw new HttpError(409, `No collector has a balance of UGX ${MIN_PAYOUT_AMOUNT.toLocaleString()} or more`);
+    }
+
+    const { data: batch, error: batchError } = await supabase
+        .from('payout_batches')
+        .insert([{
+            provider: provider.name,
+            status: 'processing',
+            created_by: staff.id
+        }])
+        .select()
+        .single();
+
+    if (batchError) {
+        throw batchError;
+    }
+
+    console.log(`🏦 Payout batch ${batch.id} started for ${collectors.length} collectors via ${provider.name}`);
+
+    const payouts = [];
+    for (const collector of collectors) {
+        try {
+            const payout = await sendCollectorPayout(batch, provider, collector);
+            if (payout) {
+                payouts.push(payout);
+            }
+        } catch (payoutError) {
+            console.error(`❌ Failed to pay collector ${collector.id}:`, payoutError);
+        }
+    }
+
+    await supabase
+        .from('payout_batches')
+        .update({
+            payout_count: payouts.length,
+            total_amount: payouts.reduce((sum, payout) => sum + Number(payout.amount), 0)
+        })
+        .eq('id', batch.id);
+
+    await closeBatchIfDone(batch.id);
+
+    return getPayoutBatch(batch.id);
+}
+
+/**
+ * Check payouts the provider accepted but has not settled yet, and payouts
+ * left pending because the run stopped before the provider answered
+ */
+async function reconcileProcessingPayouts() {
+    const staleBefore = new Date(Date.now() - STALE_AFTER_MINUTES * 60 * 1000).toISOString();
+
+    const { data: payouts, error } = await supabase
+        .from('payouts')
+        .select('*')
+        .in('status', ['pending', 'processing'])
+        .lt('updated_at', staleBefore)
+        .order('updated_at', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        throw error;
+    }
+
+    for (const payout of payouts) {
+        try {
+            const result = await getProviderForPayout(payout).getPayoutStatus(payout);
+
+            if (result.status === 'processing' && payout.status === 'processing') {
+                // Move to the back of the queue
+                await supabase
+                    .from('payouts')
+                    .update({ updated_at: new Date().toISOString() })
+                    .eq('id', payout.id);
+            } else {
+                await applyPayoutResult(payout, result);
+            }
+        } catch (reconcileError) {
+            console.error(`❌ Failed to reconcile payout ${payout.id}:`, reconcileError.response?.data || reconcileError);
+        }
+    }
+
+    return payouts.length;
+}
+
+/**
+ * A batch with its payouts and collectors
+ * @throws {HttpError} 404 when the batch does not exist
+ */
+async function getPayoutBatch(batchId) {
+    const { data: batch } = await supabase
+        .from('payout_batches')
+        .select(`
+            *,
+            payouts (
+                *,
+                collector:users!payouts_collector_id_fkey (
+                    id,
+                    full_name,
+                    phone_number,
+                    area
+                )
+            )
+        `)
+        .eq('id', batchId)
+        .maybeSingle();
+
+    if (!batch) {
+        throw new HttpError(404, 'Payout batch not found');
+    }
+
+    return batch;
+}
+
+/**
+ * Payouts made to a collector, newest first
+ */
+async function listCollectorPayouts(collectorId, { page, limit }) {
+    const from = (page - 1) * limit;
+
+    const { data, count, error } = await supabase
+        .from('payouts')
+        .select('id, amount, currency, phone_number, provider, provider_reference, status, failure_reason, created_at, completed_at', { count: 'exact' })
+        .eq('collector_id', collectorId)
+        .order('created_at', { ascending: false })
+        .range(from, from + limit - 1);
+
+    if (error) {
+        throw error;
+    }
+
+    return { payouts: data, total: count };
+}
+
+module.exports = {
+    runPayoutBatch,
+    reconcileProcessingPayouts,
+    getPayoutBatch,
+    listCollectorPayouts
+};
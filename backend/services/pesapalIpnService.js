@@ -0,0 +1,116 @@
+/**
+ * Pesapal IPN Service
+ * Registers our IPN URL with Pesapal and keeps the resulting notification_id,
+ * which every SubmitOrderRequest must carry.
+ *
+ * The id is stored in app_settings under 'pesapal_ipn'. PESAPAL_IPN_ID, when
+ * set, takes precedence (e.g. an id registered in the Pesapal dashboard).
+ */
+
+const { supabase } = require('../config/supabase');
+const { registerIpn, getIpnList } = require('../config/pesapal');
+
+const SETTING_KEY = 'pesapal_ipn';
+
+let cachedIpn = null;
+
+/**
+ * Currently registered IPN, or null if none was registered yet
+ */
+async function getRegisteredIpn() {
+    if (cachedIpn) {
+        return cachedIpn;
+    }
+
+    const { data, error } = await supabase
+        .from('app_settings')
+        .select('value')
+        .eq('key', SETTING_KEY)
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    cachedIpn = data ? data.value : null;
+    return cachedIpn;
+}
+
+/**
+ * notification_id to send with Pesapal orders
+ * @throws {Error} when no IPN has been registered
+ */
+async function getNotificationId() {
+    if (process.env.PESAPAL_IPN_ID) {
+        return process.env.PESAPAL_IPN_ID;
+    }
+
+    const ipn = await getRegisteredIpn();
+    if (!ipn) {
+        throw new Error('Pesapal IPN is not registered. Run "npm run pesapal:ipn -- register" or POST /api/admin/pesapal/ipns');
+    }
+
+    return ipn.ipn_id;
+}
+
+/**
+ * Register an IPN URL with Pesapal and use it for new orders
+ * @param {Object} options
+ * @param {string} options.url - Public IPN URL (defaults to PESAPAL_IPN_URL)
+ * @param {string} [options.notificationType='GET'] - 'GET' or 'POST'
+ * @param {string} [options.registeredBy] - Staff user id, null from the command line
+ * @returns {Promise<Object>} the stored IPN
+ */
+async function registerPesapalIpn({ url = process.env.PESAPAL_IPN_URL, notificationType = 'GET', registeredBy = null }) {
+    if (!url) {
+        throw new Error('No IPN URL given and PESAPAL_IPN_URL is not set');
+    }
+
+    const registered = await registerIpn(url, notificationType);
+
+    const ipn = {
+        ipn_id: registered.ipn_id,
+        url: registered.url,
+        notification_type: notificationType,
+        registered_at: new Date().toISOString()
+    };
+
+    const { error } = await supabase
+        .from('app_settings')
+        .upsert({
+            key: SETTING_KEY,
+            value: ipn,
+            updated_by: registeredBy,
+            updated_at: new Date().toISOString()
+        });
+
+    if (error) {
+        throw error;
+    }
+
+    cachedIpn = ipn;
+    console.log(`🔔 Pesapal IPN registered: ${ipn.url} (${ipn.ipn_id})`);
+
+    return ipn;
+}
+
+/**
+ * IPNs registered with Pesapal, flagging the one new orders use
+ */
+async function listPesapalIpns() {
+    const [ipns, current] = await Promise.all([
+        getIpnList(),
+        process.env.PESAPAL_IPN_ID ? { ipn_id: process.env.PESAPAL_IPN_ID } : getRegisteredIpn()
+    ]);
+
+    return (ipns || []).map(ipn => ({
+        ...ipn,
+        in_use: Boolean(current && ipn.ipn_id === current.ipn_id)
+    }));
+}
+
+module.exports = {
+    getNotificationId,
+    registerPesapalIpn,
+    listPesapalIpns
+};
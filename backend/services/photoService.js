@@ -0,0 +1,175 @@
+/**
+ * Photo Service
+ * Validates uploaded images, extracts EXIF GPS for location cross-checks,
+ * re-encodes them without metadata and stores a full-size image plus thumbnail.
+ * Photos are uploaded first and linked afterwards by id:
+ * - 'report': before photo, linked when the resident creates a garbage report
+ * - 'collection': after photo, linked in verify-collection
+ */
+
+const sharp = require('sharp');
+const exifr = require('exifr');
+const { v4: uuidv4 } = require('uuid');
+const { supabase } = require('../config/supabase');
+const storage = require('./storage');
+const HttpError = require('../utils/httpError');
+const { haversineDistance } = require('../utils/geo');
+
+const ALLOWED_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp'];
+const MAX_SIZE_BYTES = parseFloat(process.env.PHOTO_MAX_SIZE_MB || 5) * 1024 * 1024;
+const FULL_SIZE_WIDTH = 1600;
+const THUMBNAIL_WIDTH = 320;
+
+/**
+ * Read GPS coordinates from EXIF, if the camera recorded them
+ */
+async function extractGps(buffer) {
+    try {
+        const gps = await exifr.gps(buffer);
+        if (gps && Number.isFinite(gps.latitude) && Number.isFinite(gps.longitude)) {
+            return { latitude: gps.latitude, longitude: gps.longitude };
+        }
+    } catch (error) {
+        console.warn('⚠️  Could not read photo EXIF:', error.message);
+    }
+    return null;
+}
+
+/**
+ * Process and store an uploaded photo
+ * @param {Object} file - multer file (buffer, mimetype, size)
+ * @param {Object} uploader - req.user
+ * @param {string} purpose - 'report' or 'collection'
+ * @returns {Promise<Object>} photos row
+ */
+async function storePhoto(file, uploader, purpose) {
+    if (!file) {
+        throw new HttpError(400, 'Photo file required (field name "photo")');
+    }
+
+    if (!ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+        throw new HttpError(400, 'Photo must be a JPEG, PNG or WebP image');
+    }
+
+    // Check the actual content, not just the declared type
+    let metadata;
+    try {
+        metadata = await sharp(file.buffer).metadata();
+    } catch (error) {
+        throw new HttpError(400, 'Photo could not be read as an image');
+    }
+
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw new HttpError(400, 'Photo must be a JPEG, PNG or WebP image');
+    }
+
+    const gps = await extractGps(file.buffer);
+
+    // Re-encoding drops all metadata, including EXIF GPS
+    const fullSize = await sharp(file.buffer)
+        .rotate()
+        .resize({ width: FULL_SIZE_WIDTH, withoutEnlargement: true })
+        .jpeg({ quality: 80 })
+        .toBuffer();
+
+    const thumbnail = await sharp(file.buffer)
+        .rotate()
+        .resize({ width: THUMBNAIL_WIDTH, withoutEnlargement: true })
+        .jpeg({ quality: 70 })
+        .toBuffer();
+
+    const id = uuidv4();
+    const month = new Date().toISOString().slice(0, 7).replace('-', '/');
+    const storagePath = `${purpose}/${month}/${id}.jpg`;
+    const thumbnailPath = `${purpose}/${month}/${id}_thumb.jpg`;
+
+    const url = await storage.save(storagePath, fullSize, 'image/jpeg');
+    const thumbnailUrl = await storage.save(thumbnailPath, thumbnail, 'image/jpeg');
+
+    const { data: photo, error } = await supabase
+        .from('photos')
+        .insert([{
+            id,
+            uploaded_by: uploader.id,
+            purpose,
+            storage_path: storagePath,
+            url,
+            thumbnail_url: thumbnailUrl,
+            mime_type: 'image/jpeg',
+            size_bytes: fullSize.length,
+            exif_latitude: gps?.latitude ?? null,
+            exif_longitude: gps?.longitude ?? null
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        await Promise.allSettled([storage.remove(storagePath), storage.remove(thumbnailPath)]);
+        throw error;
+    }
+
+    return photo;
+}
+
+/**
+ * Load an unlinked photo the user uploaded for the given purpose
+ */
+async function findUnlinkedPhoto(photoId, user, purpose) {
+    const { data: photo } = await supabase
+        .from('photos')
+        .select('*')
+        .eq('id', photoId)
+        .eq('uploaded_by', user.id)
+        .eq('purpose', purpose)
+        .single();
+
+    if (!photo) {
+        throw new HttpError(404, 'Photo not found');
+    }
+
+    if (photo.report_id || photo.collection_log_id) {
+        throw new HttpError(409, 'Photo is already attached to another record');
+    }
+
+    return photo;
+}
+
+/**
+ * Distance between where the photo was taken and a location, if known
+ * @returns {number|null} meters
+ */
+function photoDistanceFrom(photo, location) {
+    if (!location || photo.exif_latitude === null || photo.exif_longitude === null) {
+        return null;
+    }
+
+    return haversineDistance(
+        { latitude: Number(photo.exif_latitude), longitude: Number(photo.exif_longitude) },
+        location
+    );
+}
+
+/**
+ * Attach a photo to a report or collection log
+ * @param {string} photoId
+ * @param {Object} link - { report_id } or { collection_log_id }, plus distance_from_subject
+ */
+async function linkPhoto(photoId, link) {
+    const { error } = await supabase
+        .from('photos')
+        .update(link)
+        .eq('id', photoId);
+
+    if (error) {
+        throw error;
+    }
+}
+
+module.exports = {
+    MAX_SIZE_BYTES,
+    storePhoto,
+    findUnlinkedPhoto,
+    photoDistanceFrom,
+    linkPhoto
+};
@@ -0,0 +1,68 @@
+/**
+ * Pricing Service
+ * Computes the collection fee for a report from the tariffs table.
+ *
+ * A tariff may leave garbage_type, estimated_volume or division empty to match
+ * any value. The most specific active tariff wins (division, then garbage
+ * type, then volume breaks ties); DEFAULT_COLLECTION_FEE applies when none matches.
+ */
+
+const { supabase } = require('../config/supabase');
+
+const DEFAULT_FEE = parseFloat(process.env.DEFAULT_COLLECTION_FEE || 5000);
+
+/**
+ * How specifically a tariff matches, or -1 if it does not
+ */
+function matchScore(tariff, { garbage_type, estimated_volume, division }) {
+    if (tariff.garbage_type && tariff.garbage_type !== garbage_type) return -1;
+    if (tariff.estimated_volume && tariff.estimated_volume !== estimated_volume) return -1;
+    if (tariff.division && tariff.division.toLowerCase() !== (division || '').toLowerCase()) return -1;
+
+    return (tariff.division ? 4 : 0) + (tariff.garbage_type ? 2 : 0) + (tariff.estimated_volume ? 1 : 0);
+}
+
+/**
+ * Quote the collection fee for a report
+ * @param {Object} criteria
+ * @param {string} criteria.garbage_type - mixed, plastic, organic, electronic or hazardous
+ * @param {string} criteria.estimated_volume - small, medium or large
+ * @param {string} [criteria.division] - Kampala division (resident's area)
+ * @returns {Promise<{amount: number, currency: string, tariff_id: string|null}>}
+ */
+async function quoteCollectionFee(criteria) {
+    const { data: tariffs, error } = await supabase
+        .from('tariffs')
+        .select('*')
+        .eq('is_active', true)
+        .or(`garbage_type.is.null,garbage_type.eq.${criteria.garbage_type}`)
+        .or(`estimated_volume.is.null,estimated_volume.eq.${criteria.estimated_volume}`);
+
+    if (error) {
+        throw error;
+    }
+
+    let best = null;
+    let bestScore = -1;
+    for (const tariff of tariffs) {
+        const score = matchScore(tariff, criteria);
+        if (score > bestScore) {
+            best = tariff;
+            bestScore = score;
+        }
+    }
+
+    if (!best) {
+        return { amount: DEFAULT_FEE, currency: 'UGX', tariff_id: null };
+    }
+
+    return {
+        amount: Number(best.amount),
+        currency: best.currency,
+        tariff_id: best.id
+    };
+}
+
+module.exports = {
+    quoteCollectionFee
+};
@@ -0,0 +1,154 @@
+/**
+ * QR Token Service
+ * HMAC-signed, single-use QR payloads proving a collector was at the resident's pile
+ *
+ * Token format: base64url(JSON payload) + '.' + base64url(HMAC-SHA256 signature)
+ * Payload: { v, app, rid (report), uid (resident), n (nonce), iat, exp }
+ */
+
+const crypto = require('crypto');
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+
+const TOKEN_VERSION = 1;
+const QR_CODE_TTL_HOURS = parseFloat(process.env.QR_CODE_TTL_HOURS || 24);
+
+function signingSecret() {
+    return process.env.QR_SIGNING_SECRET || process.env.JWT_SECRET;
+}
+
+function sign(encodedPayload) {
+    return crypto
+        .createHmac('sha256', signingSecret())
+        .update(encodedPayload)
+        .digest('base64url');
+}
+
+/**
+ * Issue a signed QR token for a report and record its nonce
+ * @param {Object} report - garbage_reports row
+ * @returns {Promise<{token: string, expires_at: string}>}
+ */
+async function issueQrToken(report) {
+    const issuedAt = Math.floor(Date.now() / 1000);
+    const expiresAt = issuedAt + Math.round(QR_CODE_TTL_HOURS * 3600);
+    const nonce = crypto.randomBytes(16).toString('hex');
+
+    const { error } = await supabase
+        .from('qr_nonces')
+        .insert([{
+            nonce,
+            report_id: report.id,
+            resident_id: report.resident_id,
+            expires_at: new Date(expiresAt * 1000).toISOString()
+        }]);
+
+    if (error) {
+        throw error;
+    }
+
+    const payload = Buffer.from(JSON.stringify({
+        v: TOKEN_VERSION,
+        app: 'GFC',
+        rid: report.id,
+        uid: report.resident_id,
+        n: nonce,
+        iat: issuedAt,
+        exp: expiresAt
+    })).toString('base64url');
+
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expires_at: new Date(expiresAt * 1000).toISOString()
+    };
+}
+
+/**
+ * Check a scanned token against the report being collected
+ * @param {string} token - Scanned QR contents
+ * @param {Object} report - garbage_reports row
+ * @returns {Object} decoded payload
+ * @throws {HttpError} on forged, expired or mismatched codes
+ */
+function verifyQrToken(token, report) {
+    const [payload, signature] = String(token).split('.');
+
+    if (!payload || !signature) {
+        throw new HttpError(400, 'Invalid QR code');
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const received = Buffer.from(signature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new HttpError(400, 'Invalid QR code signature');
+    }
+
+    let decoded;
+    try {
+        decoded = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new HttpError(400, 'Invalid QR code');
+    }
+
+    if (decoded.v !== TOKEN_VERSION || decoded.app !== 'GFC') {
+        throw new HttpError(400, 'Unsupported QR code');
+    }
+
+    if (decoded.exp * 1000 < Date.now()) {
+        throw new HttpError(400, 'QR code has expired. Ask the resident to generate a new one.');
+    }
+
+    if (decoded.rid !== report.id || decoded.uid !== report.resident_id) {
+        throw new HttpError(400, 'QR code does not match this report');
+    }
+
+    return decoded;
+}
+
+/**
+ * Mark a nonce as used; a second scan of the same code is rejected
+ */
+async function consumeQrNonce(nonce, collectorId) {
+    const { data: consumed, error } = await supabase
+        .from('qr_nonces')
+        .update({
+            used_at: new Date().toISOString(),
+            used_by: collectorId
+        })
+        .eq('nonce', nonce)
+        .is('used_at', null)
+        .select('nonce');
+
+    if (error) {
+        throw error;
+    }
+
+    if (!consumed || consumed.length === 0) {
+        throw new HttpError(409, 'QR code has already been used');
+    }
+}
+
+/**
+ * Make a nonce usable again after the collection it was scanned for failed
+ */
+async function releaseQrNonce(nonce, collectorId) {
+    const { error } = await supabase
+        .from('qr_nonces')
+        .update({
+            used_at: null,
+            used_by: null
+        })
+        .eq('nonce', nonce)
+        .eq('used_by', collectorId);
+
+    if (error) {
+        throw error;
+    }
+}
+
+module.exports = {
+    issueQrToken,
+    verifyQrToken,
+    consumeQrNonce,
+    releaseQrNonce
+};
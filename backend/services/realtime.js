@@ -0,0 +1,68 @@
+/**
+ * Realtime Hub
+ * In-process publish/subscribe for live updates streamed to clients over
+ * Server-Sent Events (GET /api/realtime/...).
+ *
+ * Channels:
+ *   report:<id>        status changes and the assigned collector's position
+ *   division:<area>    positions of collectors working in a division
+ *   collectors         positions of every collector (admins)
+ *
+ * Events only reach clients connected to this server process. Clients
+ * reload the current state from the snapshot sent when they reconnect.
+ */
+
+const { EventEmitter } = require('events');
+
+const hub = new EventEmitter();
+
+// One listener per open stream; the default limit of 10 is far too low
+hub.setMaxListeners(0);
+
+function reportChannel(reportId) {
+    return `report:${reportId}`;
+}
+
+function divisionChannel(area) {
+    return `division:${area}`;
+}
+
+const ALL_COLLECTORS_CHANNEL = 'collectors';
+
+/**
+ * Publish an event; never throws
+ * @param {string} channel
+ * @param {string} event - SSE event name, e.g. 'status'
+ * @param {Object} data
+ */
+function publish(channel, event, data) {
+    try {
+        hub.emit(channel, { event, data });
+    } catch (error) {
+        console.error(`❌ Realtime publish error on ${channel}:`, error);
+    }
+}
+
+/**
+ * Listen to a channel
+ * @param {string} channel
+ * @param {Function} listener - Called with { event, data }
+ * @returns {Function} unsubscribe
+ */
+function subscribe(channel, listener) {
+    hub.on(channel, listener);
+    return () => hub.off(channel, listener);
+}
+
+function hasSubscribers(channel) {
+    return hub.listenerCount(channel) > 0;
+}
+
+module.exports = {
+    ALL_COLLECTORS_CHANNEL,
+    reportChannel,
+    divisionChannel,
+    publish,
+    subscribe,
+    hasSubscribers
+};
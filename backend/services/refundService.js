@@ -0,0 +1,400 @@
+/**
+ * Refund Service
+ * Residents request refunds for paid reports that were cancelled or never
+ * collected; an admin approves or rejects them. Approved refunds are sent to
+ * the payment provider and complete when the provider reports the payment as
+ * reversed.
+ *
+ *   requested -> approved -> processing -> completed
+ *       |            \___________\______> failed
+ *       \-> rejected
+ */
+
+const { supabase } = require('../config/supabase');
+const { notifyUser } = require('./notificationService');
+const HttpError = require('../utils/httpError');
+const { SYSTEM_ACTOR, changeReportStatus } = require('./reportStatusService');
+const { cancelOpenOffers } = require('./dispatchService');
+const { getProviderForPayment } = require('./paymentProviders');
+const { reverseCollectionEarning } = require('./earningsService');
+
+// A paid report not collected within this many days may be refunded
+const UNCOLLECTED_DAYS = parseFloat(process.env.REFUND_UNCOLLECTED_DAYS || 3);
+
+const ACTIVE_REPORT_STATUSES = ['pending', 'assigned', 'in_progress'];
+
+/**
+ * Move a refund on if nobody changed it since we read it
+ */
+async function updateRefund(refund, changes) {
+    const { data: updated, error } = await supabase
+        .from('refunds')
+        .update(changes)
+        .eq('id', refund.id)
+        .eq('status', refund.status)
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!updated || updated.length === 0) {
+        throw new HttpError(409, 'Refund was changed by someone else. Please refresh and try again.');
+    }
+
+    return updated[0];
+}
+
+/**
+ * Resident asks for their money back
+ * @param {string} paymentId - Payment to refund
+ * @param {Object} resident - Requesting resident (req.user)
+ * @param {string} reason - Why the resident wants a refund
+ * @returns {Promise<Object>} the refund
+ */
+async function requestRefund(paymentId, resident, reason) {
+    const { data: payment } = await supabase
+        .from('payments')
+        .select('*, garbage_reports(id, status)')
+        .eq('id', paymentId)
+        .eq('resident_id', resident.id)
+        .single();
+
+    if (!payment) {
+        throw new HttpError(404, 'Payment not found');
+    }
+
+    if (payment.payment_status !== 'successful') {
+        throw new HttpError(409, 'Only successful payments can be refunded');
+    }
+
+    if (payment.subscription_id) {
+        throw new HttpError(409, 'Subscription payments are not refunded. Cancel the subscription to stop further billing.');
+    }
+
+    const report = payment.garbage_reports;
+    const uncollectedSince = new Date(Date.now() - UNCOLLECTED_DAYS * 24 * 60 * 60 * 1000);
+    const neverCollected = report
+        && ACTIVE_REPORT_STATUSES.includes(report.status)
+        && new Date(payment.completed_at || payment.initiated_at) < uncollectedSince;
+
+    if (report && report.status !== 'cancelled' && !neverCollected) {
+        throw new HttpError(409, `Refunds are available for cancelled reports or reports not collected within ${UNCOLLECTED_DAYS} days of payment`);
+    }
+
+    const { data: refund, error } = await supabase
+        .from('refunds')
+        .insert([{
+            payment_id: payment.id,
+            report_id: payment.report_id,
+            resident_id: resident.id,
+            amount: payment.amount,
+            currency: payment.currency,
+            reason,
+            status: 'requested'
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new HttpError(409, 'A refund for this payment has already been requested');
+        }
+        throw error;
+    }
+
+    console.log(`💸 Refund ${refund.id} requested for payment ${payment.id}`);
+
+    return refund;
+}
+
+/**
+ * Request a refund for a payment that completed after its report was cancelled
+ * The refund waits for admin review like any other.
+ * @param {Object} payment - Successful payment row
+ * @returns {Promise<Object|null>} the refund, or null if one already exists
+ */
+async function openRefundForCancelledReport(payment) {
+    const { data: refund, error } = await supabase
+        .from('refunds')
+        .insert([{
+            payment_id: payment.id,
+            report_id: payment.report_id,
+            resident_id: payment.resident_id,
+            amount: payment.amount,
+            currency: payment.currency,
+            reason: 'Paid after the report was cancelled',
+            status: 'requested'
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return null;
+        }
+        throw error;
+    }
+
+    console.log(`💸 Refund ${refund.id} opened for payment ${payment.id} on cancelled report ${payment.report_id}`);
+
+    return refund;
+}
+
+/**
+ * Mark a refund failed and tell the resident
+ */
+async function failRefund(refund, reason, providerResponse = null) {
+    console.error(`❌ Refund ${refund.id} failed: ${reason}`);
+
+    const failed = await updateRefund(refund, {
+        status: 'failed',
+        provider_response: providerResponse,
+        failure_reason: reason
+    });
+
+    await notifyUser(refund.resident_id, 'refund_failed', {
+        amount: Number(refund.amount).toLocaleString()
+    });
+
+    return failed;
+}
+
+/**
+ * Record that the provider accepted a refund
+ */
+function markRefundSubmitted(refund, providerReference, providerResponse) {
+    return updateRefund(refund, {
+        status: 'processing',
+        provider_reference: providerReference || null,
+        provider_response: providerResponse,
+        submitted_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Send an approved refund to the payment provider
+ * If the call gets no answer and the provider can look the refund up by our
+ * reference, the refund stays approved for jobs/paymentReconciler.js to check
+ * instead of being failed: the provider may have accepted it.
+ */
+async function submitRefund(refund, payment, staff) {
+    const provider = getProviderForPayment(payment);
+
+    let result;
+    try {
+        result = await provider.refund({
+            payment,
+            refund,
+            amount: refund.amount,
+            username: staff.full_name || staff.phone_number,
+            remarks: refund.reason || 'Garbage collection refund'
+        });
+    } catch (error) {
+        if (!error.response && provider.findRefund) {
+            console.error(`⚠️ No answer submitting refund ${refund.id}, will check with the provider:`, error.message);
+            return refund;
+        }
+
+        result = {
+            accepted: false,
+            message: error.response?.data?.error?.message || error.message,
+            response: error.response?.data || null
+        };
+    }
+
+    if (!result.accepted) {
+        return failRefund(refund, result.message, result.response);
+    }
+
+    return markRefundSubmitted(refund, result.providerReference, result.response);
+}
+
+/**
+ * Submit a refund left approved, unless the provider already has it
+ * (the earlier submission was accepted but not recorded)
+ */
+async function resubmitRefund(refund, payment, staff) {
+    const provider = getProviderForPayment(payment);
+
+    if (provider.findRefund) {
+        const existing = await provider.findRefund({ payment, refund });
+
+        if (existing) {
+            console.log(`🔎 Refund ${refund.id} already reached the provider`);
+            return markRefundSubmitted(refund, existing.providerReference, existing.response);
+        }
+    }
+
+    return submitRefund(refund, payment, staff);
+}
+
+/**
+ * Admin approves or rejects a requested refund
+ * Approving cancels the report if it is still open, then submits the refund.
+ * The refund only leaves `requested` once the report is cancelled, so a lost
+ * race leaves it to be reviewed again; an approved refund that never reached
+ * the provider is resubmitted by jobs/paymentReconciler.js.
+ * @param {string} refundId - Refund id
+ * @param {Object} staff - Reviewing admin (req.user)
+ * @param {string} decision - 'approved' or 'rejected'
+ * @param {string} [notes] - Review notes
+ * @returns {Promise<Object>} the refund
+ */
+async function reviewRefund(refundId, staff, decision, notes) {
+    const { data: refund } = await supabase
+        .from('refunds')
+        .select('*, payment:payments(*)')
+        .eq('id', refundId)
+        .single();
+
+    if (!refund) {
+        throw new HttpError(404, 'Refund not found');
+    }
+
+    if (refund.status !== 'requested') {
+        throw new HttpError(409, `Refund already ${refund.status}`);
+    }
+
+    const { payment, ...refundRow } = refund;
+    const review = {
+        status: decision,
+        reviewed_by: staff.id,
+        reviewed_at: new Date().toISOString(),
+        review_notes: notes || null
+    };
+
+    if (decision === 'rejected') {
+        const reviewed = await updateRefund(refundRow, review);
+
+        await notifyUser(refund.resident_id, notes ? 'refund_rejected_with_reason' : 'refund_rejected', {
+            amount: Number(refund.amount).toLocaleString(),
+            reason: notes
+        });
+        return reviewed;
+    }
+
+    if (payment.payment_status !== 'successful') {
+        throw new HttpError(409, `Payment is ${payment.payment_status} and cannot be refunded`);
+    }
+
+    // Stop collectors going to a report that is being refunded
+    const { data: report } = await supabase
+        .from('garbage_reports')
+        .select('id, status')
+        .eq('id', refund.report_id)
+        .single();
+
+    if (report && ACTIVE_REPORT_STATUSES.includes(report.status)) {
+        await changeReportStatus({
+            report: report.id,
+            toStatus: 'cancelled',
+            actor: staff,
+            reason: 'Refund approved'
+        });
+        await cancelOpenOffers(report.id);
+    }
+
+    const reviewed = await updateRefund(refundRow, review);
+
+    return submitRefund(reviewed, payment, staff);
+}
+
+/**
+ * Handle a payment the provider reports as reversed
+ * Completes our refund if there is one. Otherwise the money was pulled back
+ * outside GFC, so the report goes back to waiting for payment.
+ * @param {Object} payment - Payment row, already marked reversed
+ */
+async function handlePaymentReversal(payment) {
+    const amount = Number(payment.amount).toLocaleString();
+
+    // A collector paid for this report does not keep money the resident got back
+    if (payment.report_id) {
+        await reverseCollectionEarning(payment.report_id, 'Payment reversed');
+    }
+
+    const { data: refunds, error } = await supabase
+        .from('refunds')
+        .select('*')
+        .eq('payment_id', payment.id)
+        .in('status', ['approved', 'processing']);
+
+    if (error) {
+        throw error;
+    }
+
+    const { data: report } = await supabase
+        .from('garbage_reports')
+        .select('id, status, assigned_collector_id, address_description')
+        .eq('id', payment.report_id)
+        .single();
+
+    if (refunds.length > 0) {
+        await updateRefund(refunds[0], {
+            status: 'completed',
+            completed_at: new Date().toISOString()
+        });
+
+        if (report && ACTIVE_REPORT_STATUSES.includes(report.status)) {
+            await changeReportStatus({
+                report: report.id,
+                toStatus: 'cancelled',
+                actor: SYSTEM_ACTOR,
+                reason: 'Payment refunded'
+            });
+        }
+
+        await notifyUser(payment.resident_id, 'refund_sent', { amount });
+        return;
+    }
+
+    console.log(`↩️ Payment ${payment.id} reversed by provider`);
+
+    if (report && ACTIVE_REPORT_STATUSES.includes(report.status)) {
+        if (report.status !== 'pending') {
+            await changeReportStatus({
+                report: report.id,
+                toStatus: 'pending',
+                actor: SYSTEM_ACTOR,
+                reason: 'Payment reversed'
+            });
+        }
+        await cancelOpenOffers(report.id);
+
+        if (report.assigned_collector_id) {
+            await notifyUser(report.assigned_collector_id, 'job_withdrawn', {
+                location: report.address_description
+            });
+        }
+    }
+
+    await notifyUser(payment.resident_id, 'payment_reversed', { amount });
+}
+
+/**
+ * Refunds requested by a resident, newest first
+ */
+async function listResidentRefunds(residentId) {
+    const { data, error } = await supabase
+        .from('refunds')
+        .select('*')
+        .eq('resident_id', residentId)
+        .order('requested_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    return data;
+}
+
+module.exports = {
+    requestRefund,
+    openRefundForCancelledReport,
+    reviewRefund,
+    resubmitRefund,
+    failRefund,
+    handlePaymentReversal,
+    listResidentRefunds
+};
@@ -0,0 +1,92 @@
+/**
+ * Registration Service
+ * Self-registration of residents and collectors, shared by the app
+ * (POST /api/auth/register) and the USSD channel.
+ */
+
+const Joi = require('joi');
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+
+const registerSchema = Joi.object({
+    phone_number: Joi.string().pattern(/^\+256[0-9]{9}$/).required()
+        .messages({ 'string.pattern.base': 'Phone must be in format +256XXXXXXXXX' }),
+    full_name: Joi.string().min(2).max(100).required(),
+    user_type: Joi.string().valid('resident', 'collector').required(),
+    email: Joi.string().email().allow(null, '').optional(),
+    area: Joi.string().max(100).allow(null, '').optional(),
+    latitude: Joi.number().min(-90).max(90).allow(null).optional(),
+    longitude: Joi.number().min(-180).max(180).allow(null).optional()
+});
+
+/**
+ * Create a user, or refresh the details of an unfinished registration
+ * @param {Object} value - Validated registerSchema fields
+ * @param {Object} [options]
+ * @param {boolean} [options.phoneVerified=false] - The phone number is already
+ *   proven (USSD sessions come from the SIM), so the account is active at once.
+ *   Otherwise it stays inactive until the SMS code is confirmed.
+ * @returns {Promise<Object>} the user
+ * @throws {HttpError} 400 when the phone number is already registered, or
+ *   belongs to an unfinished registration of another user type
+ */
+async function saveRegistration(value, { phoneVerified = false } = {}) {
+    const { phone_number, full_name, user_type, email, area, latitude, longitude } = value;
+
+    // Check if user already exists
+    const { data: existingUser } = await supabase
+        .from('users')
+        .select('id, user_type, phone_verified_at, is_active')
+        .eq('phone_number', phone_number)
+        .single();
+
+    // Only an unfinished self-registration (never verified, never activated)
+    // may be refreshed; active accounts created by staff are not up for grabs
+    const unfinished = existingUser && !existingUser.phone_verified_at && !existingUser.is_active;
+
+    if (existingUser && (!unfinished || existingUser.user_type !== user_type)) {
+        throw new HttpError(400, 'Phone number already registered');
+    }
+
+    // Prepare user data (the role of an existing row is never changed)
+    const userData = {
+        phone_number,
+        full_name,
+        ...(!existingUser && { user_type }),
+        email,
+        area,
+        is_active: phoneVerified,
+        ...(phoneVerified && { phone_verified_at: new Date().toISOString() })
+    };
+
+    // Add location if provided (for residents)
+    if (latitude && longitude && user_type === 'resident') {
+        userData.home_location = `POINT(${longitude} ${latitude})`;
+    }
+
+    const query = existingUser
+        ? supabase.from('users').update(userData)
+            .eq('id', existingUser.id)
+            .is('phone_verified_at', null)
+            .eq('is_active', false)
+        : supabase.from('users').insert([userData]);
+
+    const { data: user, error } = await query
+        .select()
+        .single();
+
+    if (error) {
+        // Verified or activated since it was read
+        if (error.code === 'PGRST116') {
+            throw new HttpError(400, 'Phone number already registered');
+        }
+        throw error;
+    }
+
+    return user;
+}
+
+module.exports = {
+    registerSchema,
+    saveRegistration
+};
@@ -0,0 +1,132 @@
+/**
+ * Report Service
+ * Creates pay-per-collection garbage reports, priced from the tariffs, and
+ * lets collectors claim them from the open pool.
+ * Shared by the app (POST /api/garbage-reports, PATCH /api/garbage-reports/:id/assign),
+ * the USSD channel and SMS commands.
+ */
+
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const { quoteCollectionFee } = require('./pricingService');
+const { changeReportStatus } = require('./reportStatusService');
+const { cancelOpenOffers } = require('./dispatchService');
+const { assertCanTakeJob } = require('./shiftService');
+
+/**
+ * Create a report waiting for payment
+ * The price is fixed when the report is made; payment charges exactly this.
+ * @param {Object} resident - Reporting resident (id, area)
+ * @param {Object} details
+ * @param {string} details.location - WKT ('POINT(lng lat)') or hex EWKB
+ * @param {string} details.address_description
+ * @param {string} details.garbage_type
+ * @param {string} details.estimated_volume
+ * @param {string} [details.photo_url]
+ * @returns {Promise<{report: Object, quote: Object}>}
+ */
+async function createReport(resident, { location, address_description, garbage_type, estimated_volume, photo_url = null }) {
+    const division = resident.area || null;
+    const quote = await quoteCollectionFee({ garbage_type, estimated_volume, division });
+
+    const { data: report, error } = await supabase
+        .from('garbage_reports')
+        .insert([{
+            resident_id: resident.id,
+            location,
+            address_description,
+            garbage_type,
+            estimated_volume,
+            photo_url,
+            division,
+            status: 'pending',
+            payment_required: true,
+            payment_amount: quote.amount,
+            tariff_id: quote.tariff_id,
+            reported_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    return { report, quote };
+}
+
+/**
+ * Claim a pending report from the open pool
+ * @param {string} reportId
+ * @param {Object} collector - Claiming collector (req.user)
+ * @returns {Promise<Object>} the assigned report
+ * @throws {HttpError} 404 when the report does not exist, 400 when it is
+ *   not pending or not yet paid, 409 when the collector is off duty, busy or
+ *   at capacity
+ */
+async function claimReport(reportId, collector) {
+    // Check if report exists and is pending
+    const { data: report } = await supabase
+        .from('garbage_reports')
+        .select('*, payments(*)')
+        .eq('id', reportId)
+        .single();
+
+    if (!report) {
+        throw new HttpError(404, 'Report not found');
+    }
+
+    if (report.status !== 'pending') {
+        throw new HttpError(400, 'Report is not available for assignment');
+    }
+
+    // Check if payment is successful (subscription pickups are prepaid)
+    const paid = report.payments?.some(payment => payment.payment_status === 'successful');
+    if (report.payment_required && !paid) {
+        throw new HttpError(400, 'Payment not completed for this report');
+    }
+
+    // Only on-shift collectors with room for another job (enforced again
+    // atomically when assigning)
+    await assertCanTakeJob(collector.id);
+
+    // Assign collector
+    const updatedReport = await changeReportStatus({
+        report,
+        toStatus: 'assigned',
+        actor: collector,
+        changes: { assigned_collector_id: collector.id },
+        withinCapacity: true
+    });
+
+    // Taken from the open pool - withdraw any outstanding dispatch offer
+    await cancelOpenOffers(report.id);
+
+    return updatedReport;
+}
+
+/**
+ * What a resident should know about a report
+ */
+function reportStatusLabel(report) {
+    const paid = !report.payment_required || report.payments?.some(p => p.payment_status === 'successful');
+
+    switch (report.status) {
+        case 'pending':
+            return paid ? 'Waiting for a collector' : 'Waiting for payment';
+        case 'assigned':
+            return 'Collector on the way';
+        case 'in_progress':
+            return 'Being collected';
+        case 'completed':
+            return 'Collected';
+        default:
+            return 'Cancelled';
+    }
+}
+
+module.exports = {
+    createReport,
+    claimReport,
+    reportStatusLabel
+};
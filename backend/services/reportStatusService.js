@@ -0,0 +1,257 @@
+/**
+ * Report Status Service
+ * Central state machine for garbage report statuses
+ *
+ *   pending -> assigned -> in_progress -> completed
+ *      \_________\______________\______> cancelled
+ *
+ * A completed report reopens (back to pending) when staff reject its
+ * flagged collection.
+ *
+ * Every change is checked against the transition table, the actor's role and
+ * ownership of the report, is recorded in report_status_history and is
+ * published to live subscribers of the report.
+ */
+
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const realtime = require('./realtime');
+
+const STATUSES = ['pending', 'assigned', 'in_progress', 'completed', 'cancelled'];
+
+// Actor for changes made by the platform itself (e.g. a reversed payment)
+const SYSTEM_ACTOR = { id: null, user_type: 'system' };
+
+// from -> to -> roles allowed to make the change
+const TRANSITIONS = {
+    pending: {
+        assigned: ['collector', 'supervisor', 'admin'],
+        cancelled: ['resident', 'supervisor', 'admin', 'system']
+    },
+    assigned: {
+        assigned: ['supervisor', 'admin'], // reassignment
+        pending: ['collector', 'supervisor', 'admin', 'system'], // collector releases the job
+        in_progress: ['collector'],
+        cancelled: ['resident', 'supervisor', 'admin', 'system']
+    },
+    in_progress: {
+        assigned: ['supervisor', 'admin'], // reassignment
+        pending: ['system'], // payment reversed mid-collection
+        completed: ['collector'],
+        cancelled: ['supervisor', 'admin', 'system']
+    },
+    completed: {
+        pending: ['system'] // flagged collection rejected
+    },
+    cancelled: {}
+};
+
+/**
+ * Load a report with the resident's division for scope checks
+ */
+async function findReport(reportId) {
+    const { data: report } = await supabase
+        .from('garbage_reports')
+        .select(`
+            *,
+            resident:users!garbage_reports_resident_id_fkey (
+                id,
+                full_name,
+                phone_number,
+                area
+            )
+        `)
+        .eq('id', reportId)
+        .single();
+
+    return report || null;
+}
+
+/**
+ * Whether the actor owns (or oversees) the report for this transition
+ */
+function isAllowedOnReport(report, actor, toStatus) {
+    switch (actor.user_type) {
+        case 'admin':
+        case 'system':
+            return true;
+        case 'supervisor':
+            return report.resident?.area === actor.area;
+        case 'resident':
+            return report.resident_id === actor.id;
+        case 'collector':
+            // Any collector may pick up an unassigned report
+            if (report.status === 'pending' && toStatus === 'assigned') {
+                return true;
+            }
+            return report.assigned_collector_id === actor.id;
+        default:
+            return false;
+    }
+}
+
+/**
+ * Whether the actor may see the report and its history
+ */
+function canViewReport(report, actor) {
+    if (actor.user_type === 'collector') {
+        return report.assigned_collector_id === actor.id;
+    }
+    return isAllowedOnReport(report, actor, null);
+}
+
+/**
+ * Check a transition without applying it
+ * @throws {HttpError} when the change is not allowed
+ */
+function assertTransition(report, toStatus, actor) {
+    if (!STATUSES.includes(toStatus)) {
+        throw new HttpError(400, `Invalid status: ${toStatus}`);
+    }
+
+    const allowedRoles = TRANSITIONS[report.status]?.[toStatus];
+    if (!allowedRoles) {
+        throw new HttpError(409, `Cannot change report status from ${report.status} to ${toStatus}`);
+    }
+
+    if (!allowedRoles.includes(actor.user_type)) {
+        throw new HttpError(403, `A ${actor.user_type} cannot change report status from ${report.status} to ${toStatus}`);
+    }
+
+    if (!isAllowedOnReport(report, actor, toStatus)) {
+        throw new HttpError(403, 'You are not allowed to update this report');
+    }
+}
+
+/**
+ * Apply a status change
+ * @param {Object} options
+ * @param {Object|string} options.report - Report row (with resident) or report id
+ * @param {string} options.toStatus - Target status
+ * @param {Object} options.actor - User making the change (req.user)
+ * @param {string} [options.reason] - Free-text reason, stored in history
+ * @param {Object} [options.changes] - Extra columns to update with the status
+ * @param {boolean} [options.withinCapacity=false] - Assigning to
+ *   changes.assigned_collector_id must not take them over their job limit
+ *   (checked in the same transaction, see assign_report_within_capacity)
+ * @returns {Promise<Object>} updated report
+ * @throws {HttpError} 409 when the report changed meanwhile or the collector
+ *   has no room for the job
+ */
+async function changeReportStatus({ report, toStatus, actor, reason, changes = {}, withinCapacity = false }) {
+    const current = typeof report === 'string' ? await findReport(report) : report;
+
+    if (!current) {
+        throw new HttpError(404, 'Report not found');
+    }
+
+    assertTransition(current, toStatus, actor);
+
+    const now = new Date().toISOString();
+    const updateData = { ...changes, status: toStatus };
+
+    if (toStatus === 'assigned') {
+        // A reassigned job has not been started by the new collector
+        updateData.assigned_at = now;
+        updateData.started_at = null;
+    } else if (toStatus === 'in_progress') {
+        updateData.started_at = now;
+    } else if (toStatus === 'completed') {
+        updateData.completed_at = now;
+    } else if (toStatus === 'cancelled') {
+        updateData.cancelled_at = now;
+        updateData.cancellation_reason = reason || null;
+    } else if (toStatus === 'pending') {
+        updateData.assigned_collector_id = null;
+        updateData.assigned_at = null;
+        updateData.started_at = null;
+        updateData.completed_at = null;
+    }
+
+    // Only update if nobody changed the status since we read it
+    const { data: updated, error } = withinCapacity && toStatus === 'assigned'
+        ? await supabase.rpc('assign_report_within_capacity', {
+            report_uuid: current.id,
+            collector_uuid: changes.assigned_collector_id,
+            from_status: current.status,
+            assigned_time: now
+        })
+        : await supabase
+            .from('garbage_reports')
+            .update(updateData)
+            .eq('id', current.id)
+            .eq('status', current.status)
+            .select();
+
+    if (error) {
+        if (error.code === '23514' && withinCapacity) {
+            throw new HttpError(409, 'You already have as many open jobs as you can take');
+        }
+        throw error;
+    }
+
+    if (!updated || updated.length === 0) {
+        throw new HttpError(409, 'Report status was changed by someone else. Please refresh and try again.');
+    }
+
+    const { error: historyError } = await supabase
+        .from('report_status_history')
+        .insert([{
+            report_id: current.id,
+            from_status: current.status,
+            to_status: toStatus,
+            changed_by: actor.id || null,
+            changed_by_role: actor.user_type,
+            reason: reason || null
+        }]);
+
+    if (historyError) {
+        console.error('❌ Failed to record status history:', historyError);
+    }
+
+    realtime.publish(realtime.reportChannel(current.id), 'status', {
+        report_id: current.id,
+        from_status: current.status,
+        status: toStatus,
+        assigned_collector_id: updated[0].assigned_collector_id,
+        reason: reason || null,
+        changed_at: now
+    });
+
+    return updated[0];
+}
+
+/**
+ * Status history of a report, oldest first
+ */
+async function getStatusHistory(reportId) {
+    const { data, error } = await supabase
+        .from('report_status_history')
+        .select(`
+            *,
+            changed_by_user:users!report_status_history_changed_by_fkey (
+                id,
+                full_name,
+                user_type
+            )
+        `)
+        .eq('report_id', reportId)
+        .order('created_at', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    return data;
+}
+
+module.exports = {
+    STATUSES,
+    SYSTEM_ACTOR,
+    TRANSITIONS,
+    findReport,
+    canViewReport,
+    assertTransition,
+    changeReportStatus,
+    getStatusHistory
+};
@@ -0,0 +1,148 @@
+/**
+ * Route Optimizer
+ * Orders a collector's assignments into a short visiting route.
+ * Nearest-neighbour gives a starting tour which 2-opt then improves.
+ * Distances are straight-line (haversine); ETAs scale them by a road factor
+ * and an average Kampala traffic speed.
+ */
+
+const { haversineDistance } = require('../utils/geo');
+
+const AVERAGE_SPEED_KMH = parseFloat(process.env.ROUTE_AVERAGE_SPEED_KMH || 15);
+const STOP_SERVICE_MINUTES = parseFloat(process.env.ROUTE_STOP_SERVICE_MINUTES || 10);
+const ROAD_DISTANCE_FACTOR = 1.4; // Road distance vs straight line in Kampala
+const MAX_TWO_OPT_PASSES = 50;
+
+// Truck space used by each estimated_volume
+const VOLUME_UNITS = {
+    small: 1,
+    medium: 2,
+    large: 4
+};
+
+function volumeUnits(stop) {
+    return VOLUME_UNITS[stop.estimated_volume] || VOLUME_UNITS.medium;
+}
+
+/**
+ * Greedy nearest-neighbour tour from the origin
+ * Stops that do not fit the remaining capacity are skipped
+ */
+function nearestNeighbour(origin, stops, capacity) {
+    const remaining = [...stops];
+    const route = [];
+    const deferred = [];
+    let current = origin;
+    let load = 0;
+
+    while (remaining.length > 0) {
+        let bestIndex = -1;
+        let bestDistance = Infinity;
+
+        remaining.forEach((stop, index) => {
+            if (capacity && load + volumeUnits(stop) > capacity) {
+                return;
+            }
+            const distance = haversineDistance(current, stop);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = index;
+            }
+        });
+
+        if (bestIndex === -1) {
+            deferred.push(...remaining);
+            break;
+        }
+
+        const [next] = remaining.splice(bestIndex, 1);
+        route.push(next);
+        load += volumeUnits(next);
+        current = next;
+    }
+
+    return { route, deferred, load };
+}
+
+/**
+ * Improve an open path (fixed start at origin) by reversing segments
+ */
+function twoOpt(origin, route) {
+    const points = [origin, ...route];
+    const distance = (i, j) => haversineDistance(points[i], points[j]);
+    let improved = true;
+    let passes = 0;
+
+    while (improved && passes < MAX_TWO_OPT_PASSES) {
+        improved = false;
+        passes++;
+
+        for (let i = 1; i < points.length - 1; i++) {
+            for (let k = i + 1; k < points.length; k++) {
+                const hasNext = k + 1 < points.length;
+                const before = distance(i - 1, i) + (hasNext ? distance(k, k + 1) : 0);
+                const after = distance(i - 1, k) + (hasNext ? distance(i, k + 1) : 0);
+
+                if (after < before - 0.01) {
+                    const reversed = points.slice(i, k + 1).reverse();
+                    points.splice(i, reversed.length, ...reversed);
+                    improved = true;
+                }
+            }
+        }
+    }
+
+    return points.slice(1);
+}
+
+/**
+ * Build an optimised route
+ * @param {{latitude: number, longitude: number}} origin - Collector's position
+ * @param {Array<Object>} stops - Items with latitude, longitude and estimated_volume
+ * @param {Object} [options]
+ * @param {number} [options.capacity] - Truck capacity in volume units (small=1, medium=2, large=4)
+ * @param {Date} [options.startTime] - Departure time for ETAs
+ */
+function optimiseRoute(origin, stops, options = {}) {
+    const { capacity, startTime = new Date() } = options;
+    const { route, deferred, load } = nearestNeighbour(origin, stops, capacity);
+    const ordered = twoOpt(origin, route);
+
+    const metersPerMinute = AVERAGE_SPEED_KMH * 1000 / 60;
+    let previous = origin;
+    let cumulativeDistance = 0;
+    let elapsedMinutes = 0;
+
+    const plannedStops = ordered.map((stop, index) => {
+        const legDistance = haversineDistance(previous, stop);
+        cumulativeDistance += legDistance;
+        elapsedMinutes += (legDistance * ROAD_DISTANCE_FACTOR) / metersPerMinute;
+
+        const eta = new Date(startTime.getTime() + elapsedMinutes * 60 * 1000);
+        elapsedMinutes += STOP_SERVICE_MINUTES;
+        previous = stop;
+
+        return {
+            ...stop,
+            sequence: index + 1,
+            distance_from_previous_meters: Math.round(legDistance),
+            cumulative_distance_meters: Math.round(cumulativeDistance),
+            eta: eta.toISOString()
+        };
+    });
+
+    return {
+        stops: plannedStops,
+        deferred_stops: deferred,
+        total_distance_meters: Math.round(cumulativeDistance),
+        estimated_duration_minutes: Math.round(elapsedMinutes),
+        capacity: capacity ? { limit: capacity, used: load } : null
+    };
+}
+
+module.exports = {
+    AVERAGE_SPEED_KMH,
+    ROAD_DISTANCE_FACTOR,
+    VOLUME_UNITS,
+    optimiseRoute
+};
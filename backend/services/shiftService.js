@@ -0,0 +1,247 @@
+/**
+ * Shift Service
+ * Collector shifts, availability and capacity.
+ *
+ * A collector checks in to start a shift and becomes `available`; they can
+ * switch to `busy` (e.g. truck full, on a break) and back while on shift,
+ * and become `off_duty` at check-out. Dispatch, the open pool and claiming a
+ * job only consider available collectors with fewer open jobs (assigned or
+ * in progress) than their max_concurrent_assignments.
+ */
+
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const realtime = require('./realtime');
+const { measureTravel } = require('./locationHistoryService');
+
+const OPEN_JOB_STATUSES = ['assigned', 'in_progress'];
+
+/**
+ * Load the collector's shift fields fresh (req.user may be stale)
+ */
+async function loadCollector(collectorId) {
+    const { data: collector, error } = await supabase
+        .from('users')
+        .select('id, full_name, area, availability_status, max_concurrent_assignments')
+        .eq('id', collectorId)
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    return collector;
+}
+
+async function findOpenShift(collectorId) {
+    const { data: shift } = await supabase
+        .from('collector_shifts')
+        .select('*')
+        .eq('collector_id', collectorId)
+        .is('ended_at', null)
+        .maybeSingle();
+
+    return shift;
+}
+
+async function countOpenJobs(collectorId) {
+    const { count, error } = await supabase
+        .from('garbage_reports')
+        .select('id', { count: 'exact', head: true })
+        .eq('assigned_collector_id', collectorId)
+        .in('status', OPEN_JOB_STATUSES);
+
+    if (error) {
+        throw error;
+    }
+
+    return count || 0;
+}
+
+async function setAvailabilityStatus(collector, status) {
+    const { error } = await supabase
+        .from('users')
+        .update({
+            availability_status: status,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', collector.id);
+
+    if (error) {
+        throw error;
+    }
+
+    const update = {
+        collector_id: collector.id,
+        full_name: collector.full_name,
+        availability_status: status
+    };
+
+    if (collector.area) {
+        realtime.publish(realtime.divisionChannel(collector.area), 'collector_status', update);
+    }
+    realtime.publish(realtime.ALL_COLLECTORS_CHANNEL, 'collector_status', update);
+}
+
+/**
+ * Shift, availability and capacity of a collector
+ * @returns {Promise<{availability_status, shift, open_jobs, max_concurrent_assignments, can_take_jobs}>}
+ */
+async function getCollectorStatus(collectorId) {
+    const [collector, shift, openJobs] = await Promise.all([
+        loadCollector(collectorId),
+        findOpenShift(collectorId),
+        countOpenJobs(collectorId)
+    ]);
+
+    return {
+        availability_status: collector.availability_status,
+        shift,
+        open_jobs: openJobs,
+        max_concurrent_assignments: collector.max_concurrent_assignments,
+        can_take_jobs: collector.availability_status === 'available'
+            && openJobs < collector.max_concurrent_assignments
+    };
+}
+
+/**
+ * Check that a collector may take another job
+ * Gives a clear reason up front; the limit itself is enforced when the
+ * report is assigned (changeReportStatus withinCapacity).
+ * @throws {HttpError} 409 when off duty, busy or at capacity
+ */
+async function assertCanTakeJob(collectorId) {
+    const status = await getCollectorStatus(collectorId);
+
+    if (status.availability_status === 'off_duty') {
+        throw new HttpError(409, 'Check in to a shift before taking jobs');
+    }
+
+    if (status.availability_status === 'busy') {
+        throw new HttpError(409, 'You are marked busy. Set yourself available to take jobs');
+    }
+
+    if (!status.can_take_jobs) {
+        throw new HttpError(409, `You already have ${status.open_jobs} open jobs (limit ${status.max_concurrent_assignments})`);
+    }
+}
+
+/**
+ * Start a shift
+ * @param {Object} collector - Collector (req.user)
+ * @returns {Promise<Object>} the shift
+ * @throws {HttpError} 409 when a shift is already open
+ */
+async function checkIn(collector) {
+    const { data: shift, error } = await supabase
+        .from('collector_shifts')
+        .insert([{
+            collector_id: collector.id,
+            started_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        // One open shift per collector (unique index)
+        if (error.code === '23505') {
+            throw new HttpError(409, 'You are already checked in');
+        }
+        throw error;
+    }
+
+    await setAvailabilityStatus(collector, 'available');
+
+    console.log(`🟢 Collector ${collector.id} checked in`);
+    return shift;
+}
+
+/**
+ * End the open shift and store the distance travelled during it
+ * @param {Object} collector - Collector (req.user)
+ * @returns {Promise<Object>} the finished shift
+ * @throws {HttpError} 409 when not checked in or jobs are still open
+ */
+async function checkOut(collector) {
+    const shift = await findOpenShift(collector.id);
+
+    if (!shift) {
+        throw new HttpError(409, 'You are not checked in');
+    }
+
+    const openJobs = await countOpenJobs(collector.id);
+    if (openJobs > 0) {
+        throw new HttpError(409, `Complete or release your ${openJobs} open jobs before checking out`);
+    }
+
+    const endedAt = new Date();
+    const distance = await measureTravel(collector.id, { from: new Date(shift.started_at), to: endedAt });
+
+    const { data: ended, error } = await supabase
+        .from('collector_shifts')
+        .update({
+            ended_at: endedAt.toISOString(),
+            distance_meters: distance
+        })
+        .eq('id', shift.id)
+        .is('ended_at', null)
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!ended || ended.length === 0) {
+        throw new HttpError(409, 'You are not checked in');
+    }
+
+    await setAvailabilityStatus(collector, 'off_duty');
+
+    console.log(`🔴 Collector ${collector.id} checked out after ${distance}m`);
+    return ended[0];
+}
+
+/**
+ * Switch between available and busy during a shift
+ * @param {Object} collector - Collector (req.user)
+ * @param {string} status - 'available' or 'busy'
+ * @throws {HttpError} 409 when not checked in
+ */
+async function setAvailability(collector, status) {
+    const shift = await findOpenShift(collector.id);
+
+    if (!shift) {
+        throw new HttpError(409, 'Check in to a shift first');
+    }
+
+    await setAvailabilityStatus(collector, status);
+}
+
+/**
+ * Shifts of a collector, newest first
+ */
+async function listShifts(collectorId, { page, limit }) {
+    const from = (page - 1) * limit;
+
+    const { data: shifts, count, error } = await supabase
+        .from('collector_shifts')
+        .select('*', { count: 'exact' })
+        .eq('collector_id', collectorId)
+        .order('started_at', { ascending: false })
+        .range(from, from + limit - 1);
+
+    if (error) {
+        throw error;
+    }
+
+    return { shifts, total: count || 0 };
+}
+
+module.exports = {
+    getCollectorStatus,
+    assertCanTakeJob,
+    checkIn,
+    checkOut,
+    setAvailability,
+    listShifts
+};
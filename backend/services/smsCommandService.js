@@ -0,0 +1,258 @@
+/**
+ * SMS Command Service
+ * Two-way SMS for people without the app. The sender is identified by the
+ * phone number Africa's Talking reports, and reports are named by their
+ * short code (e.g. K7QM2X, sent in job offers and shown in USSD).
+ *
+ * Collectors:  ACCEPT <code>, DECLINE <code>, START <code>, DONE <code>, JOBS
+ * Residents:   STATUS [code]
+ * Everyone:    HELP
+ *
+ * Commands run the same services as the app. DONE has no QR scan or
+ * position, so the collection is flagged for supervisor review and paid
+ * out once approved.
+ */
+
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const { changeReportStatus } = require('./reportStatusService');
+const { claimReport, reportStatusLabel } = require('./reportService');
+const { respondToOffer, listOpenOffers } = require('./dispatchService');
+const { verifyCollection } = require('./collectionService');
+
+const RECENT_REPORTS = 3;
+const MAX_JOBS = 5;
+
+const HELP = {
+    collector: 'GFC commands: ACCEPT <code> to take a job, DECLINE <code> to pass on an offer, START <code> when you arrive, DONE <code> when collected, JOBS to list your jobs.',
+    resident: 'GFC commands: STATUS for your latest reports, STATUS <code> for one report.'
+};
+
+function normaliseCode(code) {
+    return (code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+async function findSender(phoneNumber) {
+    const { data: user } = await supabase
+        .from('users')
+        .select('id, phone_number, full_name, user_type, area, is_active, phone_verified_at')
+        .eq('phone_number', phoneNumber)
+        .maybeSingle();
+
+    return user;
+}
+
+async function findReportByCode(code) {
+    const { data: report } = await supabase
+        .from('garbage_reports')
+        .select('*')
+        .eq('short_code', code)
+        .maybeSingle();
+
+    return report;
+}
+
+// ============================================
+// COLLECTOR COMMANDS
+// ============================================
+
+/**
+ * Take a job: answer the dispatch offer if there is one, otherwise claim
+ * the report from the open pool like PATCH /api/garbage-reports/:id/assign
+ */
+async function acceptJob(collector, report) {
+    const { data: offer } = await supabase
+        .from('dispatch_offers')
+        .select('id')
+        .eq('report_id', report.id)
+        .eq('collector_id', collector.id)
+        .eq('status', 'offered')
+        .maybeSingle();
+
+    if (offer) {
+        await respondToOffer(offer.id, collector, true);
+    } else {
+        await claimReport(report.id, collector);
+    }
+
+    return `Job ${report.short_code} is yours: ${report.address_description}. Reply START ${report.short_code} when you arrive.`;
+}
+
+async function declineJob(collector, report) {
+    const { data: offer } = await supabase
+        .from('dispatch_offers')
+        .select('id')
+        .eq('report_id', report.id)
+        .eq('collector_id', collector.id)
+        .eq('status', 'offered')
+        .maybeSingle();
+
+    if (!offer) {
+        throw new HttpError(404, 'You have no open offer for this job');
+    }
+
+    await respondToOffer(offer.id, collector, false);
+
+    return `Job ${report.short_code} declined.`;
+}
+
+async function startJob(collector, report) {
+    if (report.assigned_collector_id !== collector.id) {
+        throw new HttpError(404, 'This job is not assigned to you');
+    }
+
+    await changeReportStatus({
+        report,
+        toStatus: 'in_progress',
+        actor: collector,
+        reason: 'Started by SMS'
+    });
+
+    return `Job ${report.short_code} started. Reply DONE ${report.short_code} once collected.`;
+}
+
+async function completeJob(collector, report) {
+    await verifyCollection(collector, { report_id: report.id });
+
+    return `Job ${report.short_code} recorded as collected. It will be paid once a supervisor confirms it, as it was not scanned in the app.`;
+}
+
+async function listJobs(collector) {
+    const { data: assigned, error } = await supabase
+        .from('garbage_reports')
+        .select('short_code, status, address_description')
+        .eq('assigned_collector_id', collector.id)
+        .in('status', ['assigned', 'in_progress'])
+        .order('assigned_at', { ascending: true })
+        .limit(MAX_JOBS);
+
+    if (error) {
+        throw error;
+    }
+
+    const offers = await listOpenOffers(collector.id);
+
+    const lines = [
+        ...assigned.map(report =>
+            `${report.short_code} ${report.status === 'in_progress' ? 'started' : 'assigned'}: ${report.address_description}`
+        ),
+        ...offers.slice(0, MAX_JOBS).map(offer =>
+            `${offer.report.short_code} offered: ${offer.report.address_description}`
+        )
+    ];
+
+    return lines.length > 0
+        ? ['Your jobs:', ...lines].join('\n')
+        : 'You have no jobs right now.';
+}
+
+const COLLECTOR_COMMANDS = {
+    ACCEPT: acceptJob,
+    DECLINE: declineJob,
+    START: startJob,
+    DONE: completeJob
+};
+
+// ============================================
+// RESIDENT COMMANDS
+// ============================================
+
+async function reportStatus(resident, code) {
+    let query = supabase
+        .from('garbage_reports')
+        .select('short_code, status, address_description, payment_required, payments (payment_status)')
+        .eq('resident_id', resident.id);
+
+    query = code
+        ? query.eq('short_code', code)
+        : query.order('reported_at', { ascending: false }).limit(RECENT_REPORTS);
+
+    const { data: reports, error } = await query;
+
+    if (error) {
+        throw error;
+    }
+
+    if (reports.length === 0) {
+        return code ? `Report ${code} not found.` : 'You have not reported any garbage yet.';
+    }
+
+    return reports
+        .map(report => `${report.short_code} ${report.address_description}: ${reportStatusLabel(report)}`)
+        .join('\n');
+}
+
+// ============================================
+// DISPATCH
+// ============================================
+
+/**
+ * Run an inbound SMS command
+ * @param {Object} message
+ * @param {string} message.from - Sender phone number (+256...)
+ * @param {string} message.text - Message text, e.g. "accept k7qm2x"
+ * @returns {Promise<{reply: string, user: Object|null}>} reply to send back
+ */
+async function handleSmsCommand({ from, text }) {
+    const [keyword = '', argument] = (text || '').trim().split(/\s+/);
+    const command = keyword.toUpperCase();
+    const code = normaliseCode(argument);
+
+    const user = await findSender(from);
+
+    // No account, or an app registration that was never verified
+    if (!user || (!user.phone_verified_at && !user.is_active)) {
+        return { reply: 'This number is not registered with GFC. Register in the GFC app or by USSD.', user: null };
+    }
+
+    if (!user.is_active) {
+        return { reply: 'Your GFC account is deactivated. Contact KCCA support.', user };
+    }
+
+    const help = HELP[user.user_type];
+    if (!help) {
+        return { reply: 'SMS commands are for residents and collectors.', user };
+    }
+
+    if (command === 'HELP') {
+        return { reply: help, user };
+    }
+
+    try {
+        if (user.user_type === 'resident' && command === 'STATUS') {
+            return { reply: await reportStatus(user, code), user };
+        }
+
+        if (user.user_type === 'collector' && command === 'JOBS') {
+            return { reply: await listJobs(user), user };
+        }
+
+        const run = user.user_type === 'collector' && COLLECTOR_COMMANDS[command];
+        if (!run) {
+            return { reply: `Unknown command. ${help}`, user };
+        }
+
+        if (!code) {
+            return { reply: `Send ${command} followed by the job code, e.g. ${command} K7QM2X.`, user };
+        }
+
+        const report = await findReportByCode(code);
+        if (!report) {
+            return { reply: `Job ${code} not found.`, user };
+        }
+
+        const reply = await run(user, report);
+        console.log(`💬 SMS ${command} ${code} by ${user.user_type} ${user.id}`);
+        return { reply, user };
+
+    } catch (error) {
+        if (error instanceof HttpError) {
+            return { reply: `${command} ${code} failed: ${error.message}`, user };
+        }
+        throw error;
+    }
+}
+
+module.exports = {
+    handleSmsCommand
+};
@@ -0,0 +1,28 @@
+/**
+ * Local disk adapter for development
+ * Files are written under LOCAL_UPLOAD_DIR and served by server.js at /uploads
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+const UPLOAD_DIR = path.resolve(process.env.LOCAL_UPLOAD_DIR || path.join(__dirname, '../../uploads'));
+
+async function save(filePath, buffer) {
+    const fullPath = path.join(UPLOAD_DIR, filePath);
+    await fs.mkdir(path.dirname(fullPath), { recursive: true });
+    await fs.writeFile(fullPath, buffer);
+
+    const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+    return `${baseUrl}/uploads/${filePath}`;
+}
+
+async function remove(filePath) {
+    await fs.rm(path.join(UPLOAD_DIR, filePath), { force: true });
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    save,
+    remove
+};
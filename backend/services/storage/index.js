@@ -0,0 +1,29 @@
+/**
+ * Photo Storage
+ * Selects the storage adapter from STORAGE_DRIVER:
+ * - supabase (default): Supabase Storage bucket
+ * - local: files on disk served from /uploads (development)
+ *
+ * Adapters expose:
+ * - save(path, buffer, contentType) -> Promise<string> public URL
+ * - remove(path) -> Promise<void>
+ */
+
+const driver = process.env.STORAGE_DRIVER || 'supabase';
+
+let storage;
+switch (driver) {
+    case 'local':
+        storage = require('./diskStorage');
+        break;
+    case 'supabase':
+        storage = require('./supabaseStorage');
+        break;
+    default:
+        throw new Error(`Unknown STORAGE_DRIVER: ${driver}`);
+}
+
+module.exports = {
+    driver,
+    ...storage
+};
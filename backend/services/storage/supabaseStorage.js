@@ -0,0 +1,34 @@
+/**
+ * Supabase Storage adapter
+ * The bucket must exist and be public
+ */
+
+const { supabase } = require('../../config/supabase');
+
+const BUCKET = process.env.SUPABASE_STORAGE_BUCKET || 'gfc-photos';
+
+async function save(path, buffer, contentType) {
+    const { error } = await supabase.storage
+        .from(BUCKET)
+        .upload(path, buffer, { contentType, upsert: false });
+
+    if (error) {
+        throw error;
+    }
+
+    const { data } = supabase.storage.from(BUCKET).getPublicUrl(path);
+    return data.publicUrl;
+}
+
+async function remove(path) {
+    const { error } = await supabase.storage.from(BUCKET).remove([path]);
+
+    if (error) {
+        throw error;
+    }
+}
+
+module.exports = {
+    save,
+    remove
+};
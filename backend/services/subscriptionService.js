@@ -0,0 +1,603 @@
+/**
+ * Subscription Service
+ * Household plans with recurring pickups at the resident's home_location,
+ * billed by Mobile Money once per billing period.
+ *
+ *   pending_payment -> active <-> paused
+ *                        |  ^
+ *                        v  |  (payment)
+ *                     past_due -> suspended
+ *   any -> cancelled
+ *
+ * Renewals are requested SUBSCRIPTION_BILLING_LEAD_DAYS before the paid period
+ * ends. An unpaid subscription keeps its pickups for SUBSCRIPTION_GRACE_DAYS
+ * (past_due) and is then suspended until the resident pays.
+ */
+
+const { supabase } = require('../config/supabase');
+const { notify } = require('./notificationService');
+const HttpError = require('../utils/httpError');
+const { SYSTEM_ACTOR, changeReportStatus } = require('./reportStatusService');
+const { dispatchReport, cancelOpenOffers } = require('./dispatchService');
+const { findOpenPayment, requestPayment } = require('./paymentRequestService');
+
+const GRACE_DAYS = parseFloat(process.env.SUBSCRIPTION_GRACE_DAYS || 3);
+const BILLING_LEAD_DAYS = parseFloat(process.env.SUBSCRIPTION_BILLING_LEAD_DAYS || 2);
+const BILLING_RETRY_HOURS = parseFloat(process.env.SUBSCRIPTION_BILLING_RETRY_HOURS || 24);
+const BATCH_SIZE = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Statuses in which pickups are generated
+const SERVICED_STATUSES = ['active', 'past_due'];
+
+const SUBSCRIPTION_SELECT = `
+    *,
+    plan:subscription_plans (*),
+    resident:users!subscriptions_resident_id_fkey (
+        id,
+        full_name,
+        phone_number,
+        email,
+        area,
+        home_location
+    )
+`;
+
+/**
+ * Calendar date (YYYY-MM-DD) a number of days from a date
+ */
+function dateOnly(date, addDays = 0) {
+    return new Date(new Date(date).getTime() + addDays * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Move a subscription on if nobody changed its status since we read it
+ * @returns {Promise<Object|null>} the updated subscription, or null if the change was lost
+ */
+async function updateSubscription(subscription, changes) {
+    const { data: updated, error } = await supabase
+        .from('subscriptions')
+        .update({
+            ...changes,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', subscription.id)
+        .eq('status', subscription.status)
+        .select();
+
+    if (error) {
+        throw error;
+    }
+
+    return updated && updated.length > 0 ? updated[0] : null;
+}
+
+/**
+ * Like updateSubscription, for requests made by the resident
+ * @throws {HttpError} 409 when the subscription changed meanwhile
+ */
+async function updateSubscriptionOrConflict(subscription, changes) {
+    const updated = await updateSubscription(subscription, changes);
+
+    if (!updated) {
+        throw new HttpError(409, 'Subscription was changed meanwhile. Please refresh and try again.');
+    }
+
+    return updated;
+}
+
+/**
+ * Cancel scheduled pickups no collector has taken yet
+ */
+async function cancelUpcomingPickups(subscriptionId, reason) {
+    const { data: reports, error } = await supabase
+        .from('garbage_reports')
+        .select('id')
+        .eq('subscription_id', subscriptionId)
+        .eq('status', 'pending');
+
+    if (error) {
+        throw error;
+    }
+
+    for (const report of reports) {
+        await changeReportStatus({
+            report: report.id,
+            toStatus: 'cancelled',
+            actor: SYSTEM_ACTOR,
+            reason
+        });
+        await cancelOpenOffers(report.id);
+    }
+}
+
+/**
+ * SMS the subscribing resident; {name} is filled in
+ */
+function notifyResident(subscription, template, params = {}) {
+    const { resident } = subscription;
+    return notify(resident.phone_number, template, { name: resident.full_name, ...params }, { userId: resident.id });
+}
+
+/**
+ * Active plans residents can subscribe to, cheapest first
+ */
+async function listPlans() {
+    const { data, error } = await supabase
+        .from('subscription_plans')
+        .select('*')
+        .eq('is_active', true)
+        .order('price', { ascending: true });
+
+    if (error) {
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * Subscriptions of a resident, newest first
+ */
+async function listResidentSubscriptions(residentId) {
+    const { data, error } = await supabase
+        .from('subscriptions')
+        .select('*, plan:subscription_plans (*)')
+        .eq('resident_id', residentId)
+        .order('created_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    return data;
+}
+
+/**
+ * A resident's own subscription
+ * @throws {HttpError} 404 when it does not exist or belongs to someone else
+ */
+async function findResidentSubscription(subscriptionId, residentId) {
+    const { data: subscription } = await supabase
+        .from('subscriptions')
+        .select(SUBSCRIPTION_SELECT)
+        .eq('id', subscriptionId)
+        .eq('resident_id', residentId)
+        .maybeSingle();
+
+    if (!subscription) {
+        throw new HttpError(404, 'Subscription not found');
+    }
+
+    return subscription;
+}
+
+/**
+ * Start a subscription; it becomes active once the first payment succeeds
+ * @param {Object} resident - Subscribing resident (req.user)
+ * @param {Object} details - { plan_id, phone_number, address_description }
+ * @returns {Promise<Object>} the subscription in pending_payment
+ */
+async function subscribe(resident, { plan_id, phone_number, address_description }) {
+    const { data: plan } = await supabase
+        .from('subscription_plans')
+        .select('*')
+        .eq('id', plan_id)
+        .eq('is_active', true)
+        .maybeSingle();
+
+    if (!plan) {
+        throw new HttpError(404, 'Plan not found');
+    }
+
+    const { data: inserted, error } = await supabase
+        .from('subscriptions')
+        .insert([{
+            resident_id: resident.id,
+            plan_id: plan.id,
+            status: 'pending_payment',
+            phone_number,
+            address_description: address_description || null
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            throw new HttpError(409, 'You already have a subscription. Cancel it before choosing another plan.');
+        }
+        throw error;
+    }
+
+    console.log(`🔁 Subscription ${inserted.id} created on plan ${plan.code}`);
+
+    return findResidentSubscription(inserted.id, resident.id);
+}
+
+/**
+ * Ask the resident to pay for the next billing period
+ * An open payment is returned instead of prompting again.
+ * @param {Object} subscription - Subscription with plan and resident
+ * @param {string} [phoneNumber] - Number to prompt, defaults to the subscription's
+ * @returns {Promise<{payment: Object, reused: boolean}>}
+ */
+async function billSubscription(subscription, phoneNumber = subscription.phone_number) {
+    if (subscription.status === 'cancelled') {
+        throw new HttpError(409, 'Subscription is cancelled');
+    }
+
+    const openPayment = await findOpenPayment({ subscriptionId: subscription.id });
+    if (openPayment && openPayment.provider_reference) {
+        return { payment: openPayment, reused: true };
+    }
+
+    const payment = await requestPayment({
+        resident: subscription.resident,
+        phoneNumber,
+        amount: Number(subscription.plan.price),
+        subscriptionId: subscription.id,
+        description: `GFC ${subscription.plan.name} subscription`
+    });
+
+    await supabase
+        .from('subscriptions')
+        .update({ last_billed_at: new Date().toISOString() })
+        .eq('id', subscription.id);
+
+    return { payment, reused: false };
+}
+
+/**
+ * Pause pickups and billing; paid time is kept for when the resident resumes
+ */
+async function pauseSubscription(subscription) {
+    if (subscription.status !== 'active') {
+        throw new HttpError(409, `Only active subscriptions can be paused (this one is ${subscription.status})`);
+    }
+
+    return updateSubscriptionOrConflict(subscription, {
+        status: 'paused',
+        paused_at: new Date().toISOString()
+    });
+}
+
+/**
+ * Resume a paused subscription, extending the paid period by the time it was paused
+ */
+async function resumeSubscription(subscription) {
+    if (subscription.status !== 'paused') {
+        throw new HttpError(409, 'Subscription is not paused');
+    }
+
+    const pausedFor = Date.now() - new Date(subscription.paused_at).getTime();
+    const today = dateOnly(Date.now());
+
+    return updateSubscriptionOrConflict(subscription, {
+        status: 'active',
+        paused_at: null,
+        current_period_end: new Date(new Date(subscription.current_period_end).getTime() + pausedFor).toISOString(),
+        next_pickup_on: subscription.next_pickup_on && subscription.next_pickup_on > today
+            ? subscription.next_pickup_on
+            : today
+    });
+}
+
+/**
+ * Stop a subscription for good
+ * Pickups no collector has taken yet are cancelled. The rest of the paid period is not refunded.
+ */
+async function cancelSubscription(subscription, reason) {
+    if (subscription.status === 'cancelled') {
+        throw new HttpError(409, 'Subscription is already cancelled');
+    }
+
+    const cancelled = await updateSubscriptionOrConflict(subscription, {
+        status: 'cancelled',
+        cancelled_at: new Date().toISOString(),
+        cancellation_reason: reason || null,
+        next_pickup_on: null
+    });
+
+    await cancelUpcomingPickups(subscription.id, 'Subscription cancelled');
+
+    console.log(`🛑 Subscription ${subscription.id} cancelled`);
+
+    return cancelled;
+}
+
+/**
+ * Extend a subscription by one billing period after a successful payment
+ * Renewals continue from the end of the paid period; a new or suspended
+ * subscription starts today with a pickup scheduled straight away.
+ * @param {Object} payment - Successful subscription payment
+ * @returns {Promise<Object|null>} the updated subscription, or null if it was cancelled
+ */
+async function applySubscriptionPayment(payment) {
+    // Retry if a pause or the scheduler changes the subscription at the same moment
+    for (let attempt = 0; attempt < 3; attempt++) {
+        const { data: subscription, error } = await supabase
+            .from('subscriptions')
+            .select('*, plan:subscription_plans (*)')
+            .eq('id', payment.subscription_id)
+            .single();
+
+        if (error) {
+            throw error;
+        }
+
+        if (subscription.status === 'cancelled') {
+            console.warn(`⚠️ Payment ${payment.id} received for cancelled subscription ${subscription.id}`);
+            return null;
+        }
+
+        const renewing = ['active', 'past_due', 'paused'].includes(subscription.status) && subscription.current_period_end;
+        const periodStart = renewing ? new Date(subscription.current_period_end) : new Date();
+        const periodEnd = new Date(periodStart.getTime() + subscription.plan.billing_period_days * DAY_MS);
+
+        const updated = await updateSubscription(subscription, {
+            status: subscription.status === 'paused' ? 'paused' : 'active',
+            current_period_end: periodEnd.toISOString(),
+            grace_until: null,
+            next_pickup_on: subscription.next_pickup_on || dateOnly(Date.now())
+        });
+
+        if (updated) {
+            console.log(`✅ Subscription ${subscription.id} paid until ${periodEnd.toISOString()}`);
+            return updated;
+        }
+    }
+
+    throw new Error(`Could not apply payment ${payment.id} to subscription ${payment.subscription_id}`);
+}
+
+/**
+ * Take back the billing period a reversed payment paid for
+ * If that leaves the subscription unpaid it is suspended straight away.
+ * @param {Object} payment - Subscription payment, already marked reversed
+ */
+async function handleSubscriptionReversal(payment) {
+    const { data: subscription } = await supabase
+        .from('subscriptions')
+        .select(SUBSCRIPTION_SELECT)
+        .eq('id', payment.subscription_id)
+        .single();
+
+    if (!subscription || subscription.status === 'cancelled' || !subscription.current_period_end) {
+        return;
+    }
+
+    const periodEnd = new Date(new Date(subscription.current_period_end).getTime() - subscription.plan.billing_period_days * DAY_MS);
+    const unpaid = periodEnd <= new Date() && SERVICED_STATUSES.includes(subscription.status);
+
+    const updated = await updateSubscription(subscription, {
+        current_period_end: periodEnd.toISOString(),
+        ...(unpaid && { status: 'suspended', grace_until: null })
+    });
+
+    if (updated && unpaid) {
+        await cancelUpcomingPickups(subscription.id, 'Subscription payment reversed');
+    }
+
+    console.log(`↩️ Subscription ${subscription.id} payment reversed${unpaid ? ' - suspended' : ''}`);
+
+    await notifyResident(subscription, unpaid ? 'subscription_payment_reversed_suspended' : 'subscription_payment_reversed', {
+        amount: Number(payment.amount).toLocaleString()
+    });
+}
+
+// ============================================
+// SCHEDULER
+// ============================================
+
+/**
+ * Create today's pickup reports for subscriptions that are due
+ * A pickup is skipped (and the schedule moves on) while the previous one is still open.
+ * @returns {Promise<number>} subscriptions processed
+ */
+async function generateDuePickups() {
+    const today = dateOnly(Date.now());
+
+    const { data: subscriptions, error } = await supabase
+        .from('subscriptions')
+        .select(SUBSCRIPTION_SELECT)
+        .in('status', SERVICED_STATUSES)
+        .lte('next_pickup_on', today)
+        .order('next_pickup_on', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        throw error;
+    }
+
+    for (const subscription of subscriptions) {
+        try {
+            const { plan, resident } = subscription;
+
+            const { data: openPickups } = await supabase
+                .from('garbage_reports')
+                .select('id')
+                .eq('subscription_id', subscription.id)
+                .in('status', ['pending', 'assigned', 'in_progress'])
+                .limit(1);
+
+            let report = null;
+
+            if (openPickups && openPickups.length > 0) {
+                console.log(`⏭️ Subscription ${subscription.id}: previous pickup still open, skipping ${subscription.next_pickup_on}`);
+            } else {
+                const { data: inserted, error: insertError } = await supabase
+                    .from('garbage_reports')
+                    .insert([{
+                        resident_id: resident.id,
+                        subscription_id: subscription.id,
+                        scheduled_for: subscription.next_pickup_on,
+                        location: resident.home_location, // returned by PostgREST as EWKB, accepted back as is
+                        address_description: subscription.address_description || 'Scheduled household pickup',
+                        garbage_type: 'mixed',
+                        estimated_volume: plan.estimated_volume,
+                        division: resident.area || null,
+                        status: 'pending',
+                        payment_required: false,
+                        // Share of the plan price this pickup stands for
+                        payment_amount: Math.round(plan.price * plan.pickup_interval_days / plan.billing_period_days),
+                        reported_at: new Date().toISOString()
+                    }])
+                    .select()
+                    .single();
+
+                // 23505: already generated by an earlier run that did not advance the schedule
+                if (insertError && insertError.code !== '23505') {
+                    throw insertError;
+                }
+
+                report = inserted;
+            }
+
+            // Next pickup counted from the scheduled day, never in the past
+            let nextPickupOn = dateOnly(subscription.next_pickup_on, plan.pickup_interval_days);
+            while (nextPickupOn <= today) {
+                nextPickupOn = dateOnly(nextPickupOn, plan.pickup_interval_days);
+            }
+
+            await supabase
+                .from('subscriptions')
+                .update({ next_pickup_on: nextPickupOn })
+                .eq('id', subscription.id)
+                .eq('next_pickup_on', subscription.next_pickup_on);
+
+            if (report) {
+                console.log(`📅 Subscription pickup ${report.id} created for ${subscription.next_pickup_on}`);
+
+                await notifyResident(subscription, 'subscription_pickup_today', { frequency: plan.frequency });
+
+                dispatchReport(report.id).catch(dispatchError => {
+                    console.error('❌ Dispatch error:', dispatchError);
+                });
+            }
+        } catch (pickupError) {
+            console.error(`❌ Failed to schedule pickup for subscription ${subscription.id}:`, pickupError);
+        }
+    }
+
+    return subscriptions.length;
+}
+
+/**
+ * Prompt residents whose paid period is about to end (or has ended) to pay
+ * Each subscription is prompted at most once every SUBSCRIPTION_BILLING_RETRY_HOURS.
+ * @returns {Promise<number>} subscriptions processed
+ */
+async function billDueSubscriptions() {
+    const dueBefore = new Date(Date.now() + BILLING_LEAD_DAYS * DAY_MS).toISOString();
+    const lastBilledBefore = new Date(Date.now() - BILLING_RETRY_HOURS * 60 * 60 * 1000).toISOString();
+
+    const { data: subscriptions, error } = await supabase
+        .from('subscriptions')
+        .select(SUBSCRIPTION_SELECT)
+        .in('status', SERVICED_STATUSES)
+        .lte('current_period_end', dueBefore)
+        .or(`last_billed_at.is.null,last_billed_at.lt.${lastBilledBefore}`)
+        .order('current_period_end', { ascending: true })
+        .limit(BATCH_SIZE);
+
+    if (error) {
+        throw error;
+    }
+
+    for (const subscription of subscriptions) {
+        try {
+            const { payment, reused } = await billSubscription(subscription);
+            if (reused) {
+                continue;
+            }
+
+            const { plan } = subscription;
+
+            await notifyResident(subscription, payment.redirect_url ? 'subscription_renewal_due_link' : 'subscription_renewal_due', {
+                frequency: plan.frequency,
+                amount: Number(plan.price).toLocaleString(),
+                due_on: dateOnly(subscription.current_period_end),
+                url: payment.redirect_url
+            });
+
+            console.log(`🧾 Renewal requested for subscription ${subscription.id}`);
+        } catch (billingError) {
+            console.error(`❌ Failed to bill subscription ${subscription.id}:`, billingError.response?.data || billingError);
+        }
+    }
+
+    return subscriptions.length;
+}
+
+/**
+ * Move unpaid subscriptions to past_due, and suspend them once the grace period ends
+ */
+async function enforceBillingGrace() {
+    const now = new Date();
+
+    const { data: lapsed, error: lapsedError } = await supabase
+        .from('subscriptions')
+        .select(SUBSCRIPTION_SELECT)
+        .eq('status', 'active')
+        .lt('current_period_end', now.toISOString())
+        .limit(BATCH_SIZE);
+
+    if (lapsedError) {
+        throw lapsedError;
+    }
+
+    for (const subscription of lapsed) {
+        const graceUntil = new Date(new Date(subscription.current_period_end).getTime() + GRACE_DAYS * DAY_MS);
+
+        const updated = await updateSubscription(subscription, {
+            status: 'past_due',
+            grace_until: graceUntil.toISOString()
+        });
+
+        if (updated) {
+            console.log(`⏳ Subscription ${subscription.id} past due`);
+            await notifyResident(subscription, 'subscription_past_due', { pay_by: dateOnly(graceUntil) });
+        }
+    }
+
+    const { data: expired, error: expiredError } = await supabase
+        .from('subscriptions')
+        .select(SUBSCRIPTION_SELECT)
+        .eq('status', 'past_due')
+        .lt('grace_until', now.toISOString())
+        .limit(BATCH_SIZE);
+
+    if (expiredError) {
+        throw expiredError;
+    }
+
+    for (const subscription of expired) {
+        const updated = await updateSubscription(subscription, { status: 'suspended' });
+
+        if (updated) {
+            await cancelUpcomingPickups(subscription.id, 'Subscription suspended for non-payment');
+
+            console.log(`⛔ Subscription ${subscription.id} suspended`);
+            await notifyResident(subscription, 'subscription_suspended');
+        }
+    }
+
+    return lapsed.length + expired.length;
+}
+
+module.exports = {
+    listPlans,
+    listResidentSubscriptions,
+    findResidentSubscription,
+    subscribe,
+    billSubscription,
+    pauseSubscription,
+    resumeSubscription,
+    cancelSubscription,
+    applySubscriptionPayment,
+    handleSubscriptionReversal,
+    generateDuePickups,
+    billDueSubscriptions,
+    enforceBillingGrace
+};
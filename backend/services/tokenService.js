@@ -0,0 +1,226 @@
+/**
+ * Token Service
+ * Short-lived access tokens, rotating refresh tokens and device sessions
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS || 30);
+
+/**
+ * Refresh tokens are stored as SHA-256 hashes only
+ */
+function hashToken(rawToken) {
+    return crypto.createHash('sha256').update(rawToken).digest('hex');
+}
+
+/**
+ * Sign an access token bound to a session
+ */
+function signAccessToken(user, sessionId) {
+    return jwt.sign(
+        { userId: user.id, userType: user.user_type, sid: sessionId },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_EXPIRES_IN }
+    );
+}
+
+/**
+ * Create and store a new refresh token for a session
+ */
+async function issueRefreshToken(sessionId) {
+    const rawToken = crypto.randomBytes(48).toString('base64url');
+    const expiresAt = new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+
+    const { error } = await supabase
+        .from('refresh_tokens')
+        .insert([{
+            session_id: sessionId,
+            token_hash: hashToken(rawToken),
+            expires_at: expiresAt.toISOString()
+        }]);
+
+    if (error) {
+        throw error;
+    }
+
+    return rawToken;
+}
+
+/**
+ * Build the token bundle returned to the app
+ */
+async function buildTokens(user, sessionId) {
+    const token = signAccessToken(user, sessionId);
+    const refreshToken = await issueRefreshToken(sessionId);
+    const { exp, iat } = jwt.decode(token);
+
+    return {
+        token,
+        refresh_token: refreshToken,
+        expires_in: exp - iat
+    };
+}
+
+/**
+ * Start a new session for a verified user (one per device login)
+ * @param {Object} user - users row
+ * @param {Object} req - Express request, used for device details
+ */
+async function createSession(user, req) {
+    const { data: session, error } = await supabase
+        .from('user_sessions')
+        .insert([{
+            user_id: user.id,
+            device_name: req.body?.device_name || null,
+            user_agent: req.headers['user-agent'] || null,
+            ip_address: req.ip || null,
+            last_used_at: new Date().toISOString()
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    return buildTokens(user, session.id);
+}
+
+/**
+ * Revoke a single session
+ */
+async function revokeSession(sessionId, reason) {
+    const { error } = await supabase
+        .from('user_sessions')
+        .update({
+            revoked_at: new Date().toISOString(),
+            revoked_reason: reason
+        })
+        .eq('id', sessionId)
+        .is('revoked_at', null);
+
+    if (error) {
+        throw error;
+    }
+}
+
+/**
+ * Revoke every active session of a user ("log out all devices")
+ */
+async function revokeAllSessions(userId, reason) {
+    const { data, error } = await supabase
+        .from('user_sessions')
+        .update({
+            revoked_at: new Date().toISOString(),
+            revoked_reason: reason
+        })
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .select('id');
+
+    if (error) {
+        throw error;
+    }
+
+    return data.length;
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair
+ * A refresh token can only be used once; presenting a used token
+ * is treated as theft and revokes the whole session.
+ * @param {string} rawToken - Refresh token from the app
+ */
+async function rotateRefreshToken(rawToken) {
+    const { data: stored, error } = await supabase
+        .from('refresh_tokens')
+        .select('*, session:user_sessions(*)')
+        .eq('token_hash', hashToken(rawToken))
+        .maybeSingle();
+
+    if (error) {
+        throw error;
+    }
+
+    if (!stored || !stored.session) {
+        throw new HttpError(401, 'Invalid refresh token');
+    }
+
+    if (stored.session.revoked_at) {
+        throw new HttpError(401, 'Session has been revoked. Please log in again.');
+    }
+
+    if (stored.used_at) {
+        await revokeSession(stored.session_id, 'refresh_token_reuse');
+        throw new HttpError(401, 'Refresh token already used. Please log in again.');
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+        throw new HttpError(401, 'Refresh token expired. Please log in again.');
+    }
+
+    // Mark as used; guards against two concurrent refreshes with the same token
+    const { data: claimed } = await supabase
+        .from('refresh_tokens')
+        .update({ used_at: new Date().toISOString() })
+        .eq('id', stored.id)
+        .is('used_at', null)
+        .select('id');
+
+    if (!claimed || claimed.length === 0) {
+        await revokeSession(stored.session_id, 'refresh_token_reuse');
+        throw new HttpError(401, 'Refresh token already used. Please log in again.');
+    }
+
+    const { data: user } = await supabase
+        .from('users')
+        .select('*')
+        .eq('id', stored.session.user_id)
+        .single();
+
+    if (!user || !user.is_active) {
+        await revokeSession(stored.session_id, 'account_deactivated');
+        throw new HttpError(403, 'Account is deactivated');
+    }
+
+    await supabase
+        .from('user_sessions')
+        .update({ last_used_at: new Date().toISOString() })
+        .eq('id', stored.session_id);
+
+    return {
+        user,
+        tokens: await buildTokens(user, stored.session_id)
+    };
+}
+
+/**
+ * List a user's active sessions
+ */
+async function listSessions(userId) {
+    const { data, error } = await supabase
+        .from('user_sessions')
+        .select('id, device_name, user_agent, ip_address, created_at, last_used_at')
+        .eq('user_id', userId)
+        .is('revoked_at', null)
+        .order('last_used_at', { ascending: false });
+
+    if (error) {
+        throw error;
+    }
+
+    return data;
+}
+
+module.exports = {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions
+};
@@ -0,0 +1,150 @@
+/**
+ * Tracking Service
+ * Collector positions: keeps every one in the location history, stores the
+ * latest on the collector and publishes it live to supervisors of the
+ * collector's division and to residents whose report the collector is on
+ * the way to, with an estimated arrival time.
+ */
+
+const { supabase } = require('../config/supabase');
+const realtime = require('./realtime');
+const { recordLocations } = require('./locationHistoryService');
+const { AVERAGE_SPEED_KMH, ROAD_DISTANCE_FACTOR } = require('./routeOptimizer');
+const { haversineDistance, parsePoint } = require('../utils/geo');
+
+/**
+ * Distance and ETA from a collector's position to a report
+ * Estimated like route planning ETAs; only given while the collector is on
+ * the way (assigned).
+ * @param {{latitude: number, longitude: number}|null} position
+ * @param {Object} report - Report with location and status
+ * @returns {{distance_meters: number|null, eta_minutes: number|null}}
+ */
+function estimateArrival(position, report) {
+    const reportLocation = parsePoint(report.location);
+
+    if (!position || !reportLocation) {
+        return { distance_meters: null, eta_minutes: null };
+    }
+
+    const distance = haversineDistance(position, reportLocation);
+
+    return {
+        distance_meters: Math.round(distance),
+        eta_minutes: report.status === 'assigned'
+            ? Math.ceil((distance * ROAD_DISTANCE_FACTOR / 1000) / AVERAGE_SPEED_KMH * 60)
+            : null
+    };
+}
+
+/**
+ * Make a position the collector's current one and publish it
+ * A position older than the stored one (e.g. from a late offline batch) is ignored.
+ * @returns {Promise<boolean>} whether the current location changed
+ */
+async function setCurrentLocation(collector, { latitude, longitude, recorded_at }) {
+    const recordedAt = new Date(recorded_at).toISOString();
+
+    const { data: updated, error } = await supabase
+        .from('users')
+        .update({
+            current_location: `POINT(${longitude} ${latitude})`,
+            location_updated_at: recordedAt,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', collector.id)
+        .or(`location_updated_at.is.null,location_updated_at.lt."${recordedAt}"`)
+        .select('id');
+
+    if (error) {
+        throw error;
+    }
+
+    if (!updated || updated.length === 0) {
+        return false;
+    }
+
+    const position = {
+        collector_id: collector.id,
+        full_name: collector.full_name,
+        latitude,
+        longitude,
+        recorded_at: recordedAt
+    };
+
+    if (collector.area) {
+        realtime.publish(realtime.divisionChannel(collector.area), 'collector_location', position);
+    }
+    realtime.publish(realtime.ALL_COLLECTORS_CHANNEL, 'collector_location', position);
+
+    await publishToActiveReports(collector, position).catch(publishError => {
+        console.error(`❌ Failed to publish location of collector ${collector.id}:`, publishError);
+    });
+
+    return true;
+}
+
+/**
+ * Store a collector's live position in the history and publish it
+ * @param {Object} collector - Collector (req.user)
+ * @param {{latitude: number, longitude: number}} position
+ * @returns {Promise<string>} recorded_at
+ */
+async function updateCollectorLocation(collector, { latitude, longitude }) {
+    const point = { latitude, longitude, recorded_at: new Date().toISOString() };
+
+    await recordLocations(collector, [point]);
+    await setCurrentLocation(collector, point);
+
+    return point.recorded_at;
+}
+
+/**
+ * Store a batch of buffered positions; the newest becomes the current location
+ * @param {Object} collector - Collector (req.user)
+ * @param {Array} points - See recordLocations
+ * @returns {Promise<{accepted: number, skipped: number, current_location_updated: boolean}>}
+ */
+async function uploadCollectorLocations(collector, points) {
+    const { accepted, skipped, latest } = await recordLocations(collector, points);
+    const currentLocationUpdated = latest ? await setCurrentLocation(collector, latest) : false;
+
+    return { accepted, skipped, current_location_updated: currentLocationUpdated };
+}
+
+/**
+ * Send the position to residents following the collector's open jobs
+ */
+async function publishToActiveReports(collector, position) {
+    const { data: reports, error } = await supabase
+        .from('garbage_reports')
+        .select('id, status, location')
+        .eq('assigned_collector_id', collector.id)
+        .in('status', ['assigned', 'in_progress']);
+
+    if (error) {
+        throw error;
+    }
+
+    for (const report of reports) {
+        const channel = realtime.reportChannel(report.id);
+        if (!realtime.hasSubscribers(channel)) {
+            continue;
+        }
+
+        realtime.publish(channel, 'collector_location', {
+            report_id: report.id,
+            collector_id: collector.id,
+            latitude: position.latitude,
+            longitude: position.longitude,
+            recorded_at: position.recorded_at,
+            ...estimateArrival(position, report)
+        });
+    }
+}
+
+module.exports = {
+    estimateArrival,
+    updateCollectorLocation,
+    uploadCollectorLocations
+};
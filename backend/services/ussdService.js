@@ -0,0 +1,448 @@
+/**
+ * USSD Service
+ * Menus for residents on feature phones, served through the Africa's Talking
+ * USSD callback. Each session is a small state machine stored in ussd_sessions:
+ *
+ *   register_name -> register_division -> main
+ *   main -> report_type -> report_volume -> report_landmark -> report_confirm
+ *   main -> pay_select
+ *   main -> (my reports)
+ *
+ * Africa's Talking sends the whole session input so far as text ("1*2*3");
+ * inputs already handled are skipped, so a repeated request re-shows the same menu.
+ * Replies start with "CON" (wait for input) or "END" (close the session).
+ *
+ * The phone number comes from the mobile network, so residents registering
+ * here need no SMS code. Reports are made at the resident's home_location;
+ * residents registered here get their division's centre as home location.
+ */
+
+const { supabase } = require('../config/supabase');
+const HttpError = require('../utils/httpError');
+const { KAMPALA_DIVISIONS } = require('../utils/divisions');
+const { registerSchema, saveRegistration } = require('./registrationService');
+const { createReport, reportStatusLabel } = require('./reportService');
+const { quoteCollectionFee } = require('./pricingService');
+const { payForReport } = require('./paymentRequestService');
+const { notify } = require('./notificationService');
+
+const GARBAGE_TYPES = [
+    { value: 'mixed', label: 'Mixed' },
+    { value: 'plastic', label: 'Plastic' },
+    { value: 'organic', label: 'Organic (food, garden)' },
+    { value: 'electronic', label: 'Electronic' },
+    { value: 'hazardous', label: 'Hazardous' }
+];
+
+const VOLUMES = [
+    { value: 'small', label: 'Small (a few bags)' },
+    { value: 'medium', label: 'Medium (a wheelbarrow)' },
+    { value: 'large', label: 'Large (a truck load)' }
+];
+
+const RECENT_REPORTS = 3;
+const UNPAID_REPORTS = 5;
+
+/**
+ * Numbered menu text
+ */
+function menu(title, options) {
+    return [title, ...options.map((option, index) => `${index + 1}. ${option}`)].join('\n');
+}
+
+/**
+ * Option chosen by number, or null for anything else
+ */
+function choose(input, options) {
+    const index = /^\d+$/.test(input) ? parseInt(input, 10) - 1 : -1;
+    return options[index] || null;
+}
+
+function formatAmount(amount) {
+    return `UGX ${Number(amount).toLocaleString()}`;
+}
+
+function formatDay(timestamp) {
+    return new Date(timestamp).toLocaleDateString('en-GB', { day: 'numeric', month: 'short', timeZone: 'Africa/Kampala' });
+}
+
+function labelOf(options, value) {
+    return options.find(option => option.value === value)?.label.split(' (')[0] || value;
+}
+
+/**
+ * Reports of the resident that still need payment, newest first
+ */
+async function findUnpaidReports(residentId) {
+    const { data: reports, error } = await supabase
+        .from('garbage_reports')
+        .select('id, garbage_type, estimated_volume, payment_amount, reported_at, payments (payment_status)')
+        .eq('resident_id', residentId)
+        .eq('status', 'pending')
+        .eq('payment_required', true)
+        .order('reported_at', { ascending: false })
+        .limit(UNPAID_REPORTS);
+
+    if (error) {
+        throw error;
+    }
+
+    return reports.filter(report => !report.payments.some(p => p.payment_status === 'successful'));
+}
+
+/**
+ * Start a payment and tell the resident how to complete it
+ * Providers without a phone prompt (Pesapal) get the payment link by SMS.
+ */
+async function startPayment(user, report) {
+    const { payment } = await payForReport({ resident: user, report, phoneNumber: user.phone_number });
+    const amount = formatAmount(payment.amount);
+
+    if (payment.redirect_url) {
+        await notify(user.phone_number, 'payment_link', {
+            name: user.full_name,
+            amount: Number(payment.amount).toLocaleString(),
+            url: payment.redirect_url
+        }, { userId: user.id });
+
+        return { end: `We have sent you an SMS with a link to pay ${amount}.` };
+    }
+
+    return { end: `Approve the Mobile Money prompt on your phone to pay ${amount}. We will SMS you when a collector is assigned.` };
+}
+
+/**
+ * Menu states
+ *   prompt(session, user) -> menu text
+ *   handle(input, session, user, request) -> { state, data, user? } | { end } | { error }
+ */
+const STATES = {
+    register_name: {
+        prompt: () => 'Welcome to Garbage Free City (KCCA).\nEnter your full name:',
+        handle: input => {
+            const { error, value } = registerSchema.extract('full_name').validate(input.trim());
+            if (error) {
+                return { error: 'Name must be 2 to 100 characters.' };
+            }
+            return { state: 'register_division', data: { full_name: value } };
+        }
+    },
+
+    register_division: {
+        prompt: () => menu('Select your division:', KAMPALA_DIVISIONS.map(division => division.name)),
+        handle: async (input, session, user, request) => {
+            const division = choose(input, KAMPALA_DIVISIONS);
+            if (!division) {
+                return { error: 'Invalid choice.' };
+            }
+
+            const { error, value } = registerSchema.validate({
+                phone_number: request.phoneNumber,
+                full_name: session.data.full_name,
+                user_type: 'resident',
+                area: division.name,
+                latitude: division.latitude,
+                longitude: division.longitude
+            });
+            if (error) {
+                return { end: error.details[0].message };
+            }
+
+            const resident = await saveRegistration(value, { phoneVerified: true });
+            console.log(`📟 Resident ${resident.id} registered by USSD`);
+
+            await notify(resident.phone_number, 'welcome', { name: resident.full_name }, { userId: resident.id });
+
+            return { state: 'main', data: {}, user: resident };
+        }
+    },
+
+    main: {
+        prompt: (session, user) => menu(
+            `GFC - Hello ${user.full_name.split(' ')[0]}`,
+            ['Report garbage', 'Pay for a report', 'My reports']
+        ),
+        handle: async (input, session, user) => {
+            switch (input) {
+                case '1':
+                    if (!user.home_location) {
+                        return { end: 'We do not have your home location. Please set it in the GFC app or contact KCCA.' };
+                    }
+                    return { state: 'report_type', data: {} };
+
+                case '2': {
+                    const reports = await findUnpaidReports(user.id);
+                    if (reports.length === 0) {
+                        return { end: 'You have no reports waiting for payment.' };
+                    }
+                    return {
+                        state: 'pay_select',
+                        data: {
+                            reports: reports.map(report => ({
+                                id: report.id,
+                                label: `${formatDay(report.reported_at)} ${labelOf(GARBAGE_TYPES, report.garbage_type)} ${formatAmount(report.payment_amount)}`
+                            }))
+                        }
+                    };
+                }
+
+                case '3': {
+                    const { data: reports, error } = await supabase
+                        .from('garbage_reports')
+                        .select('short_code, status, garbage_type, payment_required, reported_at, payments (payment_status)')
+                        .eq('resident_id', user.id)
+                        .order('reported_at', { ascending: false })
+                        .limit(RECENT_REPORTS);
+
+                    if (error) {
+                        throw error;
+                    }
+
+                    if (reports.length === 0) {
+                        return { end: 'You have not reported any garbage yet.' };
+                    }
+
+                    return {
+                        end: ['Your reports:', ...reports.map(report =>
+                            `${report.short_code} ${formatDay(report.reported_at)} ${labelOf(GARBAGE_TYPES, report.garbage_type)}: ${reportStatusLabel(report)}`
+                        )].join('\n')
+                    };
+                }
+
+                default:
+                    return { error: 'Invalid choice.' };
+            }
+        }
+    },
+
+    report_type: {
+        prompt: () => menu('Type of garbage:', GARBAGE_TYPES.map(type => type.label)),
+        handle: (input, session) => {
+            const type = choose(input, GARBAGE_TYPES);
+            if (!type) {
+                return { error: 'Invalid choice.' };
+            }
+            return { state: 'report_volume', data: { ...session.data, garbage_type: type.value } };
+        }
+    },
+
+    report_volume: {
+        prompt: () => menu('How much garbage?', VOLUMES.map(volume => volume.label)),
+        handle: (input, session) => {
+            const volume = choose(input, VOLUMES);
+            if (!volume) {
+                return { error: 'Invalid choice.' };
+            }
+            return { state: 'report_landmark', data: { ...session.data, estimated_volume: volume.value } };
+        }
+    },
+
+    report_landmark: {
+        prompt: () => 'Where exactly is the pile? Name a landmark near your home:',
+        handle: async (input, session, user) => {
+            const landmark = input.trim();
+            if (landmark.length < 3 || landmark.length > 200) {
+                return { error: 'Please enter 3 to 200 characters.' };
+            }
+
+            const quote = await quoteCollectionFee({
+                garbage_type: session.data.garbage_type,
+                estimated_volume: session.data.estimated_volume,
+                division: user.area || null
+            });
+
+            return { state: 'report_confirm', data: { ...session.data, landmark, amount: quote.amount } };
+        }
+    },
+
+    report_confirm: {
+        prompt: session => menu(
+            `${labelOf(GARBAGE_TYPES, session.data.garbage_type)}, ${labelOf(VOLUMES, session.data.estimated_volume).toLowerCase()}\nat ${session.data.landmark}\nFee: ${formatAmount(session.data.amount)}`,
+            ['Report and pay', 'Cancel']
+        ),
+        handle: async (input, session, user) => {
+            if (input === '2') {
+                return { end: 'Report cancelled.' };
+            }
+            if (input !== '1') {
+                return { error: 'Invalid choice.' };
+            }
+
+            const { report } = await createReport(user, {
+                location: user.home_location,
+                address_description: session.data.landmark,
+                garbage_type: session.data.garbage_type,
+                estimated_volume: session.data.estimated_volume
+            });
+
+            console.log(`📟 Report ${report.id} created by USSD`);
+
+            try {
+                return await startPayment(user, report);
+            } catch (paymentError) {
+                console.error('❌ USSD payment error:', paymentError.response?.data || paymentError);
+                return { end: 'Your report is saved but the payment could not start. Dial again and choose "Pay for a report".' };
+            }
+        }
+    },
+
+    pay_select: {
+        prompt: session => menu('Select a report to pay:', session.data.reports.map(report => report.label)),
+        handle: async (input, session, user) => {
+            const choice = choose(input, session.data.reports);
+            if (!choice) {
+                return { error: 'Invalid choice.' };
+            }
+
+            const { data: report } = await supabase
+                .from('garbage_reports')
+                .select('*')
+                .eq('id', choice.id)
+                .eq('resident_id', user.id)
+                .single();
+
+            if (!report) {
+                return { end: 'Report not found.' };
+            }
+
+            return startPayment(user, report);
+        }
+    }
+};
+
+/**
+ * Where a new session starts for this caller, or a closing message
+ */
+function initialState(user) {
+    // No account, or an app registration that was never verified
+    if (!user || (!user.phone_verified_at && !user.is_active)) {
+        return { state: 'register_name' };
+    }
+
+    if (user.user_type !== 'resident') {
+        return { end: 'This service is for residents. Please use the GFC app.' };
+    }
+
+    if (!user.is_active) {
+        return { end: 'Your account is deactivated. Contact KCCA support.' };
+    }
+
+    return { state: 'main' };
+}
+
+async function findUser(phoneNumber) {
+    const { data: user } = await supabase
+        .from('users')
+        .select('id, phone_number, full_name, user_type, area, home_location, is_active, phone_verified_at')
+        .eq('phone_number', phoneNumber)
+        .maybeSingle();
+
+    return user;
+}
+
+/**
+ * Load the session, creating it on the first request
+ */
+async function loadSession({ sessionId, serviceCode, phoneNumber }, state) {
+    const { data: existing } = await supabase
+        .from('ussd_sessions')
+        .select('*')
+        .eq('session_id', sessionId)
+        .maybeSingle();
+
+    if (existing) {
+        return existing;
+    }
+
+    const { data: session, error } = await supabase
+        .from('ussd_sessions')
+        .insert([{
+            session_id: sessionId,
+            phone_number: phoneNumber,
+            service_code: serviceCode,
+            state,
+            data: {},
+            input_count: 0
+        }])
+        .select()
+        .single();
+
+    if (error) {
+        throw error;
+    }
+
+    return session;
+}
+
+/**
+ * Answer one Africa's Talking USSD request
+ * @param {Object} request - Callback fields: sessionId, serviceCode, phoneNumber, text
+ * @returns {Promise<string>} "CON ..." or "END ..."
+ */
+async function handleUssdRequest(request) {
+    if (!/^\+256[0-9]{9}$/.test(request.phoneNumber)) {
+        return 'END Garbage Free City is only available on Ugandan numbers.';
+    }
+
+    let user = await findUser(request.phoneNumber);
+    const start = initialState(user);
+    if (start.end) {
+        return `END ${start.end}`;
+    }
+
+    const session = await loadSession(request, start.state);
+    if (session.ended_at || session.phone_number !== request.phoneNumber) {
+        return 'END Session ended.';
+    }
+
+    const inputs = request.text ? request.text.split('*') : [];
+    let { state, data } = session;
+    let error = null;
+    let end = null;
+
+    try {
+        for (const input of inputs.slice(session.input_count)) {
+            const result = await STATES[state].handle(input, { ...session, data }, user, request);
+
+            if (result.end) {
+                end = result.end;
+                break;
+            }
+
+            error = result.error || null;
+            if (!result.error) {
+                ({ state, data } = result);
+                user = result.user || user;
+            }
+        }
+    } catch (handleError) {
+        if (!(handleError instanceof HttpError)) {
+            console.error(`❌ USSD session ${request.sessionId} error:`, handleError.response?.data || handleError);
+        }
+        end = handleError instanceof HttpError ? handleError.message : 'Sorry, something went wrong. Please try again later.';
+    }
+
+    await supabase
+        .from('ussd_sessions')
+        .update({
+            state,
+            data,
+            user_id: user?.id || null,
+            input_count: inputs.length,
+            ended_at: end ? new Date().toISOString() : null,
+            updated_at: new Date().toISOString()
+        })
+        .eq('id', session.id)
+        .eq('input_count', session.input_count);
+
+    if (end) {
+        return `END ${end}`;
+    }
+
+    const prompt = STATES[state].prompt({ ...session, data }, user);
+    return `CON ${error ? `${error}\n` : ''}${prompt}`;
+}
+
+module.exports = {
+    handleUssdRequest
+};
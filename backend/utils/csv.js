@@ -0,0 +1,42 @@
+/**
+ * CSV Helpers
+ * RFC 4180 output for report exports
+ */
+
+/**
+ * Quote a value for CSV
+ * Text starting with =, +, -, @, tab or carriage return is prefixed with ' so spreadsheets do not run it as a formula.
+ */
+function csvValue(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+
+    let text = value instanceof Date ? value.toISOString() : String(value);
+
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Build a CSV document
+ * @param {Array<{header: string, key: string}>} columns
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+function toCsv(columns, rows) {
+    const lines = [columns.map(column => csvValue(column.header)).join(',')];
+
+    for (const row of rows) {
+        lines.push(columns.map(column => csvValue(row[column.key])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    toCsv
+};
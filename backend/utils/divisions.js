@@ -0,0 +1,17 @@
+/**
+ * Kampala Divisions
+ * The five KCCA divisions (users.area) with their approximate centres, used
+ * as the home location of residents who register without GPS (USSD).
+ */
+
+const KAMPALA_DIVISIONS = [
+    { name: 'Central', latitude: 0.3163, longitude: 32.5822 },
+    { name: 'Kawempe', latitude: 0.3683, longitude: 32.5594 },
+    { name: 'Makindye', latitude: 0.2889, longitude: 32.6014 },
+    { name: 'Nakawa', latitude: 0.3476, longitude: 32.6169 },
+    { name: 'Rubaga', latitude: 0.3050, longitude: 32.5500 }
+];
+
+module.exports = {
+    KAMPALA_DIVISIONS
+};
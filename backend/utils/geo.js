@@ -0,0 +1,81 @@
+/**
+ * Geo Helpers
+ * Distances and point parsing for PostGIS geography values
+ */
+
+const EARTH_RADIUS_METERS = 6371000;
+
+function toRadians(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+/**
+ * Great-circle distance between two points in meters
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ */
+function haversineDistance(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+/**
+ * Read a point from hex-encoded (E)WKB, as PostgREST returns geography columns
+ */
+function parseWkbPoint(hex) {
+    const buffer = Buffer.from(hex, 'hex');
+    const littleEndian = buffer.readUInt8(0) === 1;
+    const readUInt32 = offset => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+    const readDouble = offset => littleEndian ? buffer.readDoubleLE(offset) : buffer.readDoubleBE(offset);
+
+    const type = readUInt32(1);
+    const hasSrid = (type & 0x20000000) !== 0;
+    if ((type & 0xff) !== 1) {
+        return null; // Not a point
+    }
+
+    const offset = hasSrid ? 9 : 5;
+    return {
+        longitude: readDouble(offset),
+        latitude: readDouble(offset + 8)
+    };
+}
+
+/**
+ * Convert a geography value to { latitude, longitude }
+ * Accepts hex EWKB, WKT ('POINT(lng lat)') and GeoJSON points
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function parsePoint(value) {
+    if (!value) {
+        return null;
+    }
+
+    if (typeof value === 'object' && value.type === 'Point' && Array.isArray(value.coordinates)) {
+        return { longitude: value.coordinates[0], latitude: value.coordinates[1] };
+    }
+
+    if (typeof value !== 'string') {
+        return null;
+    }
+
+    const wkt = value.match(/POINT\s*\(\s*(-?[\d.]+)\s+(-?[\d.]+)\s*\)/i);
+    if (wkt) {
+        return { longitude: parseFloat(wkt[1]), latitude: parseFloat(wkt[2]) };
+    }
+
+    if (/^[0-9a-f]+$/i.test(value) && value.length >= 42) {
+        return parseWkbPoint(value);
+    }
+
+    return null;
+}
+
+module.exports = {
+    haversineDistance,
+    parsePoint
+};
@@ -0,0 +1,14 @@
+/**
+ * HTTP Error Helper
+ * Errors thrown from services carry a statusCode that errorHandler understands
+ */
+
+class HttpError extends Error {
+    constructor(statusCode, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.statusCode = statusCode;
+    }
+}
+
+module.exports = HttpError;
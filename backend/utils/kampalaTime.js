@@ -0,0 +1,40 @@
+/**
+ * Kampala Time Helpers
+ * Group timestamps by Kampala calendar day, week or month (EAT, UTC+3, no daylight saving)
+ */
+
+const KAMPALA_OFFSET_MS = 3 * 60 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Start of the day, week (Monday) or month containing a time, in Kampala
+ * @param {Date|string} time
+ * @param {string} [period='day'] - day, week or month
+ * @returns {string} YYYY-MM-DD
+ */
+function kampalaPeriodStart(time, period = 'day') {
+    const local = new Date(new Date(time).getTime() + KAMPALA_OFFSET_MS);
+
+    if (period === 'week') {
+        const daysSinceMonday = (local.getUTCDay() + 6) % 7;
+        local.setTime(local.getTime() - daysSinceMonday * DAY_MS);
+    } else if (period === 'month') {
+        local.setUTCDate(1);
+    }
+
+    return local.toISOString().slice(0, 10);
+}
+
+/**
+ * Midnight in Kampala at the start of the month containing a time
+ * @returns {Date}
+ */
+function startOfKampalaMonth(time) {
+    return new Date(new Date(`${kampalaPeriodStart(time, 'month')}T00:00:00Z`).getTime() - KAMPALA_OFFSET_MS);
+}
+
+module.exports = {
+    DAY_MS,
+    kampalaPeriodStart,
+    startOfKampalaMonth
+};
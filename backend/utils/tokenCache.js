@@ -0,0 +1,45 @@
+/**
+ * Access token cache for provider APIs
+ * Reuses a token until shortly before it expires. Concurrent callers share a
+ * single in-flight refresh instead of each requesting a new token.
+ */
+
+/**
+ * @param {Function} fetchToken - async () => ({ token, expiresAt }) with expiresAt in ms since epoch
+ * @param {Object} [options]
+ * @param {number} [options.refreshMarginMs=60000] - Refresh this long before expiry
+ * @returns {{ getToken: Function, invalidate: Function }}
+ */
+function createTokenCache(fetchToken, { refreshMarginMs = 60 * 1000 } = {}) {
+    let cached = null;
+    let refreshing = null;
+
+    async function getToken() {
+        if (cached && cached.expiresAt - refreshMarginMs > Date.now()) {
+            return cached.token;
+        }
+
+        if (!refreshing) {
+            refreshing = fetchToken()
+                .then(result => {
+                    cached = result;
+                    return result.token;
+                })
+                .finally(() => {
+                    refreshing = null;
+                });
+        }
+
+        return refreshing;
+    }
+
+    function invalidate() {
+        cached = null;
+    }
+
+    return { getToken, invalidate };
+}
+
+module.exports = {
+    createTokenCache
+};
@@ -0,0 +1,118 @@
+/**
+ * GARBAGE FREE CITY (GFC) - PAYMENT WEBHOOK HANDLER
+ * 
+ * This module handles incoming payment notifications from every payment
+ * provider (Pesapal IPN, MTN MoMo and Airtel Money callbacks).
+ * 
+ * Key Features:
+ * - Each provider parses its own notification format
+ * - Status is always re-fetched from the provider, never trusted from the body
+ * - Updates payment status in Supabase
+ * - Sends SMS confirmation via Africa's Talking
+ * - Updates garbage report status when payment is successful
+ * - Dispatches paid reports to the nearest collector
+ */
+
+const express = require('express');
+const { syncPaymentStatus } = require('../services/paymentService');
+const { getProvider } = require('../services/paymentProviders');
+
+/**
+ * Build the webhook handler for one provider
+ * 
+ * Providers retry until they get a 2xx, so we always answer 200 once the
+ * notification is identified; duplicates are ignored by the payment service.
+ */
+function handlePaymentWebhook(providerName) {
+    return async (req, res) => {
+        let provider;
+        try {
+            provider = getProvider(providerName);
+        } catch (error) {
+            return res.status(404).send('Unknown payment provider');
+        }
+
+        const notification = provider.parseWebhook(req);
+
+        console.log(`📥 ${provider.name} notification received:`, notification && {
+            merchantReference: notification.merchantReference,
+            providerReference: notification.providerReference
+        });
+
+        if (!notification) {
+            return res.status(400).send('Invalid notification parameters');
+        }
+
+        try {
+            // Fetch status from the provider, update payment and report, notify resident
+            await syncPaymentStatus(notification.merchantReference, notification.providerReference);
+        } catch (error) {
+            console.error(`❌ ${provider.name} notification processing error:`, error.response?.data || error);
+            // Still acknowledge - the reconciler job re-checks unconfirmed payments
+        }
+
+        if (notification.acknowledgement) {
+            return res.status(200).json(notification.acknowledgement);
+        }
+
+        return res.status(200).send('OK');
+    };
+}
+
+/**
+ * EXPORT ROUTE CONFIGURATION
+ */
+const router = express.Router();
+
+// Pesapal IPN (GET or POST, as chosen when the IPN URL was registered)
+router.get('/pesapal', handlePaymentWebhook('pesapal'));
+router.post('/pesapal', handlePaymentWebhook('pesapal'));
+
+// MTN MoMo request-to-pay callback (X-Callback-Url)
+router.put('/mtn-momo', handlePaymentWebhook('mtn_momo'));
+router.post('/mtn-momo', handlePaymentWebhook('mtn_momo'));
+
+// Airtel Money callback (configured in the Airtel developer portal)
+router.post('/airtel-money', handlePaymentWebhook('airtel_money'));
+
+// Mock provider, for local development (refused in production)
+router.post('/mock', handlePaymentWebhook('mock'));
+
+module.exports = {
+    router,
+    handlePaymentWebhook
+};
+
+/**
+ * ============================================
+ * USAGE EXAMPLE IN YOUR MAIN APP (server.js)
+ * ============================================
+ * 
+ * const paymentWebhook = require('./webhooks/paymentWebhook');
+ * app.use('/webhooks', paymentWebhook.router);
+ * 
+ * ============================================
+ * ENVIRONMENT VARIABLES REQUIRED (.env)
+ * ============================================
+ * 
+ * PAYMENT_PROVIDER=pesapal (or mtn_momo, airtel_money, mock)
+ * plus the credentials of the chosen provider (see .env.example)
+ * 
+ * ============================================
+ * WEBHOOK URLS
+ * ============================================
+ * 
+ * Pesapal:      https://your-domain.com/webhooks/pesapal (register as IPN URL)
+ * MTN MoMo:     https://your-domain.com/webhooks/mtn-momo (MTN_MOMO_CALLBACK_URL)
+ * Airtel Money: https://your-domain.com/webhooks/airtel-money
+ * 
+ * ============================================
+ * TESTING LOCALLY
+ * ============================================
+ * 
+ * 1. Set PAYMENT_PROVIDER=mock and start server: node server.js
+ * 2. Initiate a payment from the app
+ * 3. curl -X POST http://localhost:3000/webhooks/mock \
+ *      -H 'Content-Type: application/json' \
+ *      -d '{"merchant_reference": "GFC-..."}'
+ */
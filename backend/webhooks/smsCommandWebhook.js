@@ -0,0 +1,54 @@
+/**
+ * GARBAGE FREE CITY (GFC) - INBOUND SMS CALLBACK
+ *
+ * Africa's Talking posts every SMS sent to our short code here as a form
+ * with from, to, text, date, id, linkId and networkCode. Commands are run by
+ * services/smsCommandService.js and the reply goes out through the
+ * notification outbox.
+ *
+ * Set the incoming messages callback URL in the Africa's Talking dashboard to
+ * https://your-domain.com/webhooks/africastalking/sms?token=<SMS_CALLBACK_TOKEN>
+ * The token proves the request comes from Africa's Talking: the sender's
+ * phone number is trusted to accept and complete jobs.
+ */
+
+const express = require('express');
+const { requireCallbackToken } = require('../middleware/callbackToken');
+const { handleSmsCommand } = require('../services/smsCommandService');
+const { notify } = require('../services/notificationService');
+
+/**
+ * The message is acknowledged even when the command fails, so Africa's
+ * Talking does not post it again; the sender gets an apology instead.
+ */
+async function handleInboundSms(req, res) {
+    const { from, text, id } = req.body || {};
+
+    if (!from) {
+        return res.status(400).send('Invalid SMS');
+    }
+
+    let reply;
+    let userId = null;
+    try {
+        const result = await handleSmsCommand({ from, text });
+        reply = result.reply;
+        userId = result.user ? result.user.id : null;
+    } catch (error) {
+        console.error(`❌ SMS command error (message ${id}):`, error);
+        reply = 'Sorry, something went wrong. Please try again later.';
+    }
+
+    await notify(from, 'command_reply', { message: reply }, { userId });
+
+    return res.status(200).send('OK');
+}
+
+const router = express.Router();
+
+router.post('/africastalking/sms', requireCallbackToken('SMS_CALLBACK_TOKEN'), handleInboundSms);
+
+module.exports = {
+    router,
+    handleInboundSms
+};
@@ -0,0 +1,43 @@
+/**
+ * GARBAGE FREE CITY (GFC) - SMS DELIVERY REPORT WEBHOOK
+ *
+ * Africa's Talking posts a delivery report for every SMS we send, as a form
+ * with id, status, phoneNumber, networkCode, failureReason and retryCount.
+ * Set the delivery reports callback URL in the Africa's Talking dashboard to
+ * https://your-domain.com/webhooks/africastalking/delivery?token=<SMS_DELIVERY_CALLBACK_TOKEN>
+ * so nobody else can mark our messages delivered or failed.
+ */
+
+const express = require('express');
+const { applyDeliveryReport } = require('../services/notificationService');
+const { requireCallbackToken } = require('../middleware/callbackToken');
+
+/**
+ * Africa's Talking retries until it gets a 2xx, so unknown or duplicate
+ * reports are acknowledged too.
+ */
+async function handleDeliveryReport(req, res) {
+    const { id, status, failureReason } = req.body || {};
+
+    if (!id || !status) {
+        return res.status(400).send('Invalid delivery report');
+    }
+
+    try {
+        await applyDeliveryReport({ id, status, failureReason });
+    } catch (error) {
+        console.error('❌ SMS delivery report processing error:', error);
+        return res.status(500).send('Error');
+    }
+
+    return res.status(200).send('OK');
+}
+
+const router = express.Router();
+
+router.post('/africastalking/delivery', requireCallbackToken('SMS_DELIVERY_CALLBACK_TOKEN'), handleDeliveryReport);
+
+module.exports = {
+    router,
+    handleDeliveryReport
+};
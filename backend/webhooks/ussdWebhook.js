@@ -0,0 +1,44 @@
+/**
+ * GARBAGE FREE CITY (GFC) - USSD CALLBACK
+ *
+ * Africa's Talking posts every step of a USSD session here as a form with
+ * sessionId, serviceCode, phoneNumber, networkCode and text, and shows our
+ * plain-text reply on the phone. Menus are in services/ussdService.js.
+ *
+ * Set the callback URL of the USSD code in the Africa's Talking dashboard to
+ * https://your-domain.com/webhooks/africastalking/ussd?token=<USSD_CALLBACK_TOKEN>
+ * The token proves the request comes from Africa's Talking: the phone number
+ * in the request is trusted to register and report without an SMS code.
+ */
+
+const express = require('express');
+const { requireCallbackToken } = require('../middleware/callbackToken');
+const { handleUssdRequest } = require('../services/ussdService');
+
+async function handleUssdCallback(req, res) {
+    const { sessionId, serviceCode, phoneNumber, text } = req.body || {};
+
+    if (!sessionId || !phoneNumber) {
+        return res.status(400).send('Invalid USSD request');
+    }
+
+    let reply;
+    try {
+        reply = await handleUssdRequest({ sessionId, serviceCode, phoneNumber, text: text || '' });
+    } catch (error) {
+        console.error('❌ USSD callback error:', error);
+        reply = 'END Sorry, something went wrong. Please try again later.';
+    }
+
+    res.set('Content-Type', 'text/plain');
+    return res.status(200).send(reply);
+}
+
+const router = express.Router();
+
+router.post('/africastalking/ussd', requireCallbackToken('USSD_CALLBACK_TOKEN'), handleUssdCallback);
+
+module.exports = {
+    router,
+    handleUssdCallback
+};
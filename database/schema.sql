@@ -1,6 +1,10 @@
 -- =====================================================
 -- Garbage Free City (GFC) - Supabase Database Schema
 -- Smart Waste Management System for Kampala (KCCA)
+--
+-- Safe to re-run: tables and indexes are only created when missing, and the
+-- "Upgrading a database created from the first release" blocks add the
+-- columns and constraints that the original tables did not have
 -- =====================================================
 
 -- Enable PostGIS extension for geographic data
@@ -8,46 +12,180 @@ CREATE EXTENSION IF NOT EXISTS postgis;
 
 -- =====================================================
 -- USERS TABLE
--- Stores both residents and waste collectors
+-- Stores residents, waste collectors and KCCA staff
+-- (supervisors are scoped to the division in `area`; admins see everything)
 -- =====================================================
-CREATE TABLE users (
+CREATE TABLE IF NOT EXISTS users (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     phone_number VARCHAR(15) UNIQUE NOT NULL, -- Uganda format: +256XXXXXXXXX
     full_name VARCHAR(100) NOT NULL,
-    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('resident', 'collector')),
+    user_type VARCHAR(20) NOT NULL CHECK (user_type IN ('resident', 'collector', 'supervisor', 'admin')),
     email VARCHAR(100),
     
     -- Location data using PostGIS geography type
     -- Geography type uses WGS84 (GPS coordinates) by default
     home_location GEOGRAPHY(Point, 4326), -- For residents
     current_location GEOGRAPHY(Point, 4326), -- For collectors (updates in real-time)
+    location_updated_at TIMESTAMP WITH TIME ZONE, -- When current_location was last reported
+    
+    -- Collector availability (see services/shiftService.js)
+    availability_status VARCHAR(20) DEFAULT 'off_duty' CHECK (
+        availability_status IN ('available', 'busy', 'off_duty')
+    ),
+    max_concurrent_assignments INTEGER DEFAULT 3 CHECK (max_concurrent_assignments > 0),
     
     -- Additional fields
     area VARCHAR(100), -- e.g., Nakawa, Kawempe, Rubaga, etc.
     is_active BOOLEAN DEFAULT true,
+    phone_verified_at TIMESTAMP WITH TIME ZONE, -- Set once the registration OTP is confirmed
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     
     -- Index for faster location queries
     CONSTRAINT valid_user_type CHECK (
         (user_type = 'resident' AND home_location IS NOT NULL) OR
-        (user_type = 'collector')
+        (user_type = 'collector') OR
+        (user_type IN ('supervisor', 'admin'))
     )
 );
 
 -- Create spatial index for faster geographic queries
-CREATE INDEX idx_users_home_location ON users USING GIST(home_location);
-CREATE INDEX idx_users_current_location ON users USING GIST(current_location);
-CREATE INDEX idx_users_phone ON users(phone_number);
-CREATE INDEX idx_users_type ON users(user_type);
+CREATE INDEX IF NOT EXISTS idx_users_home_location ON users USING GIST(home_location);
+CREATE INDEX IF NOT EXISTS idx_users_current_location ON users USING GIST(current_location);
+CREATE INDEX IF NOT EXISTS idx_users_phone ON users(phone_number);
+CREATE INDEX IF NOT EXISTS idx_users_type ON users(user_type);
+
+-- Upgrading a database created from the first release
+ALTER TABLE users ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS availability_status VARCHAR(20) DEFAULT 'off_duty';
+ALTER TABLE users ADD COLUMN IF NOT EXISTS max_concurrent_assignments INTEGER DEFAULT 3;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS phone_verified_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_user_type_check;
+ALTER TABLE users ADD CONSTRAINT users_user_type_check
+    CHECK (user_type IN ('resident', 'collector', 'supervisor', 'admin'));
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_availability_status_check;
+ALTER TABLE users ADD CONSTRAINT users_availability_status_check
+    CHECK (availability_status IN ('available', 'busy', 'off_duty'));
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_max_concurrent_assignments_check;
+ALTER TABLE users ADD CONSTRAINT users_max_concurrent_assignments_check
+    CHECK (max_concurrent_assignments > 0);
+ALTER TABLE users DROP CONSTRAINT IF EXISTS valid_user_type;
+ALTER TABLE users ADD CONSTRAINT valid_user_type CHECK (
+    (user_type = 'resident' AND home_location IS NOT NULL) OR
+    (user_type = 'collector') OR
+    (user_type IN ('supervisor', 'admin'))
+);
+
+-- =====================================================
+-- TARIFFS TABLE
+-- Collection fees by garbage type, volume and division
+-- NULL in a key column matches any value; the most specific tariff wins
+-- =====================================================
+CREATE TABLE IF NOT EXISTS tariffs (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    
+    -- What the tariff applies to
+    garbage_type VARCHAR(50) CHECK (
+        garbage_type IN ('mixed', 'plastic', 'organic', 'electronic', 'hazardous')
+    ),
+    estimated_volume VARCHAR(20) CHECK (estimated_volume IN ('small', 'medium', 'large')),
+    division VARCHAR(100), -- Matches users.area of the resident
+    
+    -- Fee
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'UGX',
+    is_active BOOLEAN DEFAULT true,
+    
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- One active tariff per combination
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tariffs_active_key ON tariffs (
+    COALESCE(garbage_type, '*'),
+    COALESCE(estimated_volume, '*'),
+    LOWER(COALESCE(division, '*'))
+) WHERE is_active;
+
+-- =====================================================
+-- SUBSCRIPTION_PLANS TABLE
+-- Recurring household pickups, billed once per billing period
+-- =====================================================
+CREATE TABLE IF NOT EXISTS subscription_plans (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    code VARCHAR(30) UNIQUE NOT NULL, -- e.g. weekly, biweekly, monthly
+    name VARCHAR(100) NOT NULL,
+    
+    -- Pickup schedule
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'biweekly', 'monthly')),
+    pickup_interval_days INTEGER NOT NULL CHECK (pickup_interval_days > 0),
+    estimated_volume VARCHAR(20) DEFAULT 'medium' CHECK (estimated_volume IN ('small', 'medium', 'large')),
+    
+    -- Billing
+    price DECIMAL(10, 2) NOT NULL CHECK (price > 0), -- Per billing period
+    currency VARCHAR(3) DEFAULT 'UGX',
+    billing_period_days INTEGER NOT NULL DEFAULT 30 CHECK (billing_period_days > 0),
+    
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- SUBSCRIPTIONS TABLE
+-- A resident's plan; pickups are generated at their home_location
+--
+--   pending_payment -> active <-> paused
+--                        |  ^
+--                        v  |  (payment)
+--                     past_due -> suspended
+--   any -> cancelled
+-- =====================================================
+CREATE TABLE IF NOT EXISTS subscriptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    resident_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    plan_id UUID NOT NULL REFERENCES subscription_plans(id),
+    
+    status VARCHAR(20) DEFAULT 'pending_payment' CHECK (
+        status IN ('pending_payment', 'active', 'past_due', 'paused', 'suspended', 'cancelled')
+    ),
+    
+    -- Billing
+    phone_number VARCHAR(15) NOT NULL, -- Mobile Money number prompted for renewals
+    current_period_end TIMESTAMP WITH TIME ZONE, -- Paid until
+    grace_until TIMESTAMP WITH TIME ZONE, -- Suspended if still unpaid by then
+    last_billed_at TIMESTAMP WITH TIME ZONE, -- Last renewal prompt sent
+    
+    -- Pickups
+    address_description TEXT, -- Directions to the home for collectors
+    next_pickup_on DATE,
+    
+    -- Pause and cancellation
+    paused_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
+    cancellation_reason TEXT,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_subscriptions_status ON subscriptions(status);
+CREATE INDEX IF NOT EXISTS idx_subscriptions_next_pickup ON subscriptions(next_pickup_on) WHERE status IN ('active', 'past_due');
+
+-- One subscription per resident until it is cancelled
+CREATE UNIQUE INDEX IF NOT EXISTS idx_subscriptions_one_per_resident ON subscriptions(resident_id)
+    WHERE status <> 'cancelled';
 
 -- =====================================================
 -- GARBAGE_REPORTS TABLE
 -- Stores garbage pile-up reports from residents
 -- =====================================================
-CREATE TABLE garbage_reports (
+CREATE TABLE IF NOT EXISTS garbage_reports (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     resident_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    short_code VARCHAR(8) UNIQUE, -- e.g. "K7QM2X", quoted in SMS commands; set on insert
     
     -- Location using PostGIS geography
     location GEOGRAPHY(Point, 4326) NOT NULL,
@@ -65,72 +203,202 @@ CREATE TABLE garbage_reports (
     ),
     assigned_collector_id UUID REFERENCES users(id),
     
+    division VARCHAR(100), -- Resident's division when reported, used for pricing
+    
     -- Payment tracking
     payment_required BOOLEAN DEFAULT true,
-    payment_amount DECIMAL(10, 2) DEFAULT 5000.00, -- Default UGX 5,000
+    payment_amount DECIMAL(10, 2) DEFAULT 5000.00, -- Quoted from tariffs when reported
+    tariff_id UUID REFERENCES tariffs(id) ON DELETE SET NULL, -- NULL = DEFAULT_COLLECTION_FEE
+    
+    -- Scheduled pickups (payment_required = false, paid by the subscription)
+    subscription_id UUID REFERENCES subscriptions(id) ON DELETE SET NULL,
+    scheduled_for DATE,
+    
+    -- Cancellation details
+    cancellation_reason TEXT,
     
     -- Timestamps
     reported_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     assigned_at TIMESTAMP WITH TIME ZONE,
+    started_at TIMESTAMP WITH TIME ZONE,
     completed_at TIMESTAMP WITH TIME ZONE,
+    cancelled_at TIMESTAMP WITH TIME ZONE,
     
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Create spatial index for location-based queries
-CREATE INDEX idx_garbage_reports_location ON garbage_reports USING GIST(location);
-CREATE INDEX idx_garbage_reports_status ON garbage_reports(status);
-CREATE INDEX idx_garbage_reports_resident ON garbage_reports(resident_id);
-CREATE INDEX idx_garbage_reports_collector ON garbage_reports(assigned_collector_id);
+CREATE INDEX IF NOT EXISTS idx_garbage_reports_location ON garbage_reports USING GIST(location);
+CREATE INDEX IF NOT EXISTS idx_garbage_reports_status ON garbage_reports(status);
+CREATE INDEX IF NOT EXISTS idx_garbage_reports_resident ON garbage_reports(resident_id);
+CREATE INDEX IF NOT EXISTS idx_garbage_reports_collector ON garbage_reports(assigned_collector_id);
+
+-- Upgrading a database created from the first release
+ALTER TABLE garbage_reports ADD COLUMN IF NOT EXISTS short_code VARCHAR(8);
+ALTER TABLE garbage_reports ADD COLUMN IF NOT EXISTS division VARCHAR(100);
+ALTER TABLE garbage_reports ADD COLUMN IF NOT EXISTS tariff_id UUID;
+ALTER TABLE garbage_reports ADD COLUMN IF NOT EXISTS subscription_id UUID;
+ALTER TABLE garbage_reports ADD COLUMN IF NOT EXISTS scheduled_for DATE;
+ALTER TABLE garbage_reports ADD COLUMN IF NOT EXISTS cancellation_reason TEXT;
+ALTER TABLE garbage_reports ADD COLUMN IF NOT EXISTS started_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE garbage_reports ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE garbage_reports DROP CONSTRAINT IF EXISTS garbage_reports_short_code_key;
+ALTER TABLE garbage_reports ADD CONSTRAINT garbage_reports_short_code_key UNIQUE (short_code);
+ALTER TABLE garbage_reports DROP CONSTRAINT IF EXISTS garbage_reports_tariff_id_fkey;
+ALTER TABLE garbage_reports ADD CONSTRAINT garbage_reports_tariff_id_fkey
+    FOREIGN KEY (tariff_id) REFERENCES tariffs(id) ON DELETE SET NULL;
+ALTER TABLE garbage_reports DROP CONSTRAINT IF EXISTS garbage_reports_subscription_id_fkey;
+ALTER TABLE garbage_reports ADD CONSTRAINT garbage_reports_subscription_id_fkey
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE SET NULL;
+
+-- One pickup per subscription per scheduled day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_garbage_reports_subscription_day ON garbage_reports(subscription_id, scheduled_for)
+    WHERE subscription_id IS NOT NULL;
 
 -- =====================================================
--- PAYMENTS TABLE
--- Tracks Mobile Money payments via Flutterwave
+-- REPORT_STATUS_HISTORY TABLE
+-- Audit trail of every report status change
 -- =====================================================
-CREATE TABLE payments (
+CREATE TABLE IF NOT EXISTS report_status_history (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     report_id UUID NOT NULL REFERENCES garbage_reports(id) ON DELETE CASCADE,
+    
+    -- Transition
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    
+    -- Who made the change (NULL changed_by = automated system change)
+    changed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    changed_by_role VARCHAR(20) NOT NULL,
+    reason TEXT,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_status_history_report ON report_status_history(report_id, created_at);
+
+-- =====================================================
+-- PAYMENTS TABLE
+-- Tracks Mobile Money payments via the configured payment provider
+-- =====================================================
+CREATE TABLE IF NOT EXISTS payments (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    report_id UUID REFERENCES garbage_reports(id) ON DELETE CASCADE,
+    subscription_id UUID REFERENCES subscriptions(id) ON DELETE CASCADE,
     resident_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
     
-    -- Flutterwave transaction details
-    transaction_id VARCHAR(100) UNIQUE, -- Flutterwave transaction ID
-    flw_ref VARCHAR(100) UNIQUE, -- Flutterwave reference
+    -- Provider transaction details
+    provider VARCHAR(20) NOT NULL DEFAULT 'pesapal' CHECK (
+        provider IN ('pesapal', 'mtn_momo', 'airtel_money', 'mock')
+    ),
+    merchant_reference VARCHAR(100) UNIQUE, -- Our reference, sent to the provider
+    provider_reference VARCHAR(100) UNIQUE, -- Pesapal OrderTrackingId, MoMo X-Reference-Id or airtel_money_id
     
     -- Payment details
     amount DECIMAL(10, 2) NOT NULL,
     currency VARCHAR(3) DEFAULT 'UGX',
     payment_method VARCHAR(50) DEFAULT 'mobile_money', -- mobile_money, card
     phone_number VARCHAR(15), -- Mobile Money number
+    redirect_url TEXT, -- Pesapal checkout page, returned again on repeat initiation
     
     -- Status tracking
     payment_status VARCHAR(20) DEFAULT 'pending' CHECK (
-        payment_status IN ('pending', 'processing', 'successful', 'failed', 'cancelled')
+        payment_status IN ('pending', 'processing', 'successful', 'failed', 'cancelled', 'reversed')
     ),
     
     -- Webhook data
-    webhook_response JSONB, -- Store full Flutterwave webhook payload
+    webhook_response JSONB, -- Latest status response from the provider
     failure_reason TEXT,
     
+    -- Provider reported a different amount, currency or reference; held for staff
+    flagged_for_review BOOLEAN DEFAULT false,
+    flag_reason TEXT,
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    
     -- Timestamps
     initiated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     completed_at TIMESTAMP WITH TIME ZONE,
     
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    
+    -- Pays for either one report or one subscription billing period
+    CONSTRAINT payment_target CHECK ((report_id IS NULL) <> (subscription_id IS NULL))
+);
+
+-- Upgrading a database created from the first release
+-- The Flutterwave columns are renamed, not dropped, so older payments keep their references
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'payments' AND column_name = 'flw_ref'
+    ) THEN
+        DROP INDEX IF EXISTS idx_payments_flw_ref;
+        DROP INDEX IF EXISTS idx_payments_transaction_id;
+        ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_flw_ref_key;
+        ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_transaction_id_key;
+        ALTER TABLE payments RENAME COLUMN flw_ref TO merchant_reference;
+        ALTER TABLE payments RENAME COLUMN transaction_id TO provider_reference;
+    END IF;
+END $$;
+
+ALTER TABLE payments ALTER COLUMN report_id DROP NOT NULL;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS subscription_id UUID;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider VARCHAR(20) NOT NULL DEFAULT 'pesapal';
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS merchant_reference VARCHAR(100);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS provider_reference VARCHAR(100);
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS redirect_url TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS flagged_for_review BOOLEAN DEFAULT false;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS flag_reason TEXT;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS reviewed_by UUID;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE payments ADD COLUMN IF NOT EXISTS review_notes TEXT;
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_subscription_id_fkey;
+ALTER TABLE payments ADD CONSTRAINT payments_subscription_id_fkey
+    FOREIGN KEY (subscription_id) REFERENCES subscriptions(id) ON DELETE CASCADE;
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_reviewed_by_fkey;
+ALTER TABLE payments ADD CONSTRAINT payments_reviewed_by_fkey
+    FOREIGN KEY (reviewed_by) REFERENCES users(id);
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_merchant_reference_key;
+ALTER TABLE payments ADD CONSTRAINT payments_merchant_reference_key UNIQUE (merchant_reference);
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_provider_reference_key;
+ALTER TABLE payments ADD CONSTRAINT payments_provider_reference_key UNIQUE (provider_reference);
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_provider_check;
+ALTER TABLE payments ADD CONSTRAINT payments_provider_check
+    CHECK (provider IN ('pesapal', 'mtn_momo', 'airtel_money', 'mock'));
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_payment_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_payment_status_check CHECK (
+    payment_status IN ('pending', 'processing', 'successful', 'failed', 'cancelled', 'reversed')
 );
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payment_target;
+ALTER TABLE payments ADD CONSTRAINT payment_target CHECK ((report_id IS NULL) <> (subscription_id IS NULL));
 
-CREATE INDEX idx_payments_report ON payments(report_id);
-CREATE INDEX idx_payments_resident ON payments(resident_id);
-CREATE INDEX idx_payments_status ON payments(payment_status);
-CREATE INDEX idx_payments_transaction_id ON payments(transaction_id);
-CREATE INDEX idx_payments_flw_ref ON payments(flw_ref);
+CREATE INDEX IF NOT EXISTS idx_payments_report ON payments(report_id);
+CREATE INDEX IF NOT EXISTS idx_payments_subscription ON payments(subscription_id);
+CREATE INDEX IF NOT EXISTS idx_payments_resident ON payments(resident_id);
+CREATE INDEX IF NOT EXISTS idx_payments_status ON payments(payment_status);
+CREATE INDEX IF NOT EXISTS idx_payments_provider_reference ON payments(provider_reference);
+CREATE INDEX IF NOT EXISTS idx_payments_merchant_reference ON payments(merchant_reference);
+
+-- At most one open or successful payment per report
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_active_per_report ON payments(report_id)
+    WHERE payment_status IN ('pending', 'processing', 'successful');
+
+-- At most one open payment per subscription
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payments_one_open_per_subscription ON payments(subscription_id)
+    WHERE payment_status IN ('pending', 'processing');
 
 -- =====================================================
 -- COLLECTION_LOGS TABLE
 -- Tracks actual collection activities with QR code scans
 -- =====================================================
-CREATE TABLE collection_logs (
+CREATE TABLE IF NOT EXISTS collection_logs (
     id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
     report_id UUID NOT NULL REFERENCES garbage_reports(id) ON DELETE CASCADE,
     collector_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
@@ -145,6 +413,14 @@ CREATE TABLE collection_logs (
     -- Distance verification (between reported and actual collection location)
     distance_from_report DECIMAL(10, 2), -- in meters
     
+    -- Supervisor review of suspicious completions (e.g. outside the geofence)
+    flagged_for_review BOOLEAN DEFAULT false,
+    flag_reason TEXT,
+    review_status VARCHAR(20) CHECK (review_status IN ('pending', 'approved', 'rejected')),
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    
     -- Collection details
     actual_volume VARCHAR(20),
     notes TEXT,
@@ -158,15 +434,497 @@ CREATE TABLE collection_logs (
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
-CREATE INDEX idx_collection_logs_report ON collection_logs(report_id);
-CREATE INDEX idx_collection_logs_collector ON collection_logs(collector_id);
-CREATE INDEX idx_collection_logs_location ON collection_logs USING GIST(collection_location);
+CREATE INDEX IF NOT EXISTS idx_collection_logs_report ON collection_logs(report_id);
+CREATE INDEX IF NOT EXISTS idx_collection_logs_collector ON collection_logs(collector_id);
+CREATE INDEX IF NOT EXISTS idx_collection_logs_location ON collection_logs USING GIST(collection_location);
+
+-- Upgrading a database created from the first release
+ALTER TABLE collection_logs ADD COLUMN IF NOT EXISTS flagged_for_review BOOLEAN DEFAULT false;
+ALTER TABLE collection_logs ADD COLUMN IF NOT EXISTS flag_reason TEXT;
+ALTER TABLE collection_logs ADD COLUMN IF NOT EXISTS review_status VARCHAR(20);
+ALTER TABLE collection_logs ADD COLUMN IF NOT EXISTS reviewed_by UUID;
+ALTER TABLE collection_logs ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE collection_logs ADD COLUMN IF NOT EXISTS review_notes TEXT;
+
+ALTER TABLE collection_logs DROP CONSTRAINT IF EXISTS collection_logs_reviewed_by_fkey;
+ALTER TABLE collection_logs ADD CONSTRAINT collection_logs_reviewed_by_fkey
+    FOREIGN KEY (reviewed_by) REFERENCES users(id);
+ALTER TABLE collection_logs DROP CONSTRAINT IF EXISTS collection_logs_review_status_check;
+ALTER TABLE collection_logs ADD CONSTRAINT collection_logs_review_status_check
+    CHECK (review_status IN ('pending', 'approved', 'rejected'));
+
+CREATE INDEX IF NOT EXISTS idx_collection_logs_review ON collection_logs(review_status) WHERE flagged_for_review = true;
+
+-- One collection per report; a rejected one does not count, as the report is
+-- reopened for another collector
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collection_logs_one_per_report ON collection_logs(report_id)
+    WHERE review_status IS DISTINCT FROM 'rejected';
+
+-- =====================================================
+-- COLLECTOR_LOCATIONS TABLE
+-- Every position a collector reports, for trails and audits
+-- (kept for COLLECTOR_LOCATION_RETENTION_DAYS, see jobs/locationRetention.js)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS collector_locations (
+    id BIGSERIAL PRIMARY KEY,
+    collector_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    location GEOGRAPHY(Point, 4326) NOT NULL,
+    accuracy_meters DECIMAL(10, 2), -- GPS accuracy reported by the phone
+    speed_kmh DECIMAL(6, 2),
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL, -- Phone time of the fix
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(), -- Later than recorded_at for offline uploads
+    
+    -- A retried upload of the same fix is ignored
+    CONSTRAINT unique_collector_location UNIQUE (collector_id, recorded_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_collector_locations_recorded ON collector_locations(recorded_at);
+
+-- =====================================================
+-- COLLECTOR_SHIFTS TABLE
+-- Check-in to check-out of a collector's working time
+-- =====================================================
+CREATE TABLE IF NOT EXISTS collector_shifts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    collector_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE, -- NULL while on shift
+    distance_meters DECIMAL(10, 2), -- From collector_locations, set at check-out
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_collector_shifts_collector ON collector_shifts(collector_id, started_at DESC);
+-- At most one open shift per collector
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collector_shifts_open ON collector_shifts(collector_id) WHERE ended_at IS NULL;
+
+-- =====================================================
+-- PHOTOS TABLE
+-- Uploaded before (report) and after (collection) photos
+-- =====================================================
+CREATE TABLE IF NOT EXISTS photos (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    uploaded_by UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('report', 'collection')),
+    
+    -- Stored files (EXIF stripped)
+    storage_path TEXT NOT NULL,
+    url TEXT NOT NULL,
+    thumbnail_url TEXT,
+    mime_type VARCHAR(50),
+    size_bytes INTEGER,
+    
+    -- GPS read from EXIF before stripping, for location cross-checks
+    exif_latitude DECIMAL(9, 6),
+    exif_longitude DECIMAL(9, 6),
+    distance_from_subject DECIMAL(10, 2), -- meters from the report location
+    location_verified BOOLEAN, -- NULL when the photo had no GPS
+    
+    -- What the photo is attached to (set after upload)
+    report_id UUID REFERENCES garbage_reports(id) ON DELETE SET NULL,
+    collection_log_id UUID REFERENCES collection_logs(id) ON DELETE SET NULL,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_photos_report ON photos(report_id);
+CREATE INDEX IF NOT EXISTS idx_photos_collection_log ON photos(collection_log_id);
+
+-- =====================================================
+-- QR_NONCES TABLE
+-- Single-use nonces embedded in signed collection QR codes
+-- =====================================================
+CREATE TABLE IF NOT EXISTS qr_nonces (
+    nonce VARCHAR(32) PRIMARY KEY,
+    report_id UUID NOT NULL REFERENCES garbage_reports(id) ON DELETE CASCADE,
+    resident_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- Set when scanned; a used nonce cannot verify another collection
+    used_at TIMESTAMP WITH TIME ZONE,
+    used_by UUID REFERENCES users(id),
+    
+    -- Timestamps
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_qr_nonces_report ON qr_nonces(report_id);
+
+-- =====================================================
+-- OTP_CODES TABLE
+-- One-time SMS codes for login and phone verification
+-- =====================================================
+CREATE TABLE IF NOT EXISTS otp_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    phone_number VARCHAR(15) NOT NULL,
+    purpose VARCHAR(20) NOT NULL CHECK (purpose IN ('login', 'register')),
+    
+    -- Only an HMAC of the code is stored, never the code itself
+    code_hash VARCHAR(64) NOT NULL,
+    attempts INTEGER DEFAULT 0,
+    max_attempts INTEGER DEFAULT 5,
+    
+    -- Timestamps
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE, -- Set when used or superseded
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_otp_codes_phone_purpose ON otp_codes(phone_number, purpose, created_at DESC);
+
+-- =====================================================
+-- USER_SESSIONS TABLE
+-- One row per logged-in device; access tokens carry the session id
+-- =====================================================
+CREATE TABLE IF NOT EXISTS user_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- Device details
+    device_name VARCHAR(100),
+    user_agent TEXT,
+    ip_address VARCHAR(45),
+    
+    -- Revocation (logout, log out all devices, deactivation, token reuse)
+    revoked_at TIMESTAMP WITH TIME ZONE,
+    revoked_reason VARCHAR(50),
+    
+    -- Timestamps
+    last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id) WHERE revoked_at IS NULL;
+
+-- =====================================================
+-- REFRESH_TOKENS TABLE
+-- Single-use refresh tokens, rotated on every refresh
+-- =====================================================
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id UUID NOT NULL REFERENCES user_sessions(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the token
+    
+    -- Timestamps
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE, -- Set when exchanged; reuse revokes the session
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_session ON refresh_tokens(session_id);
+
+-- =====================================================
+-- DISPATCH_OFFERS TABLE
+-- Paid reports offered to the nearest collectors, one at a time
+-- =====================================================
+CREATE TABLE IF NOT EXISTS dispatch_offers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    report_id UUID NOT NULL REFERENCES garbage_reports(id) ON DELETE CASCADE,
+    collector_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    distance_meters DECIMAL(10, 2),
+    
+    -- Offer lifecycle
+    status VARCHAR(20) DEFAULT 'offered' CHECK (
+        status IN ('offered', 'accepted', 'declined', 'expired', 'cancelled')
+    ),
+    
+    -- Timestamps
+    offered_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    responded_at TIMESTAMP WITH TIME ZONE,
+    
+    -- A collector is offered a report at most once
+    UNIQUE (report_id, collector_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_dispatch_offers_collector ON dispatch_offers(collector_id, status);
+CREATE INDEX IF NOT EXISTS idx_dispatch_offers_open ON dispatch_offers(expires_at) WHERE status = 'offered';
+
+-- One open offer per report at a time
+CREATE UNIQUE INDEX IF NOT EXISTS idx_dispatch_offers_one_open_per_report ON dispatch_offers(report_id)
+    WHERE status = 'offered';
+
+-- =====================================================
+-- IDEMPOTENCY_KEYS TABLE
+-- Stored responses for requests sent with an Idempotency-Key header
+-- =====================================================
+CREATE TABLE IF NOT EXISTS idempotency_keys (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    idempotency_key VARCHAR(100) NOT NULL,
+    request_hash VARCHAR(64) NOT NULL, -- SHA-256 of method, URL and body
+    
+    -- Stored response
+    status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    response_status INTEGER,
+    response_body JSONB,
+    
+    -- Timestamps
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE,
+    
+    PRIMARY KEY (user_id, idempotency_key)
+);
+
+-- =====================================================
+-- PAYMENT_EVENTS TABLE
+-- Ledger of processed provider notifications; duplicates are ignored
+-- =====================================================
+CREATE TABLE IF NOT EXISTS payment_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider VARCHAR(20) NOT NULL DEFAULT 'pesapal',
+    event_key VARCHAR(255) UNIQUE NOT NULL, -- provider:provider reference:provider status
+    merchant_reference VARCHAR(100),
+    provider_reference VARCHAR(100),
+    payment_status VARCHAR(20), -- Status we mapped the event to
+    payload JSONB,
+    received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_events_reference ON payment_events(merchant_reference);
+
+-- Upgrading a database created before payment providers were added
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_name = 'payment_events' AND column_name = 'order_tracking_id'
+    ) THEN
+        ALTER TABLE payment_events RENAME COLUMN order_tracking_id TO provider_reference;
+    END IF;
+END $$;
+
+-- =====================================================
+-- APP_SETTINGS TABLE
+-- Runtime settings managed from the admin API (e.g. Pesapal IPN id)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS app_settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- =====================================================
+-- REFUNDS TABLE
+-- Resident refund requests, reviewed by an admin and sent to the provider
+-- =====================================================
+CREATE TABLE IF NOT EXISTS refunds (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    payment_id UUID NOT NULL REFERENCES payments(id) ON DELETE CASCADE,
+    report_id UUID REFERENCES garbage_reports(id) ON DELETE SET NULL,
+    resident_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- Refund details
+    amount DECIMAL(10, 2) NOT NULL,
+    currency VARCHAR(3) DEFAULT 'UGX',
+    reason TEXT NOT NULL,
+    
+    -- Status tracking
+    status VARCHAR(20) DEFAULT 'requested' CHECK (
+        status IN ('requested', 'approved', 'rejected', 'processing', 'completed', 'failed')
+    ),
+    
+    -- Admin review
+    reviewed_by UUID REFERENCES users(id),
+    reviewed_at TIMESTAMP WITH TIME ZONE,
+    review_notes TEXT,
+    
+    -- Provider data
+    provider_reference VARCHAR(100), -- Provider's id for the refund
+    provider_response JSONB,
+    failure_reason TEXT,
+    
+    -- Timestamps
+    requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    submitted_at TIMESTAMP WITH TIME ZONE, -- Accepted by the provider
+    completed_at TIMESTAMP WITH TIME ZONE, -- Payment reported as reversed
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Upgrading a database created before payment providers were added
+ALTER TABLE refunds ADD COLUMN IF NOT EXISTS provider_reference VARCHAR(100);
+
+CREATE INDEX IF NOT EXISTS idx_refunds_resident ON refunds(resident_id);
+CREATE INDEX IF NOT EXISTS idx_refunds_status ON refunds(status);
+
+-- One open or completed refund per payment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_refunds_one_per_payment ON refunds(payment_id)
+    WHERE status IN ('requested', 'approved', 'processing', 'completed');
+
+-- =====================================================
+-- PAYOUT_BATCHES TABLE
+-- One run paying out collector balances
+-- =====================================================
+CREATE TABLE IF NOT EXISTS payout_batches (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    provider VARCHAR(20) NOT NULL CHECK (provider IN ('mtn_momo', 'airtel_money', 'mock')),
+    status VARCHAR(20) DEFAULT 'processing' CHECK (status IN ('processing', 'completed')),
+    
+    -- Totals of the payouts sent in this batch
+    payout_count INTEGER DEFAULT 0,
+    total_amount DECIMAL(12, 2) DEFAULT 0,
+    
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE -- All payouts successful or failed
+);
+
+-- =====================================================
+-- PAYOUTS TABLE
+-- Mobile Money disbursement of a collector's balance
+-- =====================================================
+CREATE TABLE IF NOT EXISTS payouts (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    batch_id UUID NOT NULL REFERENCES payout_batches(id) ON DELETE CASCADE,
+    collector_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    
+    -- Payout details
+    amount DECIMAL(10, 2) NOT NULL CHECK (amount > 0),
+    currency VARCHAR(3) DEFAULT 'UGX',
+    phone_number VARCHAR(15) NOT NULL, -- Mobile Money number paid
+    provider VARCHAR(20) NOT NULL CHECK (provider IN ('mtn_momo', 'airtel_money', 'mock')),
+    provider_reference VARCHAR(100), -- MoMo X-Reference-Id or airtel_money_id
+    
+    -- Status tracking
+    status VARCHAR(20) DEFAULT 'pending' CHECK (
+        status IN ('pending', 'processing', 'successful', 'failed')
+    ),
+    failure_reason TEXT,
+    provider_response JSONB,
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_payouts_batch ON payouts(batch_id);
+CREATE INDEX IF NOT EXISTS idx_payouts_collector ON payouts(collector_id, created_at DESC);
+
+-- One payout in flight per collector
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_one_open_per_collector ON payouts(collector_id)
+    WHERE status IN ('pending', 'processing');
+
+-- =====================================================
+-- COLLECTOR_LEDGER TABLE
+-- What collectors earned and were paid; the balance is the sum of amount
+--   earning: net of KCCA commission, credited when a paid report is collected
+--   payout: debited when a payout is sent
+--   payout_reversal: credited back when a payout fails
+--   earning_reversal: an earning taken back when the report's payment is reversed
+-- =====================================================
+CREATE TABLE IF NOT EXISTS collector_ledger (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    collector_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    entry_type VARCHAR(20) NOT NULL CHECK (
+        entry_type IN ('earning', 'earning_reversal', 'payout', 'payout_reversal')
+    ),
+    amount DECIMAL(10, 2) NOT NULL, -- Positive credits, negative debits
+    
+    -- Earnings and earning reversals only
+    report_id UUID REFERENCES garbage_reports(id) ON DELETE SET NULL,
+    gross_amount DECIMAL(10, 2), -- Paid by the resident
+    commission_rate DECIMAL(5, 4), -- KCCA_COMMISSION_RATE at the time
+    commission_amount DECIMAL(10, 2),
+    
+    -- Payouts only
+    payout_id UUID REFERENCES payouts(id) ON DELETE CASCADE,
+    
+    description TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_collector_ledger_collector ON collector_ledger(collector_id, created_at);
+
+-- Each report is credited and taken back once, each payout debited and reversed once
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collector_ledger_one_earning_per_report ON collector_ledger(report_id)
+    WHERE entry_type = 'earning';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collector_ledger_one_earning_reversal_per_report ON collector_ledger(report_id)
+    WHERE entry_type = 'earning_reversal';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_collector_ledger_payout_entry ON collector_ledger(payout_id, entry_type)
+    WHERE payout_id IS NOT NULL;
+
+-- Current balance per collector
+CREATE OR REPLACE VIEW collector_balances AS
+SELECT
+    collector_id,
+    SUM(amount) AS balance,
+    SUM(amount) FILTER (WHERE entry_type IN ('earning', 'earning_reversal')) AS total_earned,
+    MAX(created_at) AS last_entry_at
+FROM collector_ledger
+GROUP BY collector_id;
+
+-- =====================================================
+-- NOTIFICATIONS TABLE
+-- Outbox of every SMS sent; failed sends are retried with backoff
+--   pending -> sent -> delivered
+--      \________\____> failed
+-- =====================================================
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    
+    -- Message
+    channel VARCHAR(10) DEFAULT 'sms' CHECK (channel IN ('sms')),
+    recipient VARCHAR(15) NOT NULL,
+    template VARCHAR(50) NOT NULL,
+    message TEXT NOT NULL, -- Redacted once sent for sensitive templates (OTP codes)
+    transport VARCHAR(20) NOT NULL CHECK (transport IN ('africastalking', 'console', 'file')),
+    
+    -- Delivery
+    status VARCHAR(20) DEFAULT 'pending' CHECK (
+        status IN ('pending', 'sent', 'delivered', 'failed')
+    ),
+    attempts INTEGER DEFAULT 0,
+    next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    expires_at TIMESTAMP WITH TIME ZONE, -- Not worth sending after this (e.g. OTP expiry)
+    last_error TEXT,
+    provider_message_id VARCHAR(100), -- Africa's Talking messageId
+    provider_status VARCHAR(50), -- Latest status from the send response or delivery report
+    cost VARCHAR(30), -- As reported by Africa's Talking, e.g. "UGX 35.0000"
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    sent_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    failed_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_retry ON notifications(next_attempt_at) WHERE status = 'pending';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_provider_message ON notifications(provider_message_id)
+    WHERE provider_message_id IS NOT NULL;
+
+-- =====================================================
+-- USSD_SESSIONS TABLE
+-- Menu position of each Africa's Talking USSD session (see services/ussdService.js)
+-- =====================================================
+CREATE TABLE IF NOT EXISTS ussd_sessions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    session_id VARCHAR(100) NOT NULL UNIQUE, -- Africa's Talking sessionId
+    phone_number VARCHAR(15) NOT NULL,
+    service_code VARCHAR(20), -- e.g. *384*123#
+    user_id UUID REFERENCES users(id) ON DELETE SET NULL, -- Set once the caller is registered
+    
+    -- State machine
+    state VARCHAR(30) NOT NULL,
+    data JSONB DEFAULT '{}', -- Answers collected so far
+    input_count INTEGER DEFAULT 0, -- Inputs of the session text already handled
+    
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    ended_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_ussd_sessions_phone ON ussd_sessions(phone_number, created_at DESC);
 
 -- =====================================================
 -- USEFUL POSTGIS FUNCTIONS FOR THE APPLICATION
 -- =====================================================
 
--- Function to find the nearest available collector to a report
+-- Function to find the nearest available collectors with spare capacity to a report
+-- Collectors who were already offered the report are skipped, so dispatch can
+-- keep cascading past the first five
 -- Usage: SELECT * FROM find_nearest_collector('report_uuid');
 CREATE OR REPLACE FUNCTION find_nearest_collector(report_uuid UUID)
 RETURNS TABLE (
@@ -192,11 +950,213 @@ BEGIN
         AND u.user_type = 'collector'
         AND u.is_active = true
         AND u.current_location IS NOT NULL
+        AND u.availability_status = 'available' -- checked in and not busy
+        AND (
+            SELECT COUNT(*) FROM garbage_reports open_job
+            WHERE open_job.assigned_collector_id = u.id
+                AND open_job.status IN ('assigned', 'in_progress')
+        ) < u.max_concurrent_assignments
+        AND NOT EXISTS (
+            SELECT 1 FROM dispatch_offers offer
+            WHERE offer.report_id = gr.id
+                AND offer.collector_id = u.id
+        )
     ORDER BY ST_Distance(u.current_location, gr.location) ASC
     LIMIT 5;
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to assign a report to a collector without going over their limit
+-- Locks the collector row so concurrent claims and offer acceptances are
+-- counted one after another. Returns no row if the report left from_status;
+-- raises check_violation (23514) if the collector cannot take the job.
+CREATE OR REPLACE FUNCTION assign_report_within_capacity(
+    report_uuid UUID,
+    collector_uuid UUID,
+    from_status VARCHAR,
+    assigned_time TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+)
+RETURNS SETOF garbage_reports AS $$
+DECLARE
+    collector users%ROWTYPE;
+    open_jobs INTEGER;
+BEGIN
+    SELECT * INTO collector FROM users WHERE id = collector_uuid FOR UPDATE;
+
+    SELECT COUNT(*) INTO open_jobs FROM garbage_reports
+    WHERE assigned_collector_id = collector_uuid
+        AND status IN ('assigned', 'in_progress');
+
+    IF collector.availability_status IS DISTINCT FROM 'available'
+        OR open_jobs >= collector.max_concurrent_assignments THEN
+        RAISE EXCEPTION 'Collector cannot take another job (% open, limit %)',
+            open_jobs, collector.max_concurrent_assignments
+            USING ERRCODE = 'check_violation';
+    END IF;
+
+    RETURN QUERY
+    UPDATE garbage_reports
+    SET status = 'assigned',
+        assigned_collector_id = collector_uuid,
+        assigned_at = assigned_time,
+        started_at = NULL
+    WHERE id = report_uuid AND status = from_status
+    RETURNING *;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to pay out a collector's whole-shilling balance
+-- Locks the collector row so overlapping payout runs read the balance one
+-- after another; the payout and its ledger debit are written together.
+-- Returns no row if a payout is in flight or the balance is below min_amount.
+CREATE OR REPLACE FUNCTION create_collector_payout(
+    batch_uuid UUID,
+    collector_uuid UUID,
+    payout_phone VARCHAR,
+    payout_provider VARCHAR,
+    min_amount DECIMAL
+)
+RETURNS SETOF payouts AS $$
+DECLARE
+    payout_amount DECIMAL;
+    new_payout payouts%ROWTYPE;
+BEGIN
+    PERFORM 1 FROM users WHERE id = collector_uuid FOR UPDATE;
+
+    IF EXISTS (
+        SELECT 1 FROM payouts
+        WHERE collector_id = collector_uuid AND status IN ('pending', 'processing')
+    ) THEN
+        RETURN;
+    END IF;
+
+    SELECT FLOOR(COALESCE(SUM(amount), 0)) INTO payout_amount
+    FROM collector_ledger WHERE collector_id = collector_uuid;
+
+    IF payout_amount < min_amount THEN
+        RETURN;
+    END IF;
+
+    INSERT INTO payouts (batch_id, collector_id, amount, currency, phone_number, provider, status)
+    VALUES (batch_uuid, collector_uuid, payout_amount, 'UGX', payout_phone, payout_provider, 'pending')
+    RETURNING * INTO new_payout;
+
+    INSERT INTO collector_ledger (collector_id, entry_type, amount, payout_id, description)
+    VALUES (collector_uuid, 'payout', -payout_amount, new_payout.id, 'Payout batch ' || batch_uuid);
+
+    RETURN NEXT new_payout;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to use up one attempt at an OTP code
+-- The check and the increment are one statement, so parallel guesses cannot
+-- exceed max_attempts. Returns no row once the attempts are used up.
+CREATE OR REPLACE FUNCTION use_otp_attempt(otp_uuid UUID)
+RETURNS TABLE (attempts INTEGER, max_attempts INTEGER) AS $$
+BEGIN
+    RETURN QUERY
+    UPDATE otp_codes o
+    SET attempts = o.attempts + 1
+    WHERE o.id = otp_uuid
+        AND o.attempts < o.max_attempts
+        AND o.consumed_at IS NULL
+    RETURNING o.attempts, o.max_attempts;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Function to find paid, unassigned reports near a collector, nearest first
+-- Reports with an open dispatch offer to another collector are hidden, and
+-- a requesting collector who cannot take jobs gets none
+-- Usage: SELECT * FROM get_nearby_reports(0.3476, 32.6169, 5000);
+CREATE OR REPLACE FUNCTION get_nearby_reports(
+    collector_lat DOUBLE PRECISION,
+    collector_lng DOUBLE PRECISION,
+    radius_meters INTEGER DEFAULT 5000,
+    filter_garbage_type VARCHAR DEFAULT NULL,
+    filter_estimated_volume VARCHAR DEFAULT NULL,
+    requesting_collector UUID DEFAULT NULL,
+    result_limit INTEGER DEFAULT 20,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    resident_id UUID,
+    resident_name VARCHAR,
+    resident_phone VARCHAR,
+    address_description TEXT,
+    garbage_type VARCHAR,
+    estimated_volume VARCHAR,
+    photo_url TEXT,
+    description TEXT,
+    payment_amount DECIMAL,
+    reported_at TIMESTAMP WITH TIME ZONE,
+    latitude DOUBLE PRECISION,
+    longitude DOUBLE PRECISION,
+    distance_meters DOUBLE PRECISION,
+    total_count BIGINT
+) AS $$
+#variable_conflict use_column
+DECLARE
+    collector_point GEOGRAPHY := ST_SetSRID(ST_MakePoint(collector_lng, collector_lat), 4326)::geography;
+BEGIN
+    RETURN QUERY
+    SELECT 
+        gr.id,
+        gr.resident_id,
+        u.full_name,
+        u.phone_number,
+        gr.address_description,
+        gr.garbage_type,
+        gr.estimated_volume,
+        gr.photo_url,
+        gr.description,
+        gr.payment_amount,
+        gr.reported_at,
+        ST_Y(gr.location::geometry) as lat,
+        ST_X(gr.location::geometry) as lng,
+        ST_Distance(gr.location, collector_point) as distance,
+        COUNT(*) OVER () as total
+    FROM garbage_reports gr
+    JOIN users u ON u.id = gr.resident_id
+    WHERE gr.status = 'pending'
+        AND gr.assigned_collector_id IS NULL
+        AND ST_DWithin(gr.location, collector_point, radius_meters)
+        AND (
+            NOT gr.payment_required -- subscription pickup
+            OR EXISTS (
+                SELECT 1 FROM payments p
+                WHERE p.report_id = gr.id AND p.payment_status = 'successful'
+            )
+        )
+        AND (filter_garbage_type IS NULL OR gr.garbage_type = filter_garbage_type)
+        AND (filter_estimated_volume IS NULL OR gr.estimated_volume = filter_estimated_volume)
+        AND NOT EXISTS (
+            SELECT 1 FROM dispatch_offers d
+            WHERE d.report_id = gr.id
+                AND d.status = 'offered'
+                AND d.expires_at > NOW()
+                AND d.collector_id IS DISTINCT FROM requesting_collector
+        )
+        -- Nothing for a collector who is off duty, busy or at capacity
+        AND (
+            requesting_collector IS NULL
+            OR EXISTS (
+                SELECT 1 FROM users c
+                WHERE c.id = requesting_collector
+                    AND c.availability_status = 'available'
+                    AND (
+                        SELECT COUNT(*) FROM garbage_reports open_job
+                        WHERE open_job.assigned_collector_id = c.id
+                            AND open_job.status IN ('assigned', 'in_progress')
+                    ) < c.max_concurrent_assignments
+            )
+        )
+    ORDER BY ST_Distance(gr.location, collector_point) ASC
+    LIMIT result_limit
+    OFFSET result_offset;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
 -- Function to calculate distance between two points
 -- Usage: SELECT calculate_distance('POINT(lng1 lat1)', 'POINT(lng2 lat2)');
 CREATE OR REPLACE FUNCTION calculate_distance(loc1 GEOGRAPHY, loc2 GEOGRAPHY)
@@ -206,6 +1166,25 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to delete old collector positions in batches
+-- Usage: SELECT prune_collector_locations(NOW() - INTERVAL '90 days', 5000);
+CREATE OR REPLACE FUNCTION prune_collector_locations(cutoff TIMESTAMP WITH TIME ZONE, batch_size INTEGER)
+RETURNS INTEGER AS $$
+DECLARE
+    deleted INTEGER;
+BEGIN
+    DELETE FROM collector_locations
+    WHERE id IN (
+        SELECT id FROM collector_locations
+        WHERE recorded_at < cutoff
+        LIMIT batch_size
+    );
+
+    GET DIAGNOSTICS deleted = ROW_COUNT;
+    RETURN deleted;
+END;
+$$ LANGUAGE plpgsql;
+
 -- Function to update timestamp automatically
 CREATE OR REPLACE FUNCTION update_updated_at_column()
 RETURNS TRIGGER AS $$
@@ -215,44 +1194,140 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql;
 
+-- Function to give each report a short code for SMS commands
+-- Six characters without look-alikes (0/O, 1/I), retried on collision
+CREATE OR REPLACE FUNCTION set_report_short_code()
+RETURNS TRIGGER AS $$
+DECLARE
+    alphabet CONSTANT TEXT := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    candidate TEXT;
+BEGIN
+    IF NEW.short_code IS NOT NULL THEN
+        RETURN NEW;
+    END IF;
+
+    LOOP
+        candidate := '';
+        FOR i IN 1..6 LOOP
+            candidate := candidate || substr(alphabet, 1 + floor(random() * length(alphabet))::INT, 1);
+        END LOOP;
+
+        EXIT WHEN NOT EXISTS (SELECT 1 FROM garbage_reports WHERE short_code = candidate);
+    END LOOP;
+
+    NEW.short_code := candidate;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Also fires when short_code is set back to NULL, which gives reports from
+-- before short codes existed one (see BACKFILLS)
+CREATE OR REPLACE TRIGGER set_garbage_reports_short_code BEFORE INSERT OR UPDATE OF short_code ON garbage_reports
+    FOR EACH ROW EXECUTE FUNCTION set_report_short_code();
+
 -- Apply auto-update triggers to all tables
-CREATE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+CREATE OR REPLACE TRIGGER update_users_updated_at BEFORE UPDATE ON users
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_garbage_reports_updated_at BEFORE UPDATE ON garbage_reports
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_garbage_reports_updated_at BEFORE UPDATE ON garbage_reports
+CREATE OR REPLACE TRIGGER update_tariffs_updated_at BEFORE UPDATE ON tariffs
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+CREATE OR REPLACE TRIGGER update_subscription_plans_updated_at BEFORE UPDATE ON subscription_plans
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
-CREATE TRIGGER update_collection_logs_updated_at BEFORE UPDATE ON collection_logs
+CREATE OR REPLACE TRIGGER update_subscriptions_updated_at BEFORE UPDATE ON subscriptions
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+CREATE OR REPLACE TRIGGER update_payments_updated_at BEFORE UPDATE ON payments
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_refunds_updated_at BEFORE UPDATE ON refunds
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_payouts_updated_at BEFORE UPDATE ON payouts
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_collection_logs_updated_at BEFORE UPDATE ON collection_logs
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE OR REPLACE TRIGGER update_notifications_updated_at BEFORE UPDATE ON notifications
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- =====================================================
+-- BACKFILLS (safe to re-run when upgrading an existing database)
+-- =====================================================
+
+-- Accounts that were active before phone verification existed (legacy or
+-- created by KCCA staff) count as verified, so self-registration can never
+-- overwrite them
+UPDATE users SET phone_verified_at = created_at
+WHERE phone_verified_at IS NULL AND is_active;
+
+-- Reports from before short codes existed get one, so SMS commands can name them
+UPDATE garbage_reports SET short_code = NULL
+WHERE short_code IS NULL;
+
 -- =====================================================
 -- SAMPLE DATA FOR TESTING (KAMPALA LOCATIONS)
 -- =====================================================
 
 -- Insert sample resident (Nakawa area)
 -- Coordinates: 0.3476° N, 32.6169° E (Nakawa)
-INSERT INTO users (phone_number, full_name, user_type, home_location, area)
+INSERT INTO users (phone_number, full_name, user_type, home_location, area, phone_verified_at)
 VALUES (
     '+256700123456',
     'John Mukasa',
     'resident',
     ST_GeogFromText('POINT(32.6169 0.3476)'),
-    'Nakawa'
-);
+    'Nakawa',
+    NOW()
+)
+ON CONFLICT DO NOTHING;
 
 -- Insert sample collector (Mobile, starts at Kampala Central)
 -- Coordinates: 0.3163° N, 32.5822° E (City Centre)
-INSERT INTO users (phone_number, full_name, user_type, current_location, area)
+INSERT INTO users (phone_number, full_name, user_type, current_location, area, phone_verified_at)
 VALUES (
     '+256700654321',
     'Sarah Nakato',
     'collector',
     ST_GeogFromText('POINT(32.5822 0.3163)'),
-    'Central Division'
-);
+    'Central Division',
+    NOW()
+)
+ON CONFLICT DO NOTHING;
+
+-- Insert sample KCCA admin (manages all divisions)
+INSERT INTO users (phone_number, full_name, user_type, area, phone_verified_at)
+VALUES (
+    '+256700000001',
+    'KCCA Admin',
+    'admin',
+    NULL,
+    NOW()
+)
+ON CONFLICT DO NOTHING;
+
+-- Default tariffs: priced by volume, with surcharges for special handling
+INSERT INTO tariffs (garbage_type, estimated_volume, amount) VALUES
+    (NULL, 'small', 3000.00),
+    (NULL, 'medium', 5000.00),
+    (NULL, 'large', 10000.00),
+    ('electronic', NULL, 15000.00),
+    ('hazardous', 'small', 10000.00),
+    ('hazardous', 'medium', 20000.00),
+    ('hazardous', 'large', 40000.00)
+ON CONFLICT DO NOTHING;
+
+-- Default subscription plans (billed every 30 days)
+INSERT INTO subscription_plans (code, name, frequency, pickup_interval_days, price) VALUES
+    ('weekly', 'Weekly household pickup', 'weekly', 7, 18000.00),
+    ('biweekly', 'Pickup every two weeks', 'biweekly', 14, 10000.00),
+    ('monthly', 'Monthly household pickup', 'monthly', 30, 5500.00)
+ON CONFLICT DO NOTHING;
 
 -- =====================================================
 -- NOTES FOR DEVELOPERS
@@ -277,7 +1352,7 @@ VALUES (
 5. MOBILE MONEY IN UGANDA:
    - MTN Mobile Money: Most popular
    - Airtel Money: Second
-   - Flutterwave supports both via their API
+   - Pesapal supports both; MTN MoMo and Airtel Money can also be used directly
 
 6. SMS NOTIFICATIONS:
    - Africa's Talking supports UGX payments
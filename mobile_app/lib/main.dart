@@ -9,6 +9,7 @@ import 'dart:async';
 import 'screens/splash_screen.dart';
 import 'screens/auth/login_screen.dart';
 import 'screens/auth/register_screen.dart';
+import 'screens/auth/verify_code_screen.dart';
 import 'screens/resident/resident_home_screen.dart';
 import 'screens/resident/report_garbage_screen.dart';
 import 'screens/resident/my_reports_screen.dart';
@@ -90,6 +91,7 @@ class GarbageFreeCityApp extends StatelessWidget {
           '/': (context) => const SplashScreen(),
           '/login': (context) => const LoginScreen(),
           '/register': (context) => const RegisterScreen(),
+          '/verify-code': (context) => const VerifyCodeScreen(),
           '/resident-home': (context) => const ResidentHomeScreen(),
           '/report-garbage': (context) => const ReportGarbageScreen(),
           '/my-reports': (context) => const MyReportsScreen(),
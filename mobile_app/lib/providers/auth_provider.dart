@@ -16,10 +16,16 @@ class AuthProvider with ChangeNotifier {
   bool _isLoading = false;
   String? _error;
 
+  // Phone number waiting for its verification code, and whether the code
+  // completes a registration or a login
+  String? _pendingPhoneNumber;
+  bool _pendingRegistration = false;
+
   User? get user => _user;
   String? get token => _token;
   bool get isLoading => _isLoading;
   String? get error => _error;
+  String? get pendingPhoneNumber => _pendingPhoneNumber;
   bool get isAuthenticated => _user != null && _token != null;
   bool get isResident => _user?.isResident ?? false;
   bool get isCollector => _user?.isCollector ?? false;
@@ -37,7 +43,7 @@ class AuthProvider with ChangeNotifier {
         // Will implement proper user restoration later
         // For now, just clear if corrupted
         _token = null;
-        await _storage.delete(key: 'auth_token');
+        await _apiService.clearTokens();
         await _storage.delete(key: 'user_data');
       }
     } catch (e) {
@@ -51,6 +57,7 @@ class AuthProvider with ChangeNotifier {
   }
 
   /// Register a new user
+  /// Sends a verification code; the account is activated by [verifyCode].
   Future<bool> register({
     required String phoneNumber,
     required String fullName,
@@ -79,12 +86,8 @@ class AuthProvider with ChangeNotifier {
       debugPrint('Registration response: $response');
 
       if (response['success']) {
-        _user = User.fromJson(response['data']['user']);
-        _token = response['data']['token'];
-        
-        // Save to secure storage
-        await _storage.write(key: 'auth_token', value: _token);
-        await _storage.write(key: 'user_data', value: _user.toString());
+        _pendingPhoneNumber = phoneNumber;
+        _pendingRegistration = true;
         
         _isLoading = false;
         notifyListeners();
@@ -105,6 +108,7 @@ class AuthProvider with ChangeNotifier {
   }
 
   /// Login user
+  /// Sends a verification code; the user is signed in by [verifyCode].
   Future<bool> login(String phoneNumber) async {
     _isLoading = true;
     _error = null;
@@ -114,11 +118,51 @@ class AuthProvider with ChangeNotifier {
       final response = await _apiService.login(phoneNumber);
 
       if (response['success']) {
+        _pendingPhoneNumber = phoneNumber;
+        _pendingRegistration = false;
+        
+        _isLoading = false;
+        notifyListeners();
+        return true;
+      } else {
+        _error = response['message'];
+        _isLoading = false;
+        notifyListeners();
+        return false;
+      }
+    } catch (e) {
+      _error = e.toString();
+      _isLoading = false;
+      notifyListeners();
+      return false;
+    }
+  }
+
+  /// Confirm the SMS code sent by [register] or [login] and sign in
+  Future<bool> verifyCode(String code) async {
+    final phoneNumber = _pendingPhoneNumber;
+    if (phoneNumber == null) {
+      _error = 'Please request a new code';
+      notifyListeners();
+      return false;
+    }
+
+    _isLoading = true;
+    _error = null;
+    notifyListeners();
+
+    try {
+      final response = _pendingRegistration
+          ? await _apiService.verifyRegistration(phoneNumber: phoneNumber, code: code)
+          : await _apiService.verifyLogin(phoneNumber: phoneNumber, code: code);
+
+      if (response['success']) {
+        // Tokens are stored by ApiService
         _user = User.fromJson(response['data']['user']);
         _token = response['data']['token'];
+        _pendingPhoneNumber = null;
         
-        // Save to secure storage
-        await _storage.write(key: 'auth_token', value: _token);
+        await _storage.write(key: 'user_data', value: _user.toString());
         
         _isLoading = false;
         notifyListeners();
@@ -139,10 +183,11 @@ class AuthProvider with ChangeNotifier {
 
   /// Logout user
   Future<void> logout() async {
+    await _apiService.logout();
+
     _user = null;
     _token = null;
     
-    await _storage.delete(key: 'auth_token');
     await _storage.delete(key: 'user_data');
     
     notifyListeners();
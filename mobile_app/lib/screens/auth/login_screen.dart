@@ -28,11 +28,8 @@ class _LoginScreenState extends State<LoginScreen> {
     if (!mounted) return;
 
     if (success) {
-      if (authProvider.isResident) {
-        Navigator.pushReplacementNamed(context, '/resident-home');
-      } else {
-        Navigator.pushReplacementNamed(context, '/collector-home');
-      }
+      // Code sent by SMS
+      Navigator.pushNamed(context, '/verify-code');
     } else {
       ScaffoldMessenger.of(context).showSnackBar(
         SnackBar(
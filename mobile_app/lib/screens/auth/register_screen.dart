@@ -58,11 +58,8 @@ class _RegisterScreenState extends State<RegisterScreen> {
     if (!mounted) return;
 
     if (success) {
-      if (authProvider.isResident) {
-        Navigator.pushReplacementNamed(context, '/resident-home');
-      } else {
-        Navigator.pushReplacementNamed(context, '/collector-home');
-      }
+      // Code sent by SMS; the account is activated once it is entered
+      Navigator.pushNamed(context, '/verify-code');
     } else {
       ScaffoldMessenger.of(context).showSnackBar(
         SnackBar(
@@ -23,6 +23,32 @@ class ApiService {
     };
   }
 
+  /// Store the access and refresh tokens from a verify or refresh response
+  Future<void> _saveTokens(Map<String, dynamic> data) async {
+    await _storage.write(key: 'auth_token', value: data['token']);
+    await _storage.write(key: 'refresh_token', value: data['refresh_token']);
+  }
+
+  /// Forget the stored tokens
+  Future<void> clearTokens() async {
+    await _storage.delete(key: 'auth_token');
+    await _storage.delete(key: 'refresh_token');
+  }
+
+  /// Send an authenticated request
+  /// An expired access token is refreshed once and the request retried.
+  Future<http.Response> _authorizedRequest(
+    Future<http.Response> Function(Map<String, String> headers) send,
+  ) async {
+    final response = await send(await _getHeaders());
+
+    if (response.statusCode != 401 || !await refreshSession()) {
+      return response;
+    }
+
+    return send(await _getHeaders());
+  }
+
   /// Register new user
   Future<Map<String, dynamic>> register({
     required String phoneNumber,
@@ -75,7 +101,15 @@ class ApiService {
     }
   }
 
-  /// Login user
+  /// Confirm the registration code; activates the account and signs in
+  Future<Map<String, dynamic>> verifyRegistration({
+    required String phoneNumber,
+    required String code,
+  }) async {
+    return _verifyCode('$BASE_URL/auth/register/verify', phoneNumber, code);
+  }
+
+  /// Login step 1: send a verification code to the phone number
   Future<Map<String, dynamic>> login(String phoneNumber) async {
     final response = await http.post(
       Uri.parse('$BASE_URL/auth/login'),
@@ -86,6 +120,74 @@ class ApiService {
     return jsonDecode(response.body);
   }
 
+  /// Login step 2: exchange the verification code for tokens
+  Future<Map<String, dynamic>> verifyLogin({
+    required String phoneNumber,
+    required String code,
+  }) async {
+    return _verifyCode('$BASE_URL/auth/login/verify', phoneNumber, code);
+  }
+
+  /// Post a verification code and keep the tokens it returns
+  Future<Map<String, dynamic>> _verifyCode(
+    String url,
+    String phoneNumber,
+    String code,
+  ) async {
+    final response = await http.post(
+      Uri.parse(url),
+      headers: {'Content-Type': 'application/json'},
+      body: jsonEncode({'phone_number': phoneNumber, 'code': code}),
+    );
+
+    final body = jsonDecode(response.body);
+    if (body['success'] == true) {
+      await _saveTokens(body['data']);
+    }
+
+    return body;
+  }
+
+  /// Get a new access token with the stored refresh token
+  /// Returns false (and forgets the tokens) if the session has ended.
+  Future<bool> refreshSession() async {
+    final refreshToken = await _storage.read(key: 'refresh_token');
+    if (refreshToken == null) return false;
+
+    try {
+      final response = await http.post(
+        Uri.parse('$BASE_URL/auth/refresh'),
+        headers: {'Content-Type': 'application/json'},
+        body: jsonEncode({'refresh_token': refreshToken}),
+      );
+
+      if (response.statusCode == 200) {
+        await _saveTokens(jsonDecode(response.body)['data']);
+        return true;
+      }
+
+      await clearTokens();
+      return false;
+    } catch (e) {
+      debugPrint('Token refresh error: $e');
+      return false;
+    }
+  }
+
+  /// End this device's session on the server and forget the tokens
+  Future<void> logout() async {
+    try {
+      await http.post(
+        Uri.parse('$BASE_URL/auth/logout'),
+        headers: await _getHeaders(),
+      );
+    } catch (e) {
+      debugPrint('Logout error: $e');
+    }
+
+    await clearTokens();
+  }
+
   /// Create garbage report
   Future<Map<String, dynamic>> createGarbageReport({
     required double latitude,
@@ -95,19 +197,19 @@ class ApiService {
     String garbageType = 'mixed',
     String? photoUrl,
   }) async {
-    final headers = await _getHeaders();
-    
-    final response = await http.post(
-      Uri.parse('$BASE_URL/garbage-reports'),
-      headers: headers,
-      body: jsonEncode({
-        'latitude': latitude,
-        'longitude': longitude,
-        'address_description': addressDescription,
-        'estimated_volume': estimatedVolume,
-        'garbage_type': garbageType,
-        'photo_url': photoUrl,
-      }),
+    final response = await _authorizedRequest(
+      (headers) => http.post(
+        Uri.parse('$BASE_URL/garbage-reports'),
+        headers: headers,
+        body: jsonEncode({
+          'latitude': latitude,
+          'longitude': longitude,
+          'address_description': addressDescription,
+          'estimated_volume': estimatedVolume,
+          'garbage_type': garbageType,
+          'photo_url': photoUrl,
+        }),
+      ),
     );
 
     return jsonDecode(response.body);
@@ -115,11 +217,11 @@ class ApiService {
 
   /// Get user's reports
   Future<Map<String, dynamic>> getMyReports() async {
-    final headers = await _getHeaders();
-    
-    final response = await http.get(
-      Uri.parse('$BASE_URL/garbage-reports/my-reports'),
-      headers: headers,
+    final response = await _authorizedRequest(
+      (headers) => http.get(
+        Uri.parse('$BASE_URL/garbage-reports/my-reports'),
+        headers: headers,
+      ),
     );
 
     return jsonDecode(response.body);
@@ -131,16 +233,16 @@ class ApiService {
     required String phoneNumber,
     required double amount,
   }) async {
-    final headers = await _getHeaders();
-    
-    final response = await http.post(
-      Uri.parse('$BASE_URL/payments/initiate'),
-      headers: headers,
-      body: jsonEncode({
-        'report_id': reportId,
-        'phone_number': phoneNumber,
-        'amount': amount,
-      }),
+    final response = await _authorizedRequest(
+      (headers) => http.post(
+        Uri.parse('$BASE_URL/payments/initiate'),
+        headers: headers,
+        body: jsonEncode({
+          'report_id': reportId,
+          'phone_number': phoneNumber,
+          'amount': amount,
+        }),
+      ),
     );
 
     return jsonDecode(response.body);
@@ -152,11 +254,11 @@ class ApiService {
     required double longitude,
     int radius = 5000,
   }) async {
-    final headers = await _getHeaders();
-    
-    final response = await http.get(
-      Uri.parse('$BASE_URL/garbage-reports/nearby?latitude=$latitude&longitude=$longitude&radius=$radius'),
-      headers: headers,
+    final response = await _authorizedRequest(
+      (headers) => http.get(
+        Uri.parse('$BASE_URL/garbage-reports/nearby?latitude=$latitude&longitude=$longitude&radius=$radius'),
+        headers: headers,
+      ),
     );
 
     return jsonDecode(response.body);
@@ -167,15 +269,15 @@ class ApiService {
     required double latitude,
     required double longitude,
   }) async {
-    final headers = await _getHeaders();
-    
-    final response = await http.patch(
-      Uri.parse('$BASE_URL/collectors/location'),
-      headers: headers,
-      body: jsonEncode({
-        'latitude': latitude,
-        'longitude': longitude,
-      }),
+    final response = await _authorizedRequest(
+      (headers) => http.patch(
+        Uri.parse('$BASE_URL/collectors/location'),
+        headers: headers,
+        body: jsonEncode({
+          'latitude': latitude,
+          'longitude': longitude,
+        }),
+      ),
     );
 
     return jsonDecode(response.body);